@@ -94,7 +94,11 @@ const agentTools = {
     Object.values(context.busStops).forEach((stops) => {
       stops.forEach((stop) => {
         if (stop.name && stop.latitude && stop.longitude) {
-          const stopKey = stop.name.toLowerCase();
+          // Catalogue id when known; stops sent without one only collapse
+          // when they are at the same spot
+          const stopKey = stop.stopId
+            ? `stop:${stop.stopId}`
+            : `${stop.name.toLowerCase()}@${stop.latitude},${stop.longitude}`;
           if (!allStops.has(stopKey)) {
             allStops.set(stopKey, stop);
           }
@@ -141,36 +145,49 @@ const agentTools = {
       return { error: `Bus ${busId} not found or not active.` };
     }
 
-    const route = context.busRoutes.find((r) => r.busId === busId);
-    if (!route || !route.parsedStops) {
+    // Live stops carry the ETA engine's estimates; fall back to stored routes
+    const route = context.busRoutes.find((r) => r.busId === bus.busId);
+    const stops =
+      (bus.route && bus.route.stops) || (route && route.parsedStops) || [];
+    if (stops.length === 0) {
       return { error: `Route information not available for bus ${busId}.` };
     }
 
-    const stopIndex = route.parsedStops.findIndex((s) =>
+    const stop = stops.find((s) =>
       s.name.toLowerCase().includes(stopName.toLowerCase()),
     );
 
-    if (stopIndex === -1) {
+    if (!stop) {
       return {
         error: `Stop '${stopName}' not found on route for bus ${busId}.`,
       };
     }
 
-    const avgSpeed = 30;
-    const estimatedMinutes = stopIndex * 2;
-    const estimatedTime = new Date(Date.now() + estimatedMinutes * 60000);
+    if (!stop.estimatedArrival) {
+      return {
+        error: `No arrival estimate for ${stop.name} right now. The bus may have already passed it or is not reporting its position.`,
+      };
+    }
+
+    const estimatedTime = new Date(stop.estimatedArrival);
+    const estimatedMinutes = Math.max(
+      0,
+      Math.round((estimatedTime.getTime() - Date.now()) / 60000),
+    );
+    const location = bus.location || bus;
 
     return {
-      busId: busId,
-      stopName: stopName,
+      busId: bus.busId,
+      stopName: stop.name,
       estimatedArrival: estimatedTime.toLocaleTimeString("en-IN", {
         timeZone: "Asia/Kolkata",
         hour12: true,
       }),
       estimatedMinutes: estimatedMinutes,
+      distanceMeters: stop.distanceFromBus,
       currentBusLocation: {
-        latitude: bus.latitude,
-        longitude: bus.longitude,
+        latitude: location.latitude,
+        longitude: location.longitude,
       },
     };
   },
@@ -0,0 +1,193 @@
+// arrival-alerts.js - Rider "notify me when my bus is near" subscriptions
+// Alerts are one-shot: each fires once when the bus comes within the
+// requested distance or minutes of the stop, then is removed. They are stored
+// through `db` so they survive a restart; the Map is a cache for evaluate().
+// An alert's stopId is the catalogue stop (stops.id), not a route stop, so it
+// holds across route uploads; merged stops are followed to the survivor.
+
+const crypto = require("crypto");
+const db = require("./database");
+const { calculateDistance } = db;
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    busId: row.bus_id,
+    stopId: row.stop_id !== null ? Number(row.stop_id) : null,
+    stopName: row.stop_name,
+    radiusMeters: row.radius_meters !== null ? parseFloat(row.radius_meters) : null,
+    minutes: row.minutes !== null ? parseFloat(row.minutes) : null,
+    pushToken: row.push_token,
+    createdAt: new Date(row.created_at).toISOString(),
+    expiresAt: new Date(row.expires_at).toISOString(),
+  };
+}
+
+class ArrivalAlertManager {
+  constructor(options = {}) {
+    this.pushProvider = options.pushProvider || null;
+    this.notify = options.notify || (() => {}); // (alert, notification) => void, e.g. a socket emit
+    this.maxAge = options.maxAge || 2 * 60 * 60 * 1000; // 2 hours
+    this.alerts = new Map(); // alertId -> alert
+  }
+
+  // Fill the cache from storage; call once at startup
+  async load() {
+    const rows = await db.getArrivalAlerts();
+    this.alerts = new Map(rows.map((row) => [row.id, fromRow(row)]));
+    // Stops may have been merged (e.g. by merge-stops.js) while we were down
+    for (const alert of this.alerts.values()) {
+      if (alert.stopId === null) continue;
+      const stop = await db.getStop(alert.stopId);
+      if (stop && stop.merged_into) alert.stopId = Number(stop.merged_into);
+    }
+    if (this.alerts.size > 0) {
+      console.log(`🔔 Restored ${this.alerts.size} arrival alerts`);
+    }
+  }
+
+  async subscribe({ userId, busId, stopId = null, stopName = null, radiusMeters, minutes = null, pushToken = null }) {
+    const now = Date.now();
+    const alert = {
+      id: crypto.randomUUID(),
+      userId,
+      busId: String(busId),
+      stopId: stopId !== null && stopId !== undefined ? Number(stopId) : null,
+      stopName: stopName || null,
+      radiusMeters: radiusMeters || null,
+      minutes: minutes || null,
+      pushToken: pushToken || null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.maxAge).toISOString(),
+    };
+
+    await db.saveArrivalAlert(alert);
+    this.alerts.set(alert.id, alert);
+    console.log(`🔔 Arrival alert ${alert.id} for user ${userId}: bus ${alert.busId} at ${alert.stopName || alert.stopId}`);
+    return alert;
+  }
+
+  // Remove an alert; only the user who created it can
+  async unsubscribe(alertId, userId) {
+    const alert = this.alerts.get(alertId);
+    if (!alert || !userId || alert.userId !== userId) {
+      return false;
+    }
+    this.alerts.delete(alertId);
+    await db.deleteArrivalAlert(alertId);
+    return true;
+  }
+
+  // Point alerts for merged stops at the stop they were merged into
+  followMerge(keepStopId, mergedStopIds) {
+    const merged = new Set(mergedStopIds.map(Number));
+    for (const alert of this.alerts.values()) {
+      if (merged.has(alert.stopId)) alert.stopId = Number(keepStopId);
+    }
+  }
+
+  getAlertsForUser(userId) {
+    return Array.from(this.alerts.values()).filter((alert) => alert.userId === userId);
+  }
+
+  findStop(route, alert) {
+    if (!route) return null;
+    return route.stops.find((stop) =>
+      (alert.stopId !== null && stop.stopId === alert.stopId) ||
+      (alert.stopName && stop.name.toLowerCase() === alert.stopName.toLowerCase())
+    ) || null;
+  }
+
+  // Check every alert for this bus against its latest position and ETAs
+  async evaluate(busInfo, now = Date.now()) {
+    const triggered = [];
+
+    for (const alert of this.alerts.values()) {
+      if (alert.busId !== busInfo.busId) continue;
+
+      const stop = this.findStop(busInfo.route, alert);
+      if (!stop) continue;
+
+      // The ETA engine clears estimatedArrival (but not distanceFromBus) for
+      // stops the bus has passed; those must not fire on straight-line distance
+      if (stop.estimatedArrival === null && stop.distanceFromBus !== null) continue;
+
+      // Prefer the ETA engine's along-route figures; they are null once the stop is passed
+      const distance = stop.distanceFromBus !== null && stop.estimatedArrival
+        ? stop.distanceFromBus
+        : calculateDistance(busInfo.location.latitude, busInfo.location.longitude, stop.latitude, stop.longitude);
+      const etaMinutes = stop.estimatedArrival
+        ? Math.max(0, (new Date(stop.estimatedArrival).getTime() - now) / 60000)
+        : null;
+
+      const withinDistance = alert.radiusMeters && distance <= alert.radiusMeters;
+      const withinMinutes = alert.minutes && etaMinutes !== null && etaMinutes <= alert.minutes;
+      if (!withinDistance && !withinMinutes) continue;
+
+      this.alerts.delete(alert.id);
+      await db.deleteArrivalAlert(alert.id).catch((error) => {
+        console.error(`❌ Error removing fired arrival alert ${alert.id}:`, error);
+      });
+      const notification = this.buildNotification(alert, busInfo, stop, distance, etaMinutes, now);
+      triggered.push(notification);
+      await this.deliver(alert, notification);
+    }
+
+    return triggered;
+  }
+
+  buildNotification(alert, busInfo, stop, distance, etaMinutes, now) {
+    const roundedDistance = Math.round(distance);
+    const roundedMinutes = etaMinutes !== null ? Math.round(etaMinutes) : null;
+    const eta = roundedMinutes !== null
+      ? ` (about ${roundedMinutes} min away)`
+      : "";
+
+    return {
+      alertId: alert.id,
+      userId: alert.userId,
+      busId: busInfo.busId,
+      stopId: stop.stopId,
+      stopName: stop.name,
+      distanceMeters: roundedDistance,
+      etaMinutes: roundedMinutes,
+      estimatedArrival: stop.estimatedArrival,
+      message: `Bus ${busInfo.busId} is ${roundedDistance} m from ${stop.name}${eta}`,
+      timestamp: new Date(now).toISOString(),
+    };
+  }
+
+  async deliver(alert, notification) {
+    try {
+      this.notify(alert, notification);
+    } catch (error) {
+      console.error("❌ Error emitting arrival alert:", error);
+    }
+
+    if (this.pushProvider && alert.pushToken) {
+      try {
+        await this.pushProvider.send(alert.pushToken, notification);
+      } catch (error) {
+        console.error(`❌ Push delivery failed via ${this.pushProvider.name}:`, error);
+      }
+    }
+  }
+
+  async cleanupExpired(now = Date.now()) {
+    let cleanedCount = 0;
+    this.alerts.forEach((alert, alertId) => {
+      if (new Date(alert.expiresAt).getTime() < now) {
+        this.alerts.delete(alertId);
+        cleanedCount++;
+      }
+    });
+    await db.deleteExpiredArrivalAlerts();
+
+    if (cleanedCount > 0) {
+      console.log(`🧹 Cleaned up ${cleanedCount} expired arrival alerts`);
+    }
+  }
+}
+
+module.exports = ArrivalAlertManager;
@@ -6,16 +6,72 @@ const BACKGROUND_CONFIG = {
   locationUpdateInterval: 5000, // 5 seconds - MATCH FOREGROUND
   maxRetries: 3,
   timeoutDuration: 10000,
+  maxQueueSize: 5000, // ~7 hours of points at 5 seconds
+  flushBatchSize: 200, // points per upload to /api/location/batch
+  persistDelay: 5000, // queue writes are batched into one per this window
+  maxFlushBackoff: 5 * 60 * 1000, // cap on the wait between failed uploads
+};
+
+const QUEUE_STORAGE_KEY = "bus_tracking_location_queue";
+
+// Server's MAX_BATCH_POINTS; a bigger batch is rejected with 413 every time
+const MAX_FLUSH_BATCH_SIZE = 1000;
+
+// Adaptive sampling: the capture interval follows what the bus is doing.
+// The server replaces any of these through the samplingPolicy it returns from
+// /api/location/batch, or the main app relays it in UPDATE_CONFIG.samplingPolicy.
+const SAMPLING_POLICY = {
+  adaptive: true, // false = fixed locationUpdateInterval
+  minInterval: 2000,
+  maxInterval: 30000,
+  stationarySpeed: 1, // m/s, below this (and barely moving) the bus is waiting
+  stationaryDistance: 10, // metres moved since the last point
+  stationaryInterval: 20000,
+  targetDistance: 50, // metres between points while moving
+  turnHeadingChange: 30, // degrees since the last point
+  turnInterval: 2000,
+  nearStopRadius: 200, // metres
+  nearStopInterval: 2000,
+  lowBatteryLevel: 0.2,
+  lowBatteryMultiplier: 2,
+  criticalBatteryLevel: 0.1,
+  criticalBatteryMultiplier: 4,
 };
 
 // Background state management
 let backgroundState = {
   isActive: false,
-  intervalId: null,
+  timerId: null,
   lastUpdate: null,
   retryCount: 0,
   busId: null,
   deviceId: null,
+  serverUrl: null,
+  deviceToken: null,
+  acknowledgesLocations: false, // main app confirms handed-off points with LOCATIONS_DELIVERED
+  authError: null, // { status, error } once the server refused the credentials
+};
+
+// Inputs and result of the last sampling decision
+let samplingState = {
+  lastPoint: null,
+  currentInterval: BACKGROUND_CONFIG.locationUpdateInterval,
+  reason: "default",
+  stops: [], // [{ latitude, longitude }] of the bus's route, for the near-stop boost
+  battery: null, // { level, charging }
+};
+
+// Offline queue: captured points wait here, persisted, until the server has them
+let queueState = {
+  points: [],
+  droppedCount: 0,
+  isFlushing: false,
+  isOnline: true,
+  failedFlushes: 0,
+  nextFlushAt: 0,
+  lastFlushAt: null,
+  handedOff: 0, // points already posted to the main app, awaiting its ack
+  persistTimerId: null,
 };
 
 // Initialize background runner
@@ -25,6 +81,19 @@ function initializeBackgroundRunner() {
   // Listen for messages from main app
   self.addEventListener("message", handleMessage);
 
+  // Points captured before the runner was last stopped or killed
+  restoreQueue();
+
+  // Flush as soon as connectivity returns
+  self.addEventListener("online", () => {
+    queueState.isOnline = true;
+    queueState.nextFlushAt = 0;
+    flushQueue();
+  });
+  self.addEventListener("offline", () => {
+    queueState.isOnline = false;
+  });
+
   // Set up periodic background tasks
   setupPeriodicTasks();
 }
@@ -48,6 +117,10 @@ function handleMessage(event) {
       updateBackgroundConfig(data);
       break;
 
+    case "LOCATIONS_DELIVERED":
+      acknowledgeLocations(data);
+      break;
+
     case "PING":
       sendMessage("PONG", { timestamp: Date.now() });
       break;
@@ -64,25 +137,38 @@ function startBackgroundTracking(config) {
 
     backgroundState.busId = config.busId;
     backgroundState.deviceId = config.deviceId;
+    // Without a serverUrl, points are handed to the main app
+    backgroundState.serverUrl = config.serverUrl || null;
+    backgroundState.deviceToken = config.deviceToken || null;
+    backgroundState.acknowledgesLocations = config.acknowledgesLocations === true;
+    backgroundState.authError = null;
     backgroundState.isActive = true;
     backgroundState.retryCount = 0;
 
-    // Clear any existing interval
-    if (backgroundState.intervalId) {
-      clearInterval(backgroundState.intervalId);
+    // An app that acks gets whatever it never acknowledged again
+    queueState.handedOff = 0;
+
+    if (Array.isArray(config.stops)) {
+      samplingState.stops = config.stops;
     }
+    samplingState.lastPoint = null;
+    samplingState.currentInterval = BACKGROUND_CONFIG.locationUpdateInterval;
+    samplingState.reason = "default";
 
-    // Start location tracking interval
-    backgroundState.intervalId = setInterval(() => {
-      captureLocationInBackground();
-    }, BACKGROUND_CONFIG.locationUpdateInterval);
+    // Capture immediately; each capture schedules the next one
+    scheduleNextCapture(0);
 
     // Send confirmation to main app
     sendMessage("BACKGROUND_TRACKING_STARTED", {
       busId: backgroundState.busId,
       interval: BACKGROUND_CONFIG.locationUpdateInterval,
+      adaptiveSampling: SAMPLING_POLICY.adaptive,
+      queueDepth: queueState.points.length,
     });
 
+    // Send anything left over from a previous session
+    flushQueue();
+
     console.log("✅ Background tracking started successfully");
   } catch (error) {
     console.error("❌ Failed to start background tracking:", error);
@@ -95,18 +181,21 @@ function stopBackgroundTracking() {
   try {
     console.log("⏹️ Stopping background location tracking");
 
-    if (backgroundState.intervalId) {
-      clearInterval(backgroundState.intervalId);
-      backgroundState.intervalId = null;
+    if (backgroundState.timerId) {
+      clearTimeout(backgroundState.timerId);
+      backgroundState.timerId = null;
     }
 
+    // Last attempt to deliver; whatever remains stays persisted for next start
+    flushQueue();
+    persistQueue();
+
     backgroundState.isActive = false;
-    backgroundState.busId = null;
-    backgroundState.deviceId = null;
     backgroundState.retryCount = 0;
 
     sendMessage("BACKGROUND_TRACKING_STOPPED", {
       lastUpdate: backgroundState.lastUpdate,
+      queueDepth: queueState.points.length,
     });
 
     console.log("✅ Background tracking stopped");
@@ -144,8 +233,9 @@ async function captureLocationInBackground() {
         source: "background-runner",
       };
 
-      // Send location to main app
-      sendMessage("BACKGROUND_LOCATION_UPDATE", locationData);
+      // Queue first so the point survives losing connectivity or the runner
+      enqueueLocation(locationData);
+      flushQueue();
 
       backgroundState.lastUpdate = locationData.timestamp;
       backgroundState.retryCount = 0; // Reset retry count on success
@@ -153,15 +243,19 @@ async function captureLocationInBackground() {
       console.log(
         `✅ Background location captured: ${locationData.latitude.toFixed(6)}, ${locationData.longitude.toFixed(6)}`,
       );
+
+      await refreshBatteryStatus();
+      updateSamplingInterval(locationData);
+      samplingState.lastPoint = locationData;
     }
   } catch (error) {
     console.error("❌ Background location capture failed:", error);
 
     backgroundState.retryCount++;
 
-    if (backgroundState.retryCount >= BACKGROUND_CONFIG.maxRetries) {
-      console.error("❌ Max retries reached, stopping background tracking");
-      stopBackgroundTracking();
+    // Keep the interval running: GPS usually comes back after tunnels and dead zones
+    if (backgroundState.retryCount === BACKGROUND_CONFIG.maxRetries) {
+      console.error("❌ Repeated location capture failures, still retrying");
       sendMessage("BACKGROUND_ERROR", {
         error: "Max location capture retries reached",
         retryCount: backgroundState.retryCount,
@@ -172,7 +266,364 @@ async function captureLocationInBackground() {
         retryCount: backgroundState.retryCount,
       });
     }
+  } finally {
+    scheduleNextCapture(samplingState.currentInterval);
+  }
+}
+
+function scheduleNextCapture(delay) {
+  if (backgroundState.timerId) {
+    clearTimeout(backgroundState.timerId);
+  }
+  if (!backgroundState.isActive) return;
+
+  backgroundState.timerId = setTimeout(() => {
+    backgroundState.timerId = null;
+    captureLocationInBackground();
+  }, delay);
+}
+
+// Pick the next capture interval from speed, heading change, distance moved,
+// nearby stops and battery. The shortest applicable interval wins, then the
+// battery multiplier stretches it.
+function updateSamplingInterval(point) {
+  const policy = SAMPLING_POLICY;
+  const previous = samplingState.lastPoint;
+  let interval = BACKGROUND_CONFIG.locationUpdateInterval;
+  let reason = "default";
+
+  if (!policy.adaptive) {
+    samplingState.currentInterval = interval;
+    samplingState.reason = "fixed";
+    return;
+  }
+
+  if (previous) {
+    const moved = distanceBetween(previous, point);
+    const elapsedSeconds =
+      (new Date(point.timestamp) - new Date(previous.timestamp)) / 1000;
+    const speed =
+      point.speed !== null
+        ? point.speed
+        : elapsedSeconds > 0
+          ? moved / elapsedSeconds
+          : 0;
+
+    if (speed < policy.stationarySpeed && moved < policy.stationaryDistance) {
+      interval = policy.stationaryInterval;
+      reason = "stationary";
+    } else if (speed > 0) {
+      interval = (policy.targetDistance / speed) * 1000;
+      reason = "moving";
+    }
+
+    if (
+      point.heading !== null &&
+      previous.heading !== null &&
+      headingDifference(point.heading, previous.heading) >=
+        policy.turnHeadingChange &&
+      policy.turnInterval < interval
+    ) {
+      interval = policy.turnInterval;
+      reason = "turning";
+    }
+  }
+
+  const nearStop = samplingState.stops.some(
+    (stop) => distanceBetween(stop, point) <= policy.nearStopRadius,
+  );
+  if (nearStop && policy.nearStopInterval < interval) {
+    interval = policy.nearStopInterval;
+    reason = "near_stop";
+  }
+
+  const battery = samplingState.battery;
+  if (battery && !battery.charging && battery.level !== null) {
+    if (battery.level <= policy.criticalBatteryLevel) {
+      interval *= policy.criticalBatteryMultiplier;
+      reason += "+critical_battery";
+    } else if (battery.level <= policy.lowBatteryLevel) {
+      interval *= policy.lowBatteryMultiplier;
+      reason += "+low_battery";
+    }
+  }
+
+  interval = Math.round(
+    Math.min(policy.maxInterval, Math.max(policy.minInterval, interval)),
+  );
+
+  if (interval !== samplingState.currentInterval) {
+    console.log(`⏱️ Sampling every ${interval / 1000}s (${reason})`);
+  }
+  samplingState.currentInterval = interval;
+  samplingState.reason = reason;
+}
+
+// Battery via the Background Runner device API, or the Battery Status API
+async function refreshBatteryStatus() {
+  try {
+    if (typeof CapacitorDevice !== "undefined") {
+      const status = CapacitorDevice.getBatteryStatus();
+      samplingState.battery = {
+        level: status.batteryLevel,
+        charging: !!status.isCharging,
+      };
+    } else if (navigator.getBattery) {
+      const battery = await navigator.getBattery();
+      samplingState.battery = {
+        level: battery.level,
+        charging: battery.charging,
+      };
+    }
+  } catch (error) {
+    console.warn("⚠️ Battery status unavailable:", error);
+    samplingState.battery = null;
+  }
+}
+
+// Great-circle distance in metres
+function distanceBetween(a, b) {
+  const R = 6371e3;
+  const φ1 = (a.latitude * Math.PI) / 180;
+  const φ2 = (b.latitude * Math.PI) / 180;
+  const Δφ = ((b.latitude - a.latitude) * Math.PI) / 180;
+  const Δλ = ((b.longitude - a.longitude) * Math.PI) / 180;
+
+  const h =
+    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  return R * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+function headingDifference(a, b) {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+// Persisted storage: CapacitorKV inside the Background Runner, localStorage
+// elsewhere, memory only as a last resort
+function storageGet(key) {
+  try {
+    if (typeof CapacitorKV !== "undefined") {
+      const result = CapacitorKV.get(key);
+      return result && result.value ? result.value : null;
+    }
+    if (typeof localStorage !== "undefined") {
+      return localStorage.getItem(key);
+    }
+  } catch (error) {
+    console.error("❌ Failed to read background storage:", error);
+  }
+  return null;
+}
+
+function storageSet(key, value) {
+  try {
+    if (typeof CapacitorKV !== "undefined") {
+      CapacitorKV.set(key, value);
+    } else if (typeof localStorage !== "undefined") {
+      localStorage.setItem(key, value);
+    }
+  } catch (error) {
+    console.error("❌ Failed to write background storage:", error);
+  }
+}
+
+function restoreQueue() {
+  const stored = storageGet(QUEUE_STORAGE_KEY);
+  if (!stored) return;
+
+  try {
+    const parsed = JSON.parse(stored);
+    queueState.points = Array.isArray(parsed.points) ? parsed.points : [];
+    queueState.droppedCount = parsed.droppedCount || 0;
+    console.log(`📦 Restored ${queueState.points.length} queued locations`);
+  } catch (error) {
+    console.error("❌ Failed to restore location queue:", error);
+    queueState.points = [];
+  }
+}
+
+function persistQueue() {
+  if (queueState.persistTimerId) {
+    clearTimeout(queueState.persistTimerId);
+    queueState.persistTimerId = null;
+  }
+  storageSet(
+    QUEUE_STORAGE_KEY,
+    JSON.stringify({
+      points: queueState.points,
+      droppedCount: queueState.droppedCount,
+    }),
+  );
+}
+
+// Coalesce queue writes: rewriting thousands of points for every capture costs
+// more battery than the capture itself. At most persistDelay of points is lost
+// if the runner is killed in between.
+function schedulePersist() {
+  if (queueState.persistTimerId) return;
+  queueState.persistTimerId = setTimeout(
+    persistQueue,
+    BACKGROUND_CONFIG.persistDelay,
+  );
+}
+
+// Add a point, dropping the oldest once the queue is full
+function enqueueLocation(locationData) {
+  queueState.points.push(locationData);
+
+  const overflow = queueState.points.length - BACKGROUND_CONFIG.maxQueueSize;
+  if (overflow > 0) {
+    queueState.points.splice(0, overflow);
+    queueState.droppedCount += overflow;
+    queueState.handedOff = Math.max(0, queueState.handedOff - overflow);
+    console.warn(`⚠️ Location queue full, dropped ${overflow} oldest points`);
+  }
+
+  schedulePersist();
+}
+
+// The main app confirms the points it has delivered, up to and including the
+// given capture timestamp; only then do they leave the queue. Only apps that
+// announce acknowledgesLocations on START use this.
+function acknowledgeLocations(data = {}) {
+  if (!backgroundState.acknowledgesLocations || !data.upTo) return;
+
+  let delivered = 0;
+  while (
+    delivered < queueState.points.length &&
+    queueState.points[delivered].timestamp <= data.upTo
+  ) {
+    delivered++;
+  }
+  if (delivered === 0) return;
+
+  queueState.points.splice(0, delivered);
+  queueState.handedOff = Math.max(0, queueState.handedOff - delivered);
+  schedulePersist();
+}
+
+// Deliver queued points in capture order. With a serverUrl they are uploaded
+// in batches; otherwise they are handed to the main app one by one. An app
+// that acknowledges locations keeps them queued until it confirms them; for
+// any other app they leave the queue when handed over.
+async function flushQueue() {
+  if (queueState.isFlushing || queueState.points.length === 0) return;
+  if (Date.now() < queueState.nextFlushAt) return;
+  // Retrying with credentials the server refused can't succeed
+  if (backgroundState.serverUrl && backgroundState.authError) return;
+
+  queueState.isFlushing = true;
+  try {
+    if (!backgroundState.serverUrl && !backgroundState.acknowledgesLocations) {
+      while (queueState.points.length > 0) {
+        sendMessage("BACKGROUND_LOCATION_UPDATE", queueState.points.shift());
+      }
+      queueState.handedOff = 0;
+      schedulePersist();
+      return;
+    }
+
+    if (!backgroundState.serverUrl) {
+      while (queueState.handedOff < queueState.points.length) {
+        sendMessage(
+          "BACKGROUND_LOCATION_UPDATE",
+          queueState.points[queueState.handedOff],
+        );
+        queueState.handedOff++;
+      }
+      return;
+    }
+
+    while (queueState.points.length > 0) {
+      // A batch belongs to one bus; the queue can span a bus change
+      const first = queueState.points[0];
+      const batch = [];
+      for (const point of queueState.points) {
+        if (batch.length >= BACKGROUND_CONFIG.flushBatchSize) break;
+        if (point.busId !== first.busId || point.deviceId !== first.deviceId) break;
+        batch.push(point);
+      }
+      const response = await uploadBatch(batch);
+
+      if (response.ok) {
+        const body = await response.json().catch(() => null);
+        if (body && body.samplingPolicy) {
+          applySamplingPolicy(body.samplingPolicy);
+        }
+      }
+
+      // The points stay queued until the app supplies working credentials
+      if (response.status === 401 || response.status === 403) {
+        const body = await response.json().catch(() => null);
+        backgroundState.authError = {
+          status: response.status,
+          error: (body && body.error) || `HTTP ${response.status}`,
+        };
+        console.error(
+          `❌ Server refused the device credentials: ${backgroundState.authError.error}`,
+        );
+        sendMessage("BACKGROUND_AUTH_FAILED", {
+          ...backgroundState.authError,
+          queueDepth: queueState.points.length,
+        });
+        return;
+      }
+
+      // 400 means the server can never accept this batch; don't retry it forever
+      if (response.ok || response.status === 400) {
+        queueState.points.splice(0, batch.length);
+        schedulePersist();
+        if (!response.ok) {
+          console.warn(`⚠️ Server rejected ${batch.length} queued points`);
+        }
+        continue;
+      }
+
+      throw new Error(`Batch upload failed with HTTP ${response.status}`);
+    }
+
+    queueState.isOnline = true;
+    queueState.failedFlushes = 0;
+    queueState.nextFlushAt = 0;
+    queueState.lastFlushAt = new Date().toISOString();
+    sendMessage("BACKGROUND_QUEUE_FLUSHED", {
+      queueDepth: queueState.points.length,
+      lastFlushAt: queueState.lastFlushAt,
+    });
+  } catch (error) {
+    // Offline or server trouble: back off exponentially and keep the points
+    queueState.failedFlushes++;
+    queueState.isOnline = false;
+    const backoff = Math.min(
+      BACKGROUND_CONFIG.locationUpdateInterval * 2 ** queueState.failedFlushes,
+      BACKGROUND_CONFIG.maxFlushBackoff,
+    );
+    queueState.nextFlushAt = Date.now() + backoff;
+    console.warn(
+      `⚠️ Queue flush failed (${error.message}), ${queueState.points.length} points waiting, retry in ${Math.round(backoff / 1000)}s`,
+    );
+  } finally {
+    queueState.isFlushing = false;
+  }
+}
+
+function uploadBatch(points) {
+  const headers = { "Content-Type": "application/json" };
+  if (backgroundState.deviceToken) {
+    headers.Authorization = `Bearer ${backgroundState.deviceToken}`;
   }
+
+  return fetch(`${backgroundState.serverUrl}/api/location/batch`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({
+      deviceId: points[0].deviceId,
+      busId: points[0].busId,
+      points,
+    }),
+  });
 }
 
 // Get current position using background-compatible API
@@ -220,6 +671,24 @@ function sendMessage(type, data = {}) {
   }
 }
 
+// Merge the server's sampling policy; unknown keys are ignored
+function applySamplingPolicy(policy) {
+  let changed = false;
+  Object.keys(policy).forEach((key) => {
+    if (key in SAMPLING_POLICY && SAMPLING_POLICY[key] !== policy[key]) {
+      SAMPLING_POLICY[key] = policy[key];
+      changed = true;
+    }
+  });
+
+  if (changed) {
+    console.log("🔧 Sampling policy updated by server");
+    sendMessage("BACKGROUND_SAMPLING_POLICY_UPDATED", {
+      samplingPolicy: SAMPLING_POLICY,
+    });
+  }
+}
+
 // Update background configuration
 function updateBackgroundConfig(config) {
   try {
@@ -227,16 +696,23 @@ function updateBackgroundConfig(config) {
 
     if (config.locationUpdateInterval) {
       BACKGROUND_CONFIG.locationUpdateInterval = config.locationUpdateInterval;
+      samplingState.currentInterval = config.locationUpdateInterval;
 
-      // Restart interval with new timing if currently active
-      if (backgroundState.isActive && backgroundState.intervalId) {
-        clearInterval(backgroundState.intervalId);
-        backgroundState.intervalId = setInterval(() => {
-          captureLocationInBackground();
-        }, BACKGROUND_CONFIG.locationUpdateInterval);
+      // Apply the new timing right away if currently active
+      if (backgroundState.isActive && backgroundState.timerId) {
+        scheduleNextCapture(BACKGROUND_CONFIG.locationUpdateInterval);
       }
     }
 
+    // Server-side override of the adaptive sampling policy
+    if (config.samplingPolicy) {
+      applySamplingPolicy(config.samplingPolicy);
+    }
+
+    if (Array.isArray(config.stops)) {
+      samplingState.stops = config.stops;
+    }
+
     if (config.maxRetries) {
       BACKGROUND_CONFIG.maxRetries = config.maxRetries;
     }
@@ -245,7 +721,33 @@ function updateBackgroundConfig(config) {
       BACKGROUND_CONFIG.timeoutDuration = config.timeoutDuration;
     }
 
-    sendMessage("BACKGROUND_CONFIG_UPDATED", BACKGROUND_CONFIG);
+    if (config.maxQueueSize) {
+      BACKGROUND_CONFIG.maxQueueSize = config.maxQueueSize;
+    }
+
+    if (config.flushBatchSize) {
+      BACKGROUND_CONFIG.flushBatchSize = Math.min(
+        config.flushBatchSize,
+        MAX_FLUSH_BATCH_SIZE,
+      );
+    }
+
+    if (config.persistDelay) {
+      BACKGROUND_CONFIG.persistDelay = config.persistDelay;
+    }
+
+    // New credentials: uploads resume
+    if (config.deviceToken) {
+      backgroundState.deviceToken = config.deviceToken;
+      backgroundState.authError = null;
+      queueState.nextFlushAt = 0;
+      flushQueue();
+    }
+
+    sendMessage("BACKGROUND_CONFIG_UPDATED", {
+      ...BACKGROUND_CONFIG,
+      samplingPolicy: SAMPLING_POLICY,
+    });
   } catch (error) {
     console.error("❌ Failed to update background config:", error);
   }
@@ -261,8 +763,19 @@ function setupPeriodicTasks() {
         lastUpdate: backgroundState.lastUpdate,
         retryCount: backgroundState.retryCount,
         busId: backgroundState.busId,
+        queueDepth: queueState.points.length,
+        droppedPoints: queueState.droppedCount,
+        isOnline: queueState.isOnline,
+        authError: backgroundState.authError,
+        lastFlushAt: queueState.lastFlushAt,
+        samplingInterval: samplingState.currentInterval,
+        samplingReason: samplingState.reason,
+        batteryLevel: samplingState.battery ? samplingState.battery.level : null,
       });
     }
+
+    // Retry the upload even if no new point triggers it
+    flushQueue();
   }, 30000);
 
   // Cleanup old data every 5 minutes
@@ -0,0 +1,101 @@
+// device-auth.js - Per-device credentials for driver location ingestion
+// Devices are registered with the bus IDs they may report for and receive a
+// token once; only its SHA-256 hash is stored.
+
+const crypto = require("crypto");
+const db = require("./database");
+
+class DeviceAuth {
+  constructor(options = {}) {
+    // "enforce" rejects bad credentials, "warn" only logs them, "off" skips checks
+    this.mode = options.mode || "enforce";
+    this.cacheTtl = options.cacheTtl || 60 * 1000;
+    this.cache = new Map(); // deviceId -> { device, loadedAt }
+  }
+
+  static generateToken() {
+    return crypto.randomBytes(32).toString("hex");
+  }
+
+  static hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+  }
+
+  // Issue (or rotate) the credential for a device. The plain token is only
+  // returned here; it cannot be recovered later.
+  async register({ deviceId, busIds, label = null }) {
+    const token = DeviceAuth.generateToken();
+    const device = await db.saveDriverDevice({
+      deviceId,
+      tokenHash: DeviceAuth.hashToken(token),
+      allowedBusIds: busIds,
+      label,
+    });
+    this.cache.delete(deviceId);
+
+    return {
+      deviceId: device.device_id,
+      token,
+      allowedBusIds: device.allowed_bus_ids,
+      label: device.label,
+      createdAt: device.created_at,
+    };
+  }
+
+  async revoke(deviceId) {
+    const device = await db.revokeDriverDevice(deviceId);
+    this.cache.delete(deviceId);
+    return device;
+  }
+
+  async getDevice(deviceId) {
+    const cached = this.cache.get(deviceId);
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtl) {
+      return cached.device;
+    }
+
+    const device = await db.getDriverDevice(deviceId);
+    this.cache.set(deviceId, { device, loadedAt: Date.now() });
+    return device;
+  }
+
+  // Check a device credential against the bus it is reporting for
+  async verify({ deviceId, busId, token }) {
+    if (!deviceId || !token) {
+      return { ok: false, status: 401, error: "Missing device credentials" };
+    }
+
+    const device = await this.getDevice(deviceId);
+    if (!device || device.revoked_at) {
+      return { ok: false, status: 401, error: "Unknown or revoked device" };
+    }
+
+    const expected = Buffer.from(device.token_hash, "hex");
+    const actual = Buffer.from(DeviceAuth.hashToken(token), "hex");
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { ok: false, status: 401, error: "Invalid device credentials" };
+    }
+
+    if (!device.allowed_bus_ids.includes(String(busId))) {
+      return { ok: false, status: 403, error: `Device is not allowed to report for bus ${busId}` };
+    }
+
+    return { ok: true, device };
+  }
+
+  // verify() with the configured mode applied
+  async authorize(credentials) {
+    if (this.mode === "off") {
+      return { ok: true, device: null };
+    }
+
+    const result = await this.verify(credentials);
+    if (!result.ok && this.mode === "warn") {
+      console.warn(`⚠️ Device auth failed for ${credentials.deviceId} (bus ${credentials.busId}): ${result.error}`);
+      return { ok: true, device: null };
+    }
+    return result;
+  }
+}
+
+module.exports = DeviceAuth;
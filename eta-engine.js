@@ -0,0 +1,191 @@
+// eta-engine.js - Server-side arrival prediction for bus stops
+// Combines the bus's progress along its route, its current speed and
+// historical stop-to-stop travel times from proximity_events.
+
+const db = require("./database");
+const {
+  parseRouteGeometry,
+  cumulativeDistances,
+  projectOntoLine,
+} = require("./route-geometry");
+
+class EtaEngine {
+  constructor(options = {}) {
+    this.defaultSpeed = options.defaultSpeed || 5.5; // m/s (~20 km/h) when nothing better is known
+    this.movingSpeed = options.movingSpeed || 1; // m/s below which the bus counts as stopped
+    this.dwellSeconds = options.dwellSeconds || 20; // per intermediate stop, only without history
+    this.minSamples = options.minSamples || 3; // historical samples needed to trust a segment
+    this.historyMaxAge = options.historyMaxAge || 15 * 60 * 1000; // 15 minutes
+    this.maxStopOffRoute = options.maxStopOffRoute || 300; // metres
+
+    this.segmentTimes = new Map(); // busId -> Map("fromStopId:toStopId" -> seconds)
+    this.historyLoadedAt = new Map(); // busId -> timestamp
+    this.routeModels = new WeakMap(); // BusRoute -> projected route line
+    this.progress = new Map(); // busId -> last along-route offset in metres
+  }
+
+  // Reload historical segment times for a bus if the cached ones are stale
+  async refreshHistory(busId, force = false) {
+    const loadedAt = this.historyLoadedAt.get(busId) || 0;
+    if (!force && Date.now() - loadedAt < this.historyMaxAge) {
+      return;
+    }
+
+    // Mark first so concurrent updates don't all hit the database
+    this.historyLoadedAt.set(busId, Date.now());
+
+    try {
+      const rows = await db.getSegmentTravelTimes(busId);
+      const segments = new Map();
+      rows.forEach((row) => {
+        if (parseInt(row.samples, 10) >= this.minSamples) {
+          segments.set(`${row.from_stop_id}:${row.to_stop_id}`, parseFloat(row.median_seconds));
+        }
+      });
+      this.segmentTimes.set(busId, segments);
+    } catch (error) {
+      console.error(`❌ Error loading travel time history for bus ${busId}:`, error);
+    }
+  }
+
+  // Route line with each stop's along-route offset, cached per BusRoute
+  getRouteModel(route) {
+    let model = this.routeModels.get(route);
+    if (model) return model;
+
+    const stopPoints = route.stops.map((stop) => [stop.latitude, stop.longitude]);
+    let line = parseRouteGeometry(route.routeGeometry) || stopPoints;
+    let offsets = this.projectStops(line, stopPoints);
+
+    // Geometry that misses the stops is worse than a straight stop-to-stop line
+    if (!offsets && line !== stopPoints) {
+      line = stopPoints;
+      offsets = this.projectStops(line, stopPoints);
+    }
+
+    model = offsets ? { line, cumulative: cumulativeDistances(line), stopOffsets: offsets } : null;
+    this.routeModels.set(route, model);
+    return model;
+  }
+
+  projectStops(line, stopPoints) {
+    const cumulative = cumulativeDistances(line);
+    const offsets = [];
+    let minOffset = 0;
+
+    for (const point of stopPoints) {
+      const projection = projectOntoLine(line, point, cumulative, minOffset);
+      if (!projection || projection.distance > this.maxStopOffRoute) {
+        return null;
+      }
+      offsets.push(projection.offset);
+      minOffset = projection.offset;
+    }
+
+    return offsets;
+  }
+
+  // Where the bus is along its route, preferring positions ahead of the last one
+  locateBus(busId, model, point) {
+    const previous = this.progress.get(busId);
+    let projection = previous !== undefined
+      ? projectOntoLine(model.line, point, model.cumulative, Math.max(0, previous - 150))
+      : null;
+
+    // Start of a new run, or the bus jumped: search the whole route again
+    if (!projection || projection.distance > 200) {
+      projection = projectOntoLine(model.line, point, model.cumulative);
+    }
+
+    if (projection) {
+      this.progress.set(busId, projection.offset);
+    }
+    return projection;
+  }
+
+  segmentSeconds(busId, fromStop, toStop, length) {
+    const segments = this.segmentTimes.get(busId);
+    const key = `${fromStop.id}:${toStop.id}`;
+    if (segments && fromStop.id !== null && segments.has(key)) {
+      return { seconds: segments.get(key), historical: true };
+    }
+    return { seconds: length / this.defaultSpeed, historical: false };
+  }
+
+  // Fill estimatedArrival and distanceFromBus on every stop of the bus's route
+  update(busInfo, now = Date.now()) {
+    const route = busInfo.route;
+    const location = busInfo.location;
+    if (!route || route.stops.length === 0 || !location || !location.latitude || !location.longitude) {
+      return;
+    }
+
+    const stops = route.stops;
+    const model = this.getRouteModel(route);
+    if (!model) {
+      this.clear(busInfo);
+      return;
+    }
+
+    const position = this.locateBus(busInfo.busId, model, [location.latitude, location.longitude]);
+    if (!position) {
+      this.clear(busInfo);
+      return;
+    }
+
+    const busOffset = position.offset;
+    const speed = location.speed > this.movingSpeed ? location.speed : null;
+    const firstUpcoming = model.stopOffsets.findIndex((offset) => offset >= busOffset - 10);
+    let elapsed = 0;
+
+    stops.forEach((stop, index) => {
+      const stopOffset = model.stopOffsets[index];
+
+      if (firstUpcoming === -1 || index < firstUpcoming) {
+        // Already passed: report straight-line distance only
+        stop.distanceFromBus = Math.round(db.calculateDistance(
+          location.latitude, location.longitude, stop.latitude, stop.longitude
+        ));
+        stop.estimatedArrival = null;
+        return;
+      }
+
+      const remaining = Math.max(0, stopOffset - busOffset);
+
+      if (index === firstUpcoming) {
+        if (index === 0) {
+          elapsed = remaining / (speed || this.defaultSpeed);
+        } else {
+          const length = stopOffset - model.stopOffsets[index - 1];
+          const segment = this.segmentSeconds(busInfo.busId, stops[index - 1], stop, length);
+          const fraction = length > 0 ? Math.min(1, remaining / length) : 0;
+          elapsed = fraction * segment.seconds;
+          if (speed) {
+            // Blend the typical time for this stretch with what the bus is doing now
+            elapsed = (elapsed + remaining / speed) / 2;
+          }
+        }
+      } else {
+        const length = stopOffset - model.stopOffsets[index - 1];
+        const segment = this.segmentSeconds(busInfo.busId, stops[index - 1], stop, length);
+        elapsed += segment.seconds + (segment.historical ? 0 : this.dwellSeconds);
+      }
+
+      stop.distanceFromBus = Math.round(remaining);
+      stop.estimatedArrival = new Date(now + elapsed * 1000).toISOString();
+    });
+  }
+
+  clear(busInfo) {
+    busInfo.route.stops.forEach((stop) => {
+      stop.estimatedArrival = null;
+      stop.distanceFromBus = null;
+    });
+  }
+
+  forget(busId) {
+    this.progress.delete(busId);
+  }
+}
+
+module.exports = EtaEngine;
@@ -0,0 +1,476 @@
+// fleet-simulator.js - Drive fake buses along stored routes for demos and load tests
+// Each simulated bus follows its routeGeometry (or straight lines between
+// stops) with varying speed, slows into stops, dwells, and reports jittery
+// GPS fixes through the real driver paths: POST /api/location or the
+// driver_location_update socket event. Devices are registered through the
+// admin API, so ADMIN_API_KEY must match the server's.
+//
+// Only sim- buses are driven, never real ones: each gets a device and a
+// service-day assignment to its route, and both are removed on stop.
+//
+// Usage: node fleet-simulator.js [--server=http://localhost:3000] [--routes=12,14A]
+//          [--count=200] [--transport=http|socket|mixed] [--interval=5]
+//          [--duration=600] [--source=db|api] [--no-trips]
+require('dotenv').config();
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { io } = require('socket.io-client');
+const db = require('./database');
+const { parseRouteGeometry, cumulativeDistances, projectOntoLine } = require('./route-geometry');
+const ScheduleAdherence = require('./schedule-adherence');
+
+const SIM_PREFIX = 'sim-';
+
+const MOTION = {
+  minCruiseSpeed: 6, // m/s (~22 km/h)
+  maxCruiseSpeed: 13, // m/s (~47 km/h)
+  acceleration: 1.2, // m/s²
+  braking: 1.5, // m/s²
+  minDwell: 10, // seconds at a stop
+  maxDwell: 60,
+  layover: 120, // seconds at the terminus before the next trip
+  minAccuracy: 4, // metres, reported GPS accuracy
+  maxAccuracy: 20,
+  outlierRate: 0.01, // share of fixes that jump far off (exercises the server's filter)
+};
+
+function parseArgs(argv) {
+  const options = {
+    server: process.env.SIMULATOR_SERVER_URL || `http://localhost:${process.env.PORT || 3000}`,
+    routes: [],
+    count: null,
+    transport: 'http',
+    interval: 5,
+    duration: null,
+    source: db.driver === 'memory' ? 'api' : 'db', // a memory store is private to its process
+    trips: true,
+  };
+
+  argv.forEach(arg => {
+    const [flag, value] = arg.split('=');
+    switch (flag) {
+      case '--server': options.server = value.replace(/\/$/, ''); break;
+      case '--routes': options.routes = value.split(',').map(r => r.trim()).filter(Boolean); break;
+      case '--count': options.count = parseInt(value, 10); break;
+      case '--transport': options.transport = value; break;
+      case '--interval': options.interval = parseFloat(value); break;
+      case '--duration': options.duration = parseFloat(value); break;
+      case '--source': options.source = value; break;
+      case '--no-trips': options.trips = false; break;
+      default: throw new Error(`Unknown option ${arg}`);
+    }
+  });
+
+  if (!['http', 'socket', 'mixed'].includes(options.transport)) {
+    throw new Error('--transport must be http, socket or mixed');
+  }
+  if (!['db', 'api'].includes(options.source)) {
+    throw new Error('--source must be db or api');
+  }
+  if (!(options.interval > 0) || (options.count !== null && !(options.count > 0))) {
+    throw new Error('--interval and --count must be positive numbers');
+  }
+  return options;
+}
+
+function random(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+// Standard normal sample (Box-Muller)
+function gaussian() {
+  return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+}
+
+function bearing(from, to) {
+  const φ1 = from[0] * Math.PI / 180;
+  const φ2 = to[0] * Math.PI / 180;
+  const Δλ = (to[1] - from[1]) * Math.PI / 180;
+  const y = Math.sin(Δλ) * Math.cos(φ2);
+  const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+function toStops(stops) {
+  return stops.map(stop => ({
+    name: stop.name,
+    latitude: parseFloat(stop.latitude),
+    longitude: parseFloat(stop.longitude),
+  }));
+}
+
+// Routes to drive as { routeId, stops: [{ name, latitude, longitude }], routeGeometry }
+async function loadRoutes(source, server) {
+  if (source === 'db') {
+    return (await db.getRoutes()).map(row => ({
+      routeId: row.route_id,
+      routeGeometry: row.route_geometry,
+      stops: toStops(row.route_stops || []),
+    }));
+  }
+
+  const response = await axios.get(`${server}/api/routes`);
+  return response.data.routes.map(route => ({
+    routeId: route.routeId,
+    routeGeometry: route.routeGeometry,
+    stops: toStops(route.stops),
+  }));
+}
+
+class SimulatedBus {
+  constructor(route, deviceId) {
+    this.busId = route.busId;
+    this.deviceId = deviceId;
+    this.route = route;
+    this.token = null;
+    this.socket = null;
+
+    const stopPoints = route.stops.map(stop => [stop.latitude, stop.longitude]);
+    this.line = parseRouteGeometry(route.routeGeometry) || stopPoints;
+    this.cumulative = cumulativeDistances(this.line);
+    this.length = this.cumulative[this.cumulative.length - 1];
+
+    // Where each stop sits along the line, kept in order
+    let minOffset = 0;
+    this.stopOffsets = stopPoints.map(point => {
+      const projection = projectOntoLine(this.line, point, this.cumulative, minOffset);
+      minOffset = projection ? projection.offset : minOffset;
+      return minOffset;
+    });
+
+    this.cruiseSpeed = random(MOTION.minCruiseSpeed, MOTION.maxCruiseSpeed);
+    this.accuracy = random(MOTION.minAccuracy, MOTION.maxAccuracy);
+    this.startRun(Math.random() * this.length); // spread the fleet along its routes
+  }
+
+  startRun(offset = 0) {
+    this.offset = offset;
+    this.speed = 0;
+    this.dwellRemaining = 0;
+    this.nextStopIndex = this.stopOffsets.findIndex(stopOffset => stopOffset >= offset);
+    if (this.nextStopIndex === -1) this.nextStopIndex = this.stopOffsets.length;
+    this.runStarted = true;
+  }
+
+  // Advance the bus by `dt` seconds. Returns 'run_ended' at the terminus.
+  step(dt) {
+    if (this.dwellRemaining > 0) {
+      this.dwellRemaining -= dt;
+      this.speed = 0;
+      return null;
+    }
+
+    if (this.offset >= this.length) {
+      this.startRun(0);
+      this.dwellRemaining = MOTION.layover;
+      return 'run_ended';
+    }
+
+    // Cruise speed wanders a little; brake so the bus can stop at the next stop
+    this.cruiseSpeed = Math.min(MOTION.maxCruiseSpeed, Math.max(MOTION.minCruiseSpeed,
+      this.cruiseSpeed + gaussian() * 0.5));
+    const stopOffset = this.nextStopIndex < this.stopOffsets.length
+      ? this.stopOffsets[this.nextStopIndex]
+      : this.length;
+    const remaining = Math.max(0, stopOffset - this.offset);
+    const target = Math.min(this.cruiseSpeed, Math.sqrt(2 * MOTION.braking * remaining) + 1);
+
+    this.speed = target > this.speed
+      ? Math.min(target, this.speed + MOTION.acceleration * dt)
+      : Math.max(target, this.speed - MOTION.braking * dt);
+    this.offset = Math.min(this.offset + this.speed * dt, stopOffset);
+
+    if (this.offset >= stopOffset && this.nextStopIndex < this.stopOffsets.length) {
+      this.nextStopIndex++;
+      this.speed = 0;
+      this.dwellRemaining = random(MOTION.minDwell, MOTION.maxDwell);
+    }
+    return null;
+  }
+
+  // Point and heading at the current offset along the line
+  position() {
+    let index = 0;
+    while (index < this.cumulative.length - 2 && this.cumulative[index + 1] < this.offset) index++;
+    const a = this.line[index];
+    const b = this.line[index + 1];
+    const span = this.cumulative[index + 1] - this.cumulative[index];
+    const t = span > 0 ? (this.offset - this.cumulative[index]) / span : 0;
+    return {
+      latitude: a[0] + (b[0] - a[0]) * t,
+      longitude: a[1] + (b[1] - a[1]) * t,
+      heading: bearing(a, b),
+    };
+  }
+
+  // A GPS fix as the driver app would send it: noisy position, rounded values
+  fix() {
+    const { latitude, longitude, heading } = this.position();
+    const noise = Math.random() < MOTION.outlierRate ? random(300, 1500) : this.accuracy / 2;
+    const north = gaussian() * noise;
+    const east = gaussian() * noise;
+    return {
+      busId: this.busId,
+      deviceId: this.deviceId,
+      latitude: Number((latitude + north / 111320).toFixed(7)),
+      longitude: Number((longitude + east / (111320 * Math.cos(latitude * Math.PI / 180))).toFixed(7)),
+      accuracy: Math.round(this.accuracy * 10) / 10,
+      heading: this.speed > 0.5 ? Math.round(heading) : null,
+      speed: Math.round(Math.max(0, this.speed + gaussian() * 0.3) * 10) / 10,
+      timestamp: new Date().toISOString(),
+      source: 'simulator',
+    };
+  }
+}
+
+class FleetSimulator {
+  constructor(options) {
+    this.options = options;
+    this.buses = [];
+    this.timers = [];
+    this.stats = { sent: 0, accepted: 0, filtered: 0, rejected: 0, failed: 0, latencyTotal: 0, trips: 0 };
+    this.serviceDate = new ScheduleAdherence({ timeZone: process.env.TRANSIT_TIMEZONE })
+      .getServiceDay().serviceDate;
+    // What prepare() created on the server, so stop() can remove exactly that
+    this.createdDevices = [];
+    this.createdAssignments = [];
+    this.api = axios.create({
+      baseURL: options.server,
+      timeout: 10000,
+      httpAgent: new http.Agent({ keepAlive: true, maxSockets: 50 }),
+      httpsAgent: new https.Agent({ keepAlive: true, maxSockets: 50 }),
+      validateStatus: () => true,
+    });
+  }
+
+  adminHeaders() {
+    return { 'x-admin-key': process.env.ADMIN_API_KEY };
+  }
+
+  // Pick the routes to run and put sim-<routeId> buses on them, more than one
+  // per route when --count asks for more buses than there are routes. Each
+  // bus is assigned to its route for today's service day only.
+  async prepare() {
+    const routes = (await loadRoutes(this.options.source, this.options.server))
+      .filter(route => route.stops.length >= 2)
+      .filter(route => this.options.routes.length === 0 || this.options.routes.includes(route.routeId));
+    if (routes.length === 0) {
+      throw new Error(`No routes with at least 2 stops found (source: ${this.options.source})`);
+    }
+
+    const count = this.options.count || routes.length;
+    for (let index = 0; index < count; index++) {
+      const base = routes[index % routes.length];
+      const copy = Math.floor(index / routes.length);
+      const busId = `${SIM_PREFIX}${base.routeId}${copy > 0 ? `-${copy}` : ''}`;
+      this.buses.push(new SimulatedBus({ ...base, busId }, `${busId}-device`));
+    }
+
+    await this.inBatches(this.buses, async (bus) => {
+      await this.request('put', `/api/assignments/${encodeURIComponent(bus.busId)}`, {
+        routeId: bus.route.routeId,
+        serviceDate: this.serviceDate,
+      }, this.adminHeaders());
+      this.createdAssignments.push(bus.busId);
+
+      const response = await this.request('post', '/api/devices', {
+        deviceId: bus.deviceId,
+        busIds: [bus.busId],
+        label: 'Fleet simulator',
+      }, this.adminHeaders());
+      this.createdDevices.push(bus.deviceId);
+      bus.token = response.data.device.token;
+    });
+
+    console.log(`🚌 Prepared ${this.buses.length} simulated buses on ${routes.length} routes`);
+  }
+
+  async request(method, url, data, headers = {}) {
+    const response = await this.api.request({ method, url, data, headers });
+    if (response.status >= 300) {
+      throw new Error(`${method.toUpperCase()} ${url} failed: HTTP ${response.status} ${JSON.stringify(response.data)}`);
+    }
+    return response;
+  }
+
+  // Run fn over items a few at a time so setup doesn't flood the server
+  async inBatches(items, fn, size = 20) {
+    for (let start = 0; start < items.length; start += size) {
+      await Promise.all(items.slice(start, start + size).map((item, offset) => fn(item, start + offset)));
+    }
+  }
+
+  transportFor(index) {
+    if (this.options.transport === 'mixed') {
+      return index % 2 === 0 ? 'http' : 'socket';
+    }
+    return this.options.transport;
+  }
+
+  connectSocket(bus) {
+    bus.socket = io(this.options.server, {
+      auth: { deviceToken: bus.token },
+      transports: ['websocket'],
+    });
+    bus.socket.on('location_rejected', () => {
+      this.stats.failed++;
+    });
+    bus.socket.on('connect_error', (error) => {
+      console.warn(`⚠️ Socket for bus ${bus.busId} failed to connect: ${error.message}`);
+    });
+  }
+
+  async send(bus) {
+    const fix = bus.fix();
+    this.stats.sent++;
+
+    if (bus.socket) {
+      bus.socket.emit('driver_location_update', fix);
+      return;
+    }
+
+    const started = Date.now();
+    try {
+      const response = await this.api.post('/api/location', fix, {
+        headers: { 'x-device-token': bus.token },
+      });
+      this.stats.latencyTotal += Date.now() - started;
+      if (response.status >= 300) {
+        this.stats.failed++;
+      } else if (response.data.accepted === false) {
+        this.stats.rejected++;
+      } else if (response.data.filter && response.data.filter.status === 'filtered') {
+        this.stats.filtered++;
+      } else {
+        this.stats.accepted++;
+      }
+    } catch (error) {
+      this.stats.failed++;
+    }
+  }
+
+  async startTrip(bus) {
+    if (!this.options.trips) return;
+    const response = await this.api.post('/api/trips/start', { busId: bus.busId, deviceId: bus.deviceId }, {
+      headers: { 'x-device-token': bus.token },
+    });
+    if (response.status < 300) this.stats.trips++;
+  }
+
+  async endTrip(bus) {
+    if (!this.options.trips) return;
+    await this.api.post('/api/trips/end', { busId: bus.busId, deviceId: bus.deviceId }, {
+      headers: { 'x-device-token': bus.token },
+    });
+  }
+
+  async tick(bus) {
+    // A new trip begins once the bus leaves its first stop or terminus layover
+    if (bus.runStarted && bus.dwellRemaining <= 0) {
+      bus.runStarted = false;
+      await this.startTrip(bus).catch(() => {});
+    }
+    if (bus.step(this.options.interval) === 'run_ended') {
+      await this.endTrip(bus).catch(() => {});
+    }
+    await this.send(bus);
+  }
+
+  start() {
+    const intervalMs = this.options.interval * 1000;
+    this.buses.forEach((bus, index) => {
+      if (this.transportFor(index) === 'socket') {
+        this.connectSocket(bus);
+      }
+
+      // Stagger buses across the interval so updates arrive evenly
+      const delay = Math.random() * intervalMs;
+      this.timers.push(setTimeout(() => {
+        this.timers.push(setInterval(() => {
+          this.tick(bus).catch(error => console.error(`❌ Simulator error for bus ${bus.busId}:`, error.message));
+        }, intervalMs));
+      }, delay));
+    });
+
+    this.timers.push(setInterval(() => this.report(), 10000));
+    console.log(`🚀 Simulating ${this.buses.length} buses via ${this.options.transport}, one fix every ${this.options.interval}s`);
+  }
+
+  report() {
+    const { sent, accepted, filtered, rejected, failed, latencyTotal, trips } = this.stats;
+    const answered = accepted + filtered + rejected;
+    const latency = answered > 0 ? Math.round(latencyTotal / answered) : 0;
+    console.log(`📊 sent ${sent} | accepted ${accepted} | smoothed ${filtered} | gps-rejected ${rejected} | failed ${failed} | trips ${trips} | avg ${latency}ms`);
+  }
+
+  // End the simulated trips, then revoke the devices and remove the
+  // assignments prepare() created
+  async stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    await this.inBatches(this.buses, bus => this.endTrip(bus).catch(() => {}));
+    this.buses.forEach(bus => bus.socket && bus.socket.close());
+
+    await this.inBatches(this.createdDevices, deviceId => this.request(
+      'delete', `/api/devices/${encodeURIComponent(deviceId)}`, undefined, this.adminHeaders(),
+    ).catch(error => console.warn(`⚠️ ${error.message}`)));
+    await this.inBatches(this.createdAssignments, busId => this.request(
+      'delete', `/api/assignments/${encodeURIComponent(busId)}?serviceDate=${this.serviceDate}`,
+      undefined, this.adminHeaders(),
+    ).catch(error => console.warn(`⚠️ ${error.message}`)));
+    console.log(`🧹 Revoked ${this.createdDevices.length} simulator devices and removed their assignments`);
+    this.createdDevices = [];
+    this.createdAssignments = [];
+
+    this.report();
+  }
+}
+
+async function runSimulator() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    if (!process.env.ADMIN_API_KEY) {
+      throw new Error('ADMIN_API_KEY is required to register simulated devices');
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const simulator = new FleetSimulator(options);
+  let stopping = false;
+  const shutdown = async () => {
+    if (stopping) return;
+    stopping = true;
+    console.log('🛑 Stopping simulator...');
+    await simulator.stop();
+    process.exit(0);
+  };
+
+  try {
+    await simulator.prepare();
+    simulator.start();
+  } catch (error) {
+    console.error('❌ Simulator failed to start:', error.message);
+    await simulator.stop();
+    process.exit(1);
+  }
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+  if (options.duration) {
+    setTimeout(shutdown, options.duration * 1000);
+  }
+}
+
+// Run simulator if this script is called directly
+if (require.main === module) {
+  runSimulator();
+}
+
+module.exports = {
+  SimulatedBus,
+  FleetSimulator,
+};
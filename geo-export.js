@@ -0,0 +1,177 @@
+// geo-export.js - GeoJSON and KML exports of live buses, stops and route lines
+// Builds FeatureCollections for GIS tools (QGIS, Kepler.gl, the city dashboard).
+// Properties are kept flat so they show up as attribute columns. GeoJSON
+// coordinates are [longitude, latitude]; KML is generated from the same features.
+
+const { parseRouteGeometry } = require("./route-geometry");
+
+function point(latitude, longitude) {
+  return { type: "Point", coordinates: [Number(longitude), Number(latitude)] };
+}
+
+function featureCollection(name, features) {
+  return {
+    type: "FeatureCollection",
+    name,
+    generatedAt: new Date().toISOString(),
+    features,
+  };
+}
+
+// Live buses from BusInfo.toJSON() objects; buses without a position are left out
+function buildBusesCollection(buses) {
+  const features = buses
+    .filter((bus) => bus.location && bus.location.latitude && bus.location.longitude)
+    .map((bus) => {
+      const location = bus.location;
+      const stops = bus.route ? bus.route.stops : [];
+      // The ETA engine only estimates stops still ahead of the bus
+      const nextStop = stops.find((stop) => stop.estimatedArrival) || null;
+      const adherence = bus.scheduleAdherence;
+
+      return {
+        type: "Feature",
+        id: bus.busId,
+        geometry: point(location.latitude, location.longitude),
+        properties: {
+          busId: bus.busId,
+          deviceId: bus.deviceId || null,
+          status: bus.status,
+          routeId: bus.route ? bus.route.routeId : null,
+          routeName: bus.route ? bus.route.name : null,
+          tripId: bus.tripId || null,
+          speed: location.speed,
+          speedKmh: location.speed !== null && location.speed !== undefined
+            ? Math.round(location.speed * 3.6 * 10) / 10
+            : null,
+          heading: location.heading,
+          accuracy: location.accuracy,
+          lastSeen: bus.lastSeen,
+          locationTimestamp: location.timestamp,
+          offRoute: !!bus.offRoute,
+          nextStopId: nextStop ? nextStop.id : null,
+          nextStopName: nextStop ? nextStop.name : null,
+          nextStopEta: nextStop ? nextStop.estimatedArrival : null,
+          nextStopDistanceMeters: nextStop ? nextStop.distanceFromBus : null,
+          scheduleDeviationSeconds: adherence ? adherence.deviationSeconds : null,
+          scheduleStatus: adherence ? adherence.status : null,
+        },
+      };
+    });
+
+  return featureCollection("buses", features);
+}
+
+// Catalogue stops (getStops rows); routeIds lists every route serving the stop
+function buildStopsCollection(stops) {
+  const features = stops.map((stop) => ({
+    type: "Feature",
+    id: stop.id,
+    geometry: point(stop.latitude, stop.longitude),
+    properties: {
+      stopId: stop.id,
+      name: stop.name,
+      code: stop.code || null,
+      gtfsStopId: stop.gtfs_stop_id || null,
+      wheelchairAccessible: stop.wheelchair_accessible ?? null,
+      routeCount: stop.route_count || 0,
+      routeIds: (stop.route_ids || []).join(","),
+    },
+  }));
+
+  return featureCollection("stops", features);
+}
+
+// Route lines from routes.route_geometry, or straight lines between the
+// stops when a route has no geometry (geometrySource says which)
+function buildRoutesCollection(rows) {
+  const features = [];
+  rows.forEach((row) => {
+    const stops = row.route_stops || [];
+    let line = parseRouteGeometry(row.route_geometry);
+    let geometrySource = "shape";
+    if (!line) {
+      if (stops.length < 2) return;
+      line = stops.map((stop) => [Number(stop.latitude), Number(stop.longitude)]);
+      geometrySource = "stops";
+    }
+
+    features.push({
+      type: "Feature",
+      id: row.route_id,
+      geometry: {
+        type: "LineString",
+        coordinates: line.map(([latitude, longitude]) => [longitude, latitude]),
+      },
+      properties: {
+        routeId: row.route_id,
+        name: row.route_name || row.route_id,
+        direction: row.route_direction || null,
+        variant: row.route_variant || null,
+        gtfsRouteId: row.gtfs_route_id || null,
+        gtfsTripId: row.gtfs_trip_id || null,
+        stopCount: stops.length,
+        distanceMeters: row.route_distance !== null && row.route_distance !== undefined
+          ? parseFloat(row.route_distance)
+          : null,
+        durationSeconds: row.route_duration ?? null,
+        geometrySource,
+        lastUpdated: row.route_last_updated ? new Date(row.route_last_updated).toISOString() : null,
+      },
+    });
+  });
+
+  return featureCollection("routes", features);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function kmlCoordinates(coordinates) {
+  return coordinates.map(([longitude, latitude]) => `${longitude},${latitude},0`).join(" ");
+}
+
+function kmlGeometry(geometry) {
+  if (geometry.type === "Point") {
+    return `<Point><coordinates>${kmlCoordinates([geometry.coordinates])}</coordinates></Point>`;
+  }
+  return `<LineString><tessellate>1</tessellate><coordinates>${kmlCoordinates(geometry.coordinates)}</coordinates></LineString>`;
+}
+
+// KML document with one Placemark per feature; properties become ExtendedData
+function toKml(collection) {
+  const placemarks = collection.features.map((feature) => {
+    const properties = feature.properties;
+    const name = properties.name || properties.busId || feature.id;
+    const data = Object.entries(properties)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+      .join("");
+
+    return `    <Placemark><name>${escapeXml(name)}</name><ExtendedData>${data}</ExtendedData>${kmlGeometry(feature.geometry)}</Placemark>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    `    <name>${escapeXml(collection.name)}</name>`,
+    ...placemarks,
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
+
+module.exports = {
+  buildBusesCollection,
+  buildStopsCollection,
+  buildRoutesCollection,
+  toKml,
+};
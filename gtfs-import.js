@@ -0,0 +1,331 @@
+// gtfs-import.js - Import a GTFS static feed into the stop catalogue, routes /
+// route_stops and the timetable tables. Stops are matched on their GTFS stop id,
+// so re-imports update them in place. Imported routes are not assigned to any bus.
+// Shapes go through the same validation and measuring as uploaded routes.
+// Usage: node gtfs-import.js <feed.zip> [--routes=12,14A]
+require('dotenv').config();
+const AdmZip = require('adm-zip');
+const { parse } = require('csv-parse/sync');
+const db = require('./database');
+const { migrateUp } = require('./migrator');
+const { DEFAULT_MAX_STOP_DISTANCE, processRouteGeometry } = require('./route-geometry');
+
+// Same limit the server applies to uploaded routes
+const ROUTE_MAX_STOP_DISTANCE_METERS = parseFloat(process.env.ROUTE_MAX_STOP_DISTANCE_METERS) || DEFAULT_MAX_STOP_DISTANCE;
+
+// Read one GTFS table from the zip as an array of row objects
+function readGtfsTable(zip, fileName, required = true) {
+  const entry = zip.getEntries().find(e =>
+    !e.isDirectory && e.entryName.split('/').pop() === fileName
+  );
+
+  if (!entry) {
+    if (required) {
+      throw new Error(`GTFS feed is missing ${fileName}`);
+    }
+    return [];
+  }
+
+  return parse(entry.getData().toString('utf8'), {
+    columns: true,
+    bom: true,
+    trim: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+  });
+}
+
+// GTFS times are HH:MM:SS and may run past 24:00:00 for after-midnight service
+function parseGtfsTime(value) {
+  if (!value) return null;
+  const [hours, minutes, seconds] = value.split(':').map(Number);
+  if ([hours, minutes, seconds].some(isNaN)) return null;
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+function groupBy(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    const value = row[key];
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(row);
+  }
+  return groups;
+}
+
+// Turn parsed GTFS tables into one route record per GTFS route and direction.
+// Each record uses the trip with the most stops as the representative pattern.
+function buildRoutesFromGtfs(tables, options = {}) {
+  const { stops, routes, trips, stopTimes, shapes } = tables;
+  const routeFilter = options.routes && options.routes.length > 0
+    ? new Set(options.routes)
+    : null;
+
+  const stopsById = new Map(stops.map(stop => [stop.stop_id, stop]));
+  const stopTimesByTrip = groupBy(stopTimes, 'trip_id');
+  const shapePointsById = groupBy(shapes, 'shape_id');
+  const tripsByRoute = groupBy(trips, 'route_id');
+
+  const result = [];
+
+  for (const route of routes) {
+    const routeKey = route.route_short_name || route.route_id;
+    if (routeFilter && !routeFilter.has(routeKey) && !routeFilter.has(route.route_id)) {
+      continue;
+    }
+
+    const routeTrips = tripsByRoute.get(route.route_id) || [];
+    const tripsByDirection = groupBy(
+      routeTrips.map(trip => ({ ...trip, direction_id: trip.direction_id || '0' })),
+      'direction_id'
+    );
+
+    for (const [directionId, directionTrips] of tripsByDirection) {
+      let representative = null;
+      let representativeStopTimes = [];
+
+      for (const trip of directionTrips) {
+        const tripStopTimes = stopTimesByTrip.get(trip.trip_id) || [];
+        if (tripStopTimes.length > representativeStopTimes.length) {
+          representative = trip;
+          representativeStopTimes = tripStopTimes;
+        }
+      }
+
+      if (!representative || representativeStopTimes.length < 2) {
+        console.warn(`⚠️ Skipping route ${routeKey} direction ${directionId}: no trip with at least 2 stops`);
+        continue;
+      }
+
+      const orderedStopTimes = [...representativeStopTimes].sort(
+        (a, b) => Number(a.stop_sequence) - Number(b.stop_sequence)
+      );
+
+      const parsedStops = orderedStopTimes
+        .map(stopTime => stopsById.get(stopTime.stop_id))
+        .filter(Boolean)
+        .map(stop => ({
+          name: stop.stop_name || stop.stop_id,
+          latitude: parseFloat(stop.stop_lat),
+          longitude: parseFloat(stop.stop_lon),
+          code: stop.stop_code || null,
+          gtfsStopId: stop.stop_id,
+        }));
+
+      const shapePoints = (shapePointsById.get(representative.shape_id) || [])
+        .sort((a, b) => Number(a.shape_pt_sequence) - Number(b.shape_pt_sequence))
+        .map(point => [parseFloat(point.shape_pt_lat), parseFloat(point.shape_pt_lon)]);
+
+      const maxStopDistance = options.maxStopDistance || ROUTE_MAX_STOP_DISTANCE_METERS;
+      let geometry = processRouteGeometry(shapePoints.length >= 2 ? shapePoints : null, parsedStops, { maxStopDistance });
+      if (geometry.error && shapePoints.length >= 2) {
+        // A shape that misses its stops would throw off ETAs; use stop-to-stop lines
+        console.warn(`⚠️ Route ${routeKey} direction ${directionId}: ignoring shape ${representative.shape_id} - ${geometry.error}`);
+        geometry = processRouteGeometry(null, parsedStops, { maxStopDistance });
+      }
+      if (geometry.error) {
+        console.warn(`⚠️ Skipping route ${routeKey} direction ${directionId}: ${geometry.error}`);
+        continue;
+      }
+      parsedStops.forEach((stop, index) => {
+        stop.distanceAlongRoute = geometry.stopDistances[index];
+      });
+
+      const firstDeparture = parseGtfsTime(
+        orderedStopTimes[0].departure_time || orderedStopTimes[0].arrival_time
+      );
+      const lastArrival = parseGtfsTime(
+        orderedStopTimes[orderedStopTimes.length - 1].arrival_time ||
+        orderedStopTimes[orderedStopTimes.length - 1].departure_time
+      );
+
+      result.push({
+        // Routes running both ways get one route per direction
+        routeId: tripsByDirection.size > 1 ? `${routeKey}_${directionId}` : routeKey,
+        name: route.route_long_name
+          ? `${routeKey} ${route.route_long_name}`
+          : routeKey,
+        direction: directionId,
+        variant: representative.trip_headsign || null,
+        directionId,
+        gtfsRouteId: route.route_id,
+        gtfsTripId: representative.trip_id,
+        routeGeometry: geometry.routeGeometry,
+        routeDistance: geometry.routeDistance,
+        // The timetable knows better than the speed estimate
+        routeDuration: firstDeparture !== null && lastArrival !== null
+          ? lastArrival - firstDeparture
+          : geometry.routeDuration,
+        parsedStops,
+      });
+    }
+  }
+
+  return result;
+}
+
+const CALENDAR_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Every trip of an imported route pattern becomes a timetable trip. Days come
+// from calendar.txt (weekday columns only; calendar_dates exceptions are ignored).
+function buildTimetablesFromGtfs(tables, routes) {
+  const { stops, trips, stopTimes, calendar = [] } = tables;
+  const stopsById = new Map(stops.map(stop => [stop.stop_id, stop]));
+  const stopTimesByTrip = groupBy(stopTimes, 'trip_id');
+  const daysByService = new Map(calendar.map(service => [
+    service.service_id,
+    CALENDAR_DAYS.map((day, index) => (service[day] === '1' ? index : null)).filter(day => day !== null),
+  ]));
+
+  const timetables = [];
+  for (const route of routes) {
+    const routeTrips = trips.filter(trip =>
+      trip.route_id === route.gtfsRouteId && (trip.direction_id || '0') === route.directionId
+    );
+
+    for (const trip of routeTrips) {
+      const ordered = (stopTimesByTrip.get(trip.trip_id) || [])
+        .sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+
+      const tripStopTimes = ordered
+        .map((stopTime, index) => {
+          const arrivalTime = parseGtfsTime(stopTime.arrival_time) ?? parseGtfsTime(stopTime.departure_time);
+          if (arrivalTime === null) return null;
+          const stop = stopsById.get(stopTime.stop_id);
+          return {
+            stopSequence: index + 1,
+            gtfsStopId: stopTime.stop_id,
+            stopName: stop ? stop.stop_name : null,
+            arrivalTime,
+            departureTime: parseGtfsTime(stopTime.departure_time) ?? arrivalTime,
+          };
+        })
+        .filter(Boolean);
+
+      if (tripStopTimes.length < 2) continue;
+
+      timetables.push({
+        scheduleTripId: trip.trip_id,
+        routeId: route.routeId,
+        direction: route.directionId,
+        daysOfWeek: daysByService.get(trip.service_id) || null,
+        stopTimes: tripStopTimes,
+      });
+    }
+  }
+
+  return timetables;
+}
+
+// Generated ids (a short name, maybe with a direction suffix) can clash with a
+// bus id or a route uploaded or managed by hand. Re-imports keep the id this
+// GTFS route already has; otherwise the plain id is used only when no route or
+// bus has it, then the gtfs_ prefixed one. Null when both are taken.
+async function chooseImportRouteId(route) {
+  for (const routeId of [route.routeId, `gtfs_${route.routeId}`]) {
+    const existing = await db.getRoute(routeId);
+    if (existing) {
+      if (existing.gtfs_route_id === route.gtfsRouteId && !existing.route_owner_bus_id) {
+        return routeId;
+      }
+      continue;
+    }
+    if (!(await db.getBusById(routeId))) {
+      return routeId;
+    }
+  }
+  return null;
+}
+
+async function importGtfsFeed(zipPath, options = {}) {
+  const zip = new AdmZip(zipPath);
+
+  const tables = {
+    stops: readGtfsTable(zip, 'stops.txt'),
+    routes: readGtfsTable(zip, 'routes.txt'),
+    trips: readGtfsTable(zip, 'trips.txt'),
+    stopTimes: readGtfsTable(zip, 'stop_times.txt'),
+    shapes: readGtfsTable(zip, 'shapes.txt', false),
+    calendar: readGtfsTable(zip, 'calendar.txt', false),
+  };
+
+  console.log(`📦 GTFS feed loaded: ${tables.routes.length} routes, ${tables.trips.length} trips, ${tables.stops.length} stops`);
+
+  const routes = [];
+  for (const route of buildRoutesFromGtfs(tables, options)) {
+    const routeId = await chooseImportRouteId(route);
+    if (!routeId) {
+      console.warn(`⚠️ Skipping route ${route.routeId}: ids ${route.routeId} and gtfs_${route.routeId} are taken by other routes or buses`);
+      continue;
+    }
+    if (routeId !== route.routeId) {
+      console.warn(`⚠️ Route id ${route.routeId} is taken by another route or bus - importing as ${routeId}`);
+    }
+    routes.push({ ...route, routeId });
+  }
+  const timestamp = new Date().toISOString();
+
+  for (const route of routes) {
+    await db.saveRoute({
+      ...route,
+      deviceId: null,
+      timestamp,
+    });
+  }
+
+  console.log(`✅ Imported ${routes.length} GTFS route patterns`);
+
+  const timetables = buildTimetablesFromGtfs(tables, routes);
+  for (const timetable of timetables) {
+    await db.saveTimetableTrip(timetable);
+  }
+
+  console.log(`✅ Imported ${timetables.length} timetable trips`);
+  return routes;
+}
+
+async function runImport() {
+  const [zipPath, ...flags] = process.argv.slice(2);
+  if (!zipPath) {
+    console.error('Usage: node gtfs-import.js <feed.zip> [--routes=12,14A]');
+    process.exit(1);
+  }
+
+  const routesFlag = flags.find(flag => flag.startsWith('--routes='));
+  const routes = routesFlag
+    ? routesFlag.slice('--routes='.length).split(',').map(r => r.trim()).filter(Boolean)
+    : [];
+
+  console.log(`🚀 Starting GTFS import from ${zipPath}...`);
+
+  try {
+    // An in-memory import would be gone as soon as this process exits
+    if (db.driver !== 'postgres') {
+      throw new Error(`GTFS import needs the postgres storage driver (STORAGE_DRIVER is ${db.driver})`);
+    }
+
+    const connected = await db.testConnection();
+    if (!connected) {
+      throw new Error('Failed to connect to database');
+    }
+
+    await migrateUp();
+    await importGtfsFeed(zipPath, { routes });
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ GTFS import failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run import if this script is called directly
+if (require.main === module) {
+  runImport();
+}
+
+module.exports = {
+  importGtfsFeed,
+  buildRoutesFromGtfs,
+  buildTimetablesFromGtfs,
+  parseGtfsTime,
+};
@@ -0,0 +1,203 @@
+// gtfs-realtime.js - GTFS-Realtime feed builders for live bus data
+// Builds VehiclePositions and TripUpdates FeedMessages from BusInfo objects
+
+const GtfsRealtimeBindings = require("gtfs-realtime-bindings");
+const { calculateDistance } = require("./database");
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+const DEFAULT_SPEED_MPS = 5.5; // ~20 km/h when the bus reports no speed
+const MAX_EVENT_AGE_MS = 60 * 60 * 1000; // ignore stop visits older than an hour
+
+function toUnixSeconds(value) {
+  const time = value ? new Date(value).getTime() : Date.now();
+  return Math.floor((isNaN(time) ? Date.now() : time) / 1000);
+}
+
+function feedHeader() {
+  return {
+    gtfsRealtimeVersion: "2.0",
+    incrementality: "FULL_DATASET",
+    timestamp: toUnixSeconds(),
+  };
+}
+
+function hasPosition(bus) {
+  return bus.isActive && !!bus.location &&
+    !!bus.location.latitude && !!bus.location.longitude;
+}
+
+function tripDescriptor(bus) {
+  const route = bus.route;
+  if (route && (route.gtfsTripId || route.gtfsRouteId)) {
+    return {
+      tripId: route.gtfsTripId || undefined,
+      routeId: route.gtfsRouteId || undefined,
+    };
+  }
+  return { routeId: route && route.routeId ? route.routeId : bus.busId };
+}
+
+// The feed names catalogue stops (GTFS id when known), never a route stop id
+function feedStopId(stop) {
+  if (stop.gtfsStopId) return stop.gtfsStopId;
+  return stop.stopId !== null && stop.stopId !== undefined ? String(stop.stopId) : undefined;
+}
+
+// Index of the stop a proximity event refers to, matched by id then by name
+function findStopIndex(stops, event) {
+  const byId = stops.findIndex(stop => stop.id !== null && stop.id === event.stop_id);
+  if (byId !== -1) return byId;
+  return stops.findIndex(stop => stop.name === event.stop_name);
+}
+
+// Work out which stop the bus last visited and which one it is heading to
+function locateOnRoute(bus, lastEvent) {
+  const stops = bus.route ? bus.route.stops : [];
+  if (stops.length === 0) return null;
+
+  const eventTime = lastEvent ? new Date(lastEvent.timestamp).getTime() : NaN;
+  if (lastEvent && Date.now() - eventTime <= MAX_EVENT_AGE_MS) {
+    const lastIndex = findStopIndex(stops, lastEvent);
+    if (lastIndex !== -1) {
+      return {
+        lastIndex,
+        nextIndex: lastIndex + 1,
+        lastVisitedAt: eventTime,
+        lastSkipped: lastEvent.event_type === "skipped",
+      };
+    }
+  }
+
+  // No recent visit on record: assume the bus is heading to its nearest stop
+  let nearestIndex = 0;
+  let nearestDistance = Infinity;
+  stops.forEach((stop, index) => {
+    const distance = calculateDistance(
+      bus.location.latitude, bus.location.longitude, stop.latitude, stop.longitude
+    );
+    if (distance < nearestDistance) {
+      nearestDistance = distance;
+      nearestIndex = index;
+    }
+  });
+
+  return { lastIndex: null, nextIndex: nearestIndex, lastVisitedAt: null, lastSkipped: false };
+}
+
+// Predicted arrival for every remaining stop, from the bus position and speed
+function predictStopTimes(bus, lastEvent) {
+  const position = locateOnRoute(bus, lastEvent);
+  if (!position) return [];
+
+  const stops = bus.route.stops;
+  const predictions = [];
+
+  if (position.lastIndex !== null) {
+    predictions.push({
+      stop: stops[position.lastIndex],
+      stopSequence: position.lastIndex + 1,
+      arrivalTime: Math.floor(position.lastVisitedAt / 1000),
+      observed: true,
+      skipped: position.lastSkipped,
+    });
+  }
+
+  const speed = bus.location.speed > 0.5 ? bus.location.speed : DEFAULT_SPEED_MPS;
+  const now = Date.now();
+  let distance = 0;
+  let previous = { latitude: bus.location.latitude, longitude: bus.location.longitude };
+
+  for (let index = position.nextIndex; index < stops.length; index++) {
+    const stop = stops[index];
+    distance += calculateDistance(
+      previous.latitude, previous.longitude, stop.latitude, stop.longitude
+    );
+    // Prefer the ETA engine's estimate, fall back to distance over speed
+    const arrival = stop.estimatedArrival
+      ? new Date(stop.estimatedArrival).getTime()
+      : now + (distance / speed) * 1000;
+    predictions.push({
+      stop,
+      stopSequence: index + 1,
+      arrivalTime: Math.floor(arrival / 1000),
+      observed: false,
+      skipped: false,
+    });
+    previous = stop;
+  }
+
+  return predictions;
+}
+
+function buildVehiclePositionsFeed(buses, lastEventsByBus = new Map()) {
+  const entity = buses.filter(hasPosition).map(bus => {
+    const { location } = bus;
+    const vehicle = {
+      trip: tripDescriptor(bus),
+      vehicle: { id: bus.busId, label: bus.busId },
+      position: {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        bearing: location.heading !== null ? location.heading : undefined,
+        speed: location.speed || 0,
+      },
+      timestamp: toUnixSeconds(location.timestamp),
+    };
+
+    const position = locateOnRoute(bus, lastEventsByBus.get(bus.busId));
+    if (position && position.nextIndex < bus.route.stops.length) {
+      vehicle.currentStopSequence = position.nextIndex + 1;
+      vehicle.stopId = feedStopId(bus.route.stops[position.nextIndex]);
+      vehicle.currentStatus = "IN_TRANSIT_TO";
+    }
+
+    return { id: bus.busId, vehicle };
+  });
+
+  return { header: feedHeader(), entity };
+}
+
+function buildTripUpdatesFeed(buses, lastEventsByBus = new Map()) {
+  const entity = buses
+    .filter(bus => hasPosition(bus) && bus.route && bus.route.stops.length > 0)
+    .map(bus => {
+      const predictions = predictStopTimes(bus, lastEventsByBus.get(bus.busId));
+      return {
+        id: `trip_${bus.busId}`,
+        tripUpdate: {
+          trip: tripDescriptor(bus),
+          vehicle: { id: bus.busId, label: bus.busId },
+          timestamp: toUnixSeconds(bus.location.timestamp),
+          stopTimeUpdate: predictions.map(prediction => (prediction.skipped
+            ? {
+              stopSequence: prediction.stopSequence,
+              stopId: feedStopId(prediction.stop),
+              scheduleRelationship: "SKIPPED",
+            }
+            : {
+              stopSequence: prediction.stopSequence,
+              stopId: feedStopId(prediction.stop),
+              arrival: { time: prediction.arrivalTime },
+              scheduleRelationship: "SCHEDULED",
+            })),
+        },
+      };
+    })
+    .filter(item => item.tripUpdate.stopTimeUpdate.length > 0);
+
+  return { header: feedHeader(), entity };
+}
+
+// Serialize a feed object to GTFS-Realtime protobuf bytes
+function encodeFeed(feed) {
+  const message = FeedMessage.fromObject(feed);
+  return Buffer.from(FeedMessage.encode(message).finish());
+}
+
+module.exports = {
+  buildVehiclePositionsFeed,
+  buildTripUpdatesFeed,
+  encodeFeed,
+  predictStopTimes,
+};
@@ -0,0 +1,160 @@
+// location-filter.js - GPS noise filtering for incoming driver locations
+// Rejects fixes that imply an impossible speed or are too vague to use, and
+// smooths the rest with a Kalman filter whose measurement noise is the fix's
+// reported accuracy, so poor fixes move the estimate less.
+
+const { calculateDistance } = require("./database");
+
+class LocationFilter {
+  constructor(options = {}) {
+    this.maxSpeed = options.maxSpeed || 40; // m/s (~144 km/h), faster jumps are rejected
+    this.maxAccuracy = options.maxAccuracy || 500; // metres, vaguer fixes are rejected
+    this.defaultAccuracy = options.defaultAccuracy || 20; // metres, when the device sends none
+    this.minAccuracy = options.minAccuracy || 3; // metres, floor so one fix can't pin the estimate
+    this.processNoise = options.processNoise || 3; // m/s of expected movement between fixes
+    this.resetAfter = options.resetAfter || 5 * 60 * 1000; // start over after a long gap
+    this.maxConsecutiveRejections = options.maxConsecutiveRejections || 3; // then trust the new position
+    this.states = new Map(); // busId -> filter state
+  }
+
+  static createState() {
+    return {
+      latitude: null,
+      longitude: null,
+      variance: 0, // m²
+      time: null,
+      heading: null,
+      consecutiveRejections: 0,
+    };
+  }
+
+  getState(busId) {
+    let state = this.states.get(busId);
+    if (!state) {
+      state = LocationFilter.createState();
+      this.states.set(busId, state);
+    }
+    return state;
+  }
+
+  // Filter one live point for its bus
+  process(location) {
+    return this.apply(this.getState(location.busId), location);
+  }
+
+  // Filter points that are older than the live position (e.g. the start of a
+  // batch upload) without disturbing the live state. Input must be oldest first.
+  processSequence(locations) {
+    const state = LocationFilter.createState();
+    return locations.map((location) => this.apply(state, location));
+  }
+
+  // Returns { status: "accepted" | "filtered" | "rejected", reason, latitude,
+  // longitude, heading, impliedSpeed }. Accepted points are used as-is,
+  // filtered ones are smoothed, rejected ones must not move the bus.
+  apply(state, location) {
+    const time = new Date(location.timestamp).getTime();
+    const accuracy = Math.max(this.minAccuracy, location.accuracy || this.defaultAccuracy);
+
+    const result = (status, reason, extra = {}) => ({
+      status,
+      reason,
+      latitude: state.latitude,
+      longitude: state.longitude,
+      heading: state.heading,
+      impliedSpeed: null,
+      ...extra,
+    });
+
+    if (accuracy > this.maxAccuracy) {
+      return result("rejected", "poor_accuracy");
+    }
+
+    if (state.time === null || time - state.time > this.resetAfter) {
+      const reason = state.time === null ? "first_fix" : "reset";
+      this.reset(state, location, time, accuracy);
+      return result("accepted", reason);
+    }
+
+    const elapsed = (time - state.time) / 1000;
+    if (elapsed <= 0) {
+      return result("rejected", "out_of_order");
+    }
+
+    // Give the jump the benefit of both fixes' uncertainty before calling it impossible
+    const distance = calculateDistance(state.latitude, state.longitude, location.latitude, location.longitude);
+    const impliedSpeed = Math.max(0, distance - accuracy - Math.sqrt(state.variance)) / elapsed;
+    if (impliedSpeed > this.maxSpeed) {
+      state.consecutiveRejections++;
+      if (state.consecutiveRejections < this.maxConsecutiveRejections) {
+        return result("rejected", "impossible_jump", { impliedSpeed });
+      }
+      // Several "impossible" fixes in a row: the estimate is what's wrong
+      this.reset(state, location, time, accuracy);
+      return result("accepted", "reset", { impliedSpeed });
+    }
+
+    // Predict: uncertainty grows with time, faster when the bus is moving
+    const movement = Math.max(this.processNoise, location.speed || 0);
+    state.variance += (elapsed * movement) ** 2;
+
+    // Update: blend in the measurement by the Kalman gain
+    const gain = state.variance / (state.variance + accuracy * accuracy);
+    const previous = { latitude: state.latitude, longitude: state.longitude };
+    state.latitude += gain * (location.latitude - state.latitude);
+    state.longitude += gain * (location.longitude - state.longitude);
+    state.variance *= 1 - gain;
+    state.time = time;
+    state.consecutiveRejections = 0;
+
+    // Heading: the device's if it has one, otherwise the direction of travel
+    let measuredHeading = location.heading !== null && location.heading !== undefined
+      ? location.heading
+      : null;
+    if (measuredHeading === null && calculateDistance(
+      previous.latitude, previous.longitude, state.latitude, state.longitude
+    ) > 5) {
+      measuredHeading = bearing(previous, state);
+    }
+    if (measuredHeading !== null) {
+      state.heading = state.heading === null
+        ? measuredHeading
+        : normalizeHeading(state.heading + gain * headingDelta(state.heading, measuredHeading));
+    }
+
+    return result("filtered", null, { impliedSpeed });
+  }
+
+  reset(state, location, time, accuracy) {
+    state.latitude = location.latitude;
+    state.longitude = location.longitude;
+    state.variance = accuracy * accuracy;
+    state.time = time;
+    state.heading = location.heading !== null && location.heading !== undefined ? location.heading : null;
+    state.consecutiveRejections = 0;
+  }
+
+  forget(busId) {
+    this.states.delete(busId);
+  }
+}
+
+function bearing(from, to) {
+  const φ1 = from.latitude * Math.PI / 180;
+  const φ2 = to.latitude * Math.PI / 180;
+  const Δλ = (to.longitude - from.longitude) * Math.PI / 180;
+  const y = Math.sin(Δλ) * Math.cos(φ2);
+  const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+  return normalizeHeading(Math.atan2(y, x) * 180 / Math.PI);
+}
+
+// Signed shortest turn from a to b, in degrees
+function headingDelta(a, b) {
+  return ((b - a + 540) % 360) - 180;
+}
+
+function normalizeHeading(heading) {
+  return ((heading % 360) + 360) % 360;
+}
+
+module.exports = LocationFilter;
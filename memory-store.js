@@ -0,0 +1,1148 @@
+// memory-store.js - In-process storage driver (STORAGE_DRIVER=memory)
+// Implements the same operations as postgres-store.js and returns rows of the
+// same shape (snake_case columns, Date timestamps), so the server runs
+// unchanged without a database. Nothing survives a restart.
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function toDate(value) {
+  return value === null || value === undefined ? null : new Date(value);
+}
+
+function time(value) {
+  return value ? new Date(value).getTime() : 0;
+}
+
+// Linear interpolation between closest ranks, like PERCENTILE_CONT
+function percentile(sorted, fraction) {
+  const position = fraction * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Local hour (0-23) or weekday (0 = Sunday) of a timestamp, like
+// EXTRACT(HOUR/DOW FROM ts AT TIME ZONE tz); null when not grouping
+function localBucket(date, groupBy, timeZone) {
+  if (groupBy === "hour") {
+    return parseInt(new Intl.DateTimeFormat("en-US", { timeZone, hour: "numeric", hourCycle: "h23" }).format(date), 10);
+  }
+  if (groupBy === "weekday") {
+    return WEEKDAYS.indexOf(new Intl.DateTimeFormat("en-US", { timeZone, weekday: "short" }).format(date));
+  }
+  return null;
+}
+
+// Sort comparator that puts nulls last, like ORDER BY ... ASC in Postgres
+function compareNullable(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+}
+
+// Consecutive [previous, current] rows within each partition, ordered by
+// timestamp then id (the LAG() OVER (PARTITION BY ...) pattern)
+function consecutivePairs(rows, partitionKey) {
+  const partitions = new Map();
+  rows.forEach((row) => {
+    const key = partitionKey(row);
+    if (!partitions.has(key)) partitions.set(key, []);
+    partitions.get(key).push(row);
+  });
+
+  const pairs = [];
+  partitions.forEach((partition) => {
+    partition.sort((a, b) => time(a.timestamp) - time(b.timestamp) || a.id - b.id);
+    for (let index = 1; index < partition.length; index++) {
+      pairs.push([partition[index - 1], partition[index]]);
+    }
+  });
+  return pairs;
+}
+
+// YYYY-MM-DD of the server's local date, like CURRENT_DATE
+function localDate(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function groupRows(rows, keyOf) {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return Array.from(groups.values());
+}
+
+class MemoryStore {
+  constructor(options = {}) {
+    this.driver = "memory";
+    this.maxHistoryPoints = options.maxHistoryPoints || 100000; // oldest points are dropped beyond this
+    this.sequences = {};
+
+    this.activeBuses = new Map(); // busId -> row
+    this.routes = new Map(); // routeId -> row
+    this.stops = new Map(); // stopId -> catalogue row
+    this.routeStops = [];
+    this.stopsByGtfsId = new Map(); // gtfsStopId -> stopId
+    this.busAssignments = [];
+    this.proximityEvents = [];
+    this.locationHistory = [];
+    this.historyKeys = new Set(); // "busId|recordedAtMs", for batch de-duplication
+    this.trips = [];
+    this.timetableTrips = new Map(); // scheduleTripId -> row
+    this.scheduledStopTimes = new Map(); // scheduleTripId -> rows
+    this.stopAdherence = [];
+    this.routeDeviations = [];
+    this.driverDevices = new Map(); // deviceId -> row
+    this.arrivalAlerts = new Map(); // alertId -> row
+    this.webhookSubscriptions = [];
+    this.webhookDeliveries = [];
+  }
+
+  nextId(table) {
+    this.sequences[table] = (this.sequences[table] || 0) + 1;
+    return this.sequences[table];
+  }
+
+  async testConnection() {
+    console.log("✅ Using in-memory storage - data will be lost on restart");
+    return true;
+  }
+
+  // Nothing to release; here so callers can close either driver
+  async close() {}
+
+  // Bus operations
+  async updateBusLocation(busData, historyData = busData) {
+    const row = {
+      bus_id: busData.busId,
+      device_id: busData.deviceId,
+      latitude: busData.latitude,
+      longitude: busData.longitude,
+      accuracy: busData.accuracy,
+      heading: busData.heading,
+      speed: busData.speed,
+      last_update: toDate(busData.timestamp),
+      server_received_at: new Date(),
+      local_time: toDate(busData.localTime),
+      background_update: busData.backgroundUpdate,
+      source: busData.source,
+    };
+    this.activeBuses.set(row.bus_id, row);
+
+    // Keep the full path, not just the latest point
+    await this.addLocationHistory(historyData);
+
+    return { ...row };
+  }
+
+  // Location history operations
+  async addLocationHistory(busData) {
+    const row = {
+      id: this.nextId("bus_location_history"),
+      bus_id: busData.busId,
+      device_id: busData.deviceId,
+      latitude: busData.latitude,
+      longitude: busData.longitude,
+      accuracy: busData.accuracy,
+      heading: busData.heading,
+      speed: busData.speed,
+      recorded_at: busData.timestamp ? new Date(busData.timestamp) : new Date(),
+      server_received_at: new Date(),
+      background_update: busData.backgroundUpdate || false,
+      source: busData.source,
+      trip_id: busData.tripId || null,
+      filter_status: busData.filterStatus || null,
+      filter_reason: busData.filterReason || null,
+      filtered_latitude: busData.filteredLatitude ?? null,
+      filtered_longitude: busData.filteredLongitude ?? null,
+    };
+    this.locationHistory.push(row);
+    this.historyKeys.add(`${row.bus_id}|${row.recorded_at.getTime()}`);
+
+    if (this.locationHistory.length > this.maxHistoryPoints) {
+      this.locationHistory.splice(0, this.locationHistory.length - this.maxHistoryPoints).forEach((old) => {
+        this.historyKeys.delete(`${old.bus_id}|${old.recorded_at.getTime()}`);
+      });
+    }
+  }
+
+  // Insert many points in time order, skipping any already stored for the
+  // same bus and timestamp. Returns the number of rows actually inserted.
+  async addLocationHistoryBatch(points) {
+    const ordered = [...points].sort((a, b) => time(a.timestamp) - time(b.timestamp));
+    let inserted = 0;
+    for (const point of ordered) {
+      if (this.historyKeys.has(`${point.busId}|${time(point.timestamp)}`)) continue;
+      await this.addLocationHistory(point);
+      inserted++;
+    }
+    return inserted;
+  }
+
+  // Points for a bus between two instants, oldest first. When intervalSeconds
+  // is given, only the first point of each interval bucket is returned.
+  async getLocationHistory(busId, { from, to, intervalSeconds = null, limit = 5000, includeRejected = false } = {}) {
+    const fromTime = time(from);
+    const toTime = time(to);
+    let rows = this.locationHistory
+      .filter((row) => row.bus_id === busId
+        && row.recorded_at.getTime() >= fromTime && row.recorded_at.getTime() <= toTime
+        && (includeRejected || row.filter_status !== "rejected"))
+      .sort((a, b) => a.recorded_at - b.recorded_at || a.id - b.id);
+
+    if (intervalSeconds) {
+      const seen = new Set();
+      rows = rows.filter((row) => {
+        const bucket = Math.floor(row.recorded_at.getTime() / 1000 / intervalSeconds);
+        if (seen.has(bucket)) return false;
+        seen.add(bucket);
+        return true;
+      });
+    }
+
+    return rows.slice(0, limit).map((row) => ({ ...row }));
+  }
+
+  // A route stop with its catalogue stop's name, position and GTFS id
+  routeStopRow(routeStop) {
+    const stop = this.stops.get(routeStop.stop_id);
+    return {
+      ...routeStop,
+      name: stop.name,
+      latitude: stop.latitude,
+      longitude: stop.longitude,
+      gtfs_stop_id: stop.gtfs_stop_id,
+    };
+  }
+
+  // Route and its ordered stops in the shape of postgres-store's ROUTE_COLUMNS
+  routeRow(routeId) {
+    const route = this.routes.get(routeId) || {};
+    const stops = this.routeStops
+      .filter((stop) => stop.route_id === routeId)
+      .sort((a, b) => a.stop_order - b.stop_order)
+      .map((stop) => this.routeStopRow(stop))
+      .map((stop) => ({
+        id: stop.id,
+        stop_id: stop.stop_id,
+        name: stop.name,
+        latitude: stop.latitude,
+        longitude: stop.longitude,
+        stop_order: stop.stop_order,
+        gtfs_stop_id: stop.gtfs_stop_id,
+        distance_along_route: stop.distance_along_route,
+      }));
+
+    return {
+      route_id: route.id ?? null,
+      route_name: route.name ?? null,
+      route_direction: route.direction ?? null,
+      route_variant: route.variant ?? null,
+      route_geometry: route.route_geometry ?? null,
+      route_distance: route.route_distance ?? null,
+      route_duration: route.route_duration ?? null,
+      stop_count: route.stop_count ?? null,
+      gtfs_route_id: route.gtfs_route_id ?? null,
+      gtfs_trip_id: route.gtfs_trip_id ?? null,
+      route_owner_bus_id: route.owner_bus_id ?? null,
+      route_last_updated: route.last_updated ?? null,
+      route_received_at: route.server_received_at ?? null,
+      route_stops: stops.length > 0 ? stops : null,
+    };
+  }
+
+  // Route of the bus's open trip, else its assignment for the service day,
+  // else its standing assignment (postgres-store's BUS_ROUTE_IDS)
+  resolveRoute(busId, serviceDate) {
+    const trip = this.trips.find((candidate) => candidate.bus_id === busId && !candidate.ended_at && candidate.route_id);
+    if (trip) return { routeId: trip.route_id, source: "trip" };
+
+    const dated = this.busAssignments.find((row) => row.bus_id === busId && row.service_date === serviceDate);
+    if (dated) return { routeId: dated.route_id, source: "service_date" };
+
+    const standing = this.busAssignments.find((row) => row.bus_id === busId && row.service_date === null);
+    return standing ? { routeId: standing.route_id, source: "standing" } : null;
+  }
+
+  // Live position and resolved route in the shape of postgres-store's BUS_COLUMNS
+  busRow(busId, serviceDate) {
+    const bus = this.activeBuses.get(busId) || {};
+    const resolved = this.resolveRoute(busId, serviceDate);
+
+    return {
+      bus_id: busId,
+      device_id: bus.device_id ?? null,
+      latitude: bus.latitude ?? null,
+      longitude: bus.longitude ?? null,
+      accuracy: bus.accuracy ?? null,
+      heading: bus.heading ?? null,
+      speed: bus.speed ?? null,
+      last_update: bus.last_update ?? null,
+      location_received_at: bus.server_received_at ?? null,
+      local_time: bus.local_time ?? null,
+      background_update: bus.background_update ?? null,
+      source: bus.source ?? null,
+      route_source: resolved ? resolved.source : null,
+      route_service_date: serviceDate,
+      ...this.routeRow(resolved ? resolved.routeId : null),
+    };
+  }
+
+  // Buses with a position or a route on the service date (YYYY-MM-DD,
+  // defaults to today's local date)
+  async getActiveBuses(serviceDate = null) {
+    const date = serviceDate || localDate();
+    const busIds = new Set([
+      ...this.activeBuses.keys(),
+      ...this.busAssignments
+        .filter((row) => row.service_date === null || row.service_date === date)
+        .map((row) => row.bus_id),
+      ...this.trips.filter((trip) => !trip.ended_at && trip.route_id).map((trip) => trip.bus_id),
+    ]);
+    return Array.from(busIds)
+      .map((busId) => this.busRow(busId, date))
+      .sort((a, b) => time(b.location_received_at || b.route_received_at) - time(a.location_received_at || a.route_received_at));
+  }
+
+  async getBusById(busId, serviceDate = null) {
+    const rows = await this.getActiveBuses(serviceDate);
+    return rows.find((row) => row.bus_id === busId) || null;
+  }
+
+  // Route operations
+  // Create or replace a route and its stops. Name, direction and variant are
+  // kept when not given, so stop-only uploads don't wipe them.
+  async saveRoute(routeData) {
+    const {
+      routeId, name = null, direction = null, variant = null,
+      routeGeometry, routeDistance, routeDuration,
+      parsedStops, timestamp, gtfsRouteId = null, gtfsTripId = null, ownerBusId = null
+    } = routeData;
+
+    const existing = this.routes.get(routeId);
+    this.routes.set(routeId, {
+      id: routeId,
+      name: name ?? (existing ? existing.name : null),
+      direction: direction ?? (existing ? existing.direction : null),
+      variant: variant ?? (existing ? existing.variant : null),
+      route_geometry: routeGeometry,
+      route_distance: routeDistance,
+      route_duration: routeDuration,
+      stop_count: parsedStops.length,
+      gtfs_route_id: gtfsRouteId,
+      gtfs_trip_id: gtfsTripId,
+      owner_bus_id: existing ? existing.owner_bus_id : ownerBusId,
+      last_updated: toDate(timestamp),
+      created_at: existing ? existing.created_at : new Date(),
+      server_received_at: new Date(),
+    });
+
+    // Updated in place by position, like postgres-store, so route stop ids
+    // survive a re-upload
+    const stopCount = (parsedStops || []).length;
+    this.deleteRouteStops(routeId, (stop) => stop.stop_order > stopCount);
+    const savedStops = (parsedStops || []).map((stop, index) => {
+      const stopId = this.upsertCatalogueStop(stop);
+      const distanceAlongRoute = stop.distanceAlongRoute ?? null;
+      const existing = this.routeStops.find((row) => row.route_id === routeId && row.stop_order === index + 1);
+      if (existing) {
+        existing.stop_id = stopId;
+        existing.distance_along_route = distanceAlongRoute;
+        return existing;
+      }
+
+      const row = {
+        id: this.nextId("route_stops"),
+        route_id: routeId,
+        stop_id: stopId,
+        stop_order: index + 1,
+        created_at: new Date(),
+        distance_along_route: distanceAlongRoute,
+      };
+      this.routeStops.push(row);
+      return row;
+    });
+
+    console.log(`✅ Route ${routeId} and its stops saved`);
+    return savedStops.map((stop) => ({ ...stop }));
+  }
+
+  // The catalogue stop a route stop points at: the stopId it was matched to,
+  // the stop with its GTFS id (created or refreshed from the feed), or a new stop
+  upsertCatalogueStop(stop) {
+    if (stop.stopId) return stop.stopId;
+
+    const existingId = stop.gtfsStopId ? this.stopsByGtfsId.get(stop.gtfsStopId) : undefined;
+    if (existingId !== undefined) {
+      const row = this.stops.get(existingId);
+      Object.assign(row, {
+        name: stop.name,
+        latitude: stop.latitude,
+        longitude: stop.longitude,
+        code: stop.code || row.code,
+        updated_at: new Date(),
+      });
+      return row.merged_into ?? row.id;
+    }
+
+    return this.insertStop({
+      name: stop.name,
+      latitude: stop.latitude,
+      longitude: stop.longitude,
+      code: stop.code || null,
+      gtfsStopId: stop.gtfsStopId || null,
+    }).id;
+  }
+
+  insertStop({ name, latitude, longitude, code = null, description = null, wheelchairAccessible = null, gtfsStopId = null }) {
+    const row = {
+      id: this.nextId("stops"),
+      name,
+      latitude,
+      longitude,
+      code,
+      description,
+      wheelchair_accessible: wheelchairAccessible,
+      gtfs_stop_id: gtfsStopId,
+      merged_into: null,
+      created_at: new Date(),
+      updated_at: new Date(),
+    };
+    this.stops.set(row.id, row);
+    if (gtfsStopId) this.stopsByGtfsId.set(gtfsStopId, row.id);
+    return row;
+  }
+
+  // Dropping stops keeps their proximity events with a NULL stop_id, as the
+  // foreign key's ON DELETE SET NULL does
+  deleteRouteStops(routeId, matches = () => true) {
+    const dropped = (stop) => stop.route_id === routeId && matches(stop);
+    const oldStopIds = new Set(this.routeStops.filter(dropped).map((stop) => stop.id));
+    this.routeStops = this.routeStops.filter((stop) => !dropped(stop));
+    this.proximityEvents.forEach((event) => {
+      if (oldStopIds.has(event.stop_id)) event.stop_id = null;
+    });
+  }
+
+  async getRoutes() {
+    return Array.from(this.routes.keys())
+      .sort()
+      .map((routeId) => this.routeRow(routeId));
+  }
+
+  async getRoute(routeId) {
+    return this.routes.has(routeId) ? this.routeRow(routeId) : null;
+  }
+
+  // Deleting a route drops its stops and assignments; stop events stay, with
+  // a NULL stop_id
+  async deleteRoute(routeId) {
+    if (!this.routes.delete(routeId)) return false;
+    this.deleteRouteStops(routeId);
+    this.busAssignments = this.busAssignments.filter((row) => row.route_id !== routeId);
+    return true;
+  }
+
+  async getRouteStops(routeId) {
+    return this.routeStops
+      .filter((stop) => stop.route_id === routeId)
+      .sort((a, b) => a.stop_order - b.stop_order)
+      .map((stop) => this.routeStopRow(stop));
+  }
+
+  // Catalogue stop with the routes using it, like postgres-store's STOP_COLUMNS
+  stopRow(stop) {
+    const routeIds = [...new Set(this.routeStops
+      .filter((routeStop) => routeStop.stop_id === stop.id)
+      .map((routeStop) => routeStop.route_id))].sort();
+    return { ...stop, route_count: routeIds.length, route_ids: routeIds };
+  }
+
+  // Stop catalogue. Merged stops are left out of listings; getStop still
+  // returns them (with merged_into set) so callers can follow the merge.
+  async getStops({ routeId = null, bounds = null, query = null } = {}) {
+    const routeStopIds = routeId
+      ? new Set(this.routeStops.filter((stop) => stop.route_id === routeId).map((stop) => stop.stop_id))
+      : null;
+    const pattern = query ? query.toLowerCase() : null;
+
+    return Array.from(this.stops.values())
+      .filter((stop) => stop.merged_into === null
+        && (!routeStopIds || routeStopIds.has(stop.id))
+        && (!bounds || (stop.latitude >= bounds.south && stop.latitude <= bounds.north
+          && stop.longitude >= bounds.west && stop.longitude <= bounds.east))
+        && (!pattern || stop.name.toLowerCase().includes(pattern)
+          || (stop.code && stop.code.toLowerCase().includes(pattern))
+          || stop.gtfs_stop_id === query))
+      .sort((a, b) => a.id - b.id)
+      .map((stop) => this.stopRow(stop));
+  }
+
+  async getStop(stopId) {
+    const stop = this.stops.get(stopId);
+    return stop ? this.stopRow(stop) : null;
+  }
+
+  async createStop(stopData) {
+    return this.stopRow(this.insertStop(stopData));
+  }
+
+  // Routes using a stop count as updated when it changes, so buses pick it up
+  touchRoutes(routeIds) {
+    routeIds.forEach((routeId) => {
+      const route = this.routes.get(routeId);
+      if (route) {
+        route.last_updated = new Date();
+        route.server_received_at = new Date();
+      }
+    });
+  }
+
+  // Attributes only; a stop that moves is a different stop
+  async updateStop(stopId, { name, code, description, wheelchairAccessible }) {
+    const stop = this.stops.get(stopId);
+    if (!stop || stop.merged_into !== null) return null;
+
+    if (name) stop.name = name;
+    if (code !== undefined) stop.code = code;
+    if (description !== undefined) stop.description = description;
+    if (wheelchairAccessible !== undefined) stop.wheelchair_accessible = wheelchairAccessible;
+    stop.updated_at = new Date();
+
+    this.touchRoutes(this.stopRow(stop).route_ids);
+    return this.stopRow(stop);
+  }
+
+  // Fold duplicates into keepStopId: their route stops point at it, they are
+  // tombstoned with merged_into (as is anything merged into them before), and
+  // the survivor takes over a GTFS id, code or other attribute it lacks.
+  // Returns the routes touched.
+  async mergeStops(keepStopId, mergeStopIds) {
+    const merged = new Set(mergeStopIds);
+    const keep = this.stops.get(keepStopId);
+
+    const moved = this.routeStops.filter((routeStop) => merged.has(routeStop.stop_id));
+    moved.forEach((routeStop) => {
+      routeStop.stop_id = keepStopId;
+    });
+
+    this.stops.forEach((stop) => {
+      if (merged.has(stop.id) || merged.has(stop.merged_into)) {
+        stop.merged_into = keepStopId;
+        stop.updated_at = new Date();
+      }
+    });
+
+    const mergedStops = [...mergeStopIds].sort((a, b) => a - b).map((stopId) => this.stops.get(stopId));
+    const firstValue = (column) => {
+      const stop = mergedStops.find((candidate) => candidate[column] !== null);
+      return stop ? stop[column] : null;
+    };
+    const gtfsStopId = firstValue("gtfs_stop_id");
+    mergedStops.forEach((stop) => {
+      stop.gtfs_stop_id = null;
+    });
+    if (keep.gtfs_stop_id === null && gtfsStopId) {
+      keep.gtfs_stop_id = gtfsStopId;
+      this.stopsByGtfsId.set(gtfsStopId, keepStopId);
+    }
+    keep.code = keep.code ?? firstValue("code");
+    keep.description = keep.description ?? firstValue("description");
+    if (keep.wheelchair_accessible === null) {
+      const known = mergedStops.filter((stop) => stop.wheelchair_accessible !== null);
+      keep.wheelchair_accessible = known.length > 0 ? known.some((stop) => stop.wheelchair_accessible) : null;
+    }
+    keep.updated_at = new Date();
+
+    const routeIds = [...new Set(moved.map((routeStop) => routeStop.route_id))];
+    this.touchRoutes(routeIds);
+    console.log(`🔀 Merged ${mergeStopIds.length} stops into stop ${keepStopId}`);
+    return { routeIds, routeStopsMoved: moved.length };
+  }
+
+  // Bus assignments: serviceDate null is the bus's standing route, otherwise
+  // the route for that service day only
+  async assignBus({ busId, routeId, serviceDate = null }) {
+    let row = this.busAssignments.find((candidate) => candidate.bus_id === busId && candidate.service_date === serviceDate);
+    if (row) {
+      row.route_id = routeId;
+      row.created_at = new Date();
+    } else {
+      row = {
+        id: this.nextId("bus_assignments"),
+        bus_id: busId,
+        route_id: routeId,
+        service_date: serviceDate,
+        created_at: new Date(),
+      };
+      this.busAssignments.push(row);
+    }
+    return { ...row };
+  }
+
+  async unassignBus(busId, serviceDate = null) {
+    const before = this.busAssignments.length;
+    this.busAssignments = this.busAssignments.filter((row) => !(row.bus_id === busId && row.service_date === serviceDate));
+    return this.busAssignments.length < before;
+  }
+
+  // Standing assignments first, then dated ones in date order
+  async getAssignments({ busId = null, routeId = null, from = null } = {}) {
+    return this.busAssignments
+      .filter((row) => (busId === null || row.bus_id === busId)
+        && (routeId === null || row.route_id === routeId)
+        && (from === null || row.service_date === null || row.service_date >= from))
+      .sort((a, b) => compareNullable(a.bus_id, b.bus_id)
+        || (a.service_date || "").localeCompare(b.service_date || ""))
+      .map((row) => ({ ...row, route_name: this.routes.get(row.route_id).name }));
+  }
+
+  // The route a bus is assigned for a service day, ignoring any open trip
+  async getAssignedRouteId(busId, serviceDate) {
+    const rows = this.busAssignments.filter((row) => row.bus_id === busId
+      && (row.service_date === serviceDate || row.service_date === null));
+    const row = rows.find((candidate) => candidate.service_date !== null) || rows[0];
+    return row ? row.route_id : null;
+  }
+
+  // Stop visit events ('arrived', 'departed', 'skipped')
+  async recordStopEvent(event) {
+    const row = {
+      id: this.nextId("proximity_events"),
+      bus_id: event.busId,
+      device_id: event.deviceId,
+      stop_id: event.stopId,
+      stop_name: event.stopName,
+      bus_latitude: event.busLatitude,
+      bus_longitude: event.busLongitude,
+      stop_latitude: event.stopLatitude,
+      stop_longitude: event.stopLongitude,
+      distance_meters: event.distance,
+      timestamp: toDate(event.timestamp),
+      event_type: event.type,
+      dwell_seconds: event.dwellSeconds,
+      trip_id: event.tripId || null,
+    };
+    this.proximityEvents.push(row);
+    return { ...row };
+  }
+
+  async getProximityEvents(busId, limit = 50) {
+    return this.proximityEvents
+      .filter((event) => event.bus_id === busId)
+      .sort((a, b) => time(b.timestamp) - time(a.timestamp))
+      .slice(0, limit)
+      .map((event) => ({ ...event }));
+  }
+
+  // Route deviation operations
+  async recordRouteDeviation(event) {
+    const row = {
+      id: this.nextId("route_deviation_events"),
+      bus_id: event.busId,
+      device_id: event.deviceId,
+      event_type: event.type,
+      latitude: event.latitude,
+      longitude: event.longitude,
+      distance_meters: event.distance,
+      max_distance_meters: event.maxDistance || null,
+      off_route_since: toDate(event.offRouteSince),
+      duration_seconds: event.durationSeconds ?? null,
+      timestamp: toDate(event.timestamp),
+      trip_id: event.tripId || null,
+    };
+    this.routeDeviations.push(row);
+    return { ...row };
+  }
+
+  async getRouteDeviations(busId, limit = 50) {
+    return this.routeDeviations
+      .filter((event) => event.bus_id === busId)
+      .sort((a, b) => time(b.timestamp) - time(a.timestamp))
+      .slice(0, limit)
+      .map((event) => ({ ...event }));
+  }
+
+  // Arrival alert operations
+  async saveArrivalAlert(alert) {
+    const row = {
+      id: alert.id,
+      user_id: alert.userId,
+      bus_id: alert.busId,
+      stop_id: alert.stopId,
+      stop_name: alert.stopName,
+      radius_meters: alert.radiusMeters,
+      minutes: alert.minutes,
+      push_token: alert.pushToken,
+      created_at: toDate(alert.createdAt),
+      expires_at: toDate(alert.expiresAt),
+    };
+    this.arrivalAlerts.set(row.id, row);
+    return { ...row };
+  }
+
+  // Alerts that have not expired yet, for the server's cache
+  async getArrivalAlerts() {
+    const now = Date.now();
+    return Array.from(this.arrivalAlerts.values())
+      .filter((row) => time(row.expires_at) > now)
+      .sort((a, b) => time(a.created_at) - time(b.created_at))
+      .map((row) => ({ ...row }));
+  }
+
+  async deleteArrivalAlert(alertId) {
+    return this.arrivalAlerts.delete(alertId);
+  }
+
+  async deleteExpiredArrivalAlerts() {
+    const now = Date.now();
+    let deleted = 0;
+    this.arrivalAlerts.forEach((row, alertId) => {
+      if (time(row.expires_at) <= now) {
+        this.arrivalAlerts.delete(alertId);
+        deleted++;
+      }
+    });
+    return deleted;
+  }
+
+  // Driver device operations
+  async saveDriverDevice({ deviceId, tokenHash, allowedBusIds, label }) {
+    const existing = this.driverDevices.get(deviceId);
+    const row = {
+      device_id: deviceId,
+      token_hash: tokenHash,
+      allowed_bus_ids: allowedBusIds.map(String),
+      label: label ?? (existing ? existing.label : null),
+      created_at: new Date(),
+      revoked_at: null,
+    };
+    this.driverDevices.set(deviceId, row);
+    return { ...row };
+  }
+
+  async getDriverDevice(deviceId) {
+    const row = this.driverDevices.get(deviceId);
+    return row ? { ...row } : null;
+  }
+
+  async getDriverDevices() {
+    return Array.from(this.driverDevices.values())
+      .sort((a, b) => b.created_at - a.created_at)
+      .map(({ token_hash: _tokenHash, ...device }) => device);
+  }
+
+  async revokeDriverDevice(deviceId) {
+    const row = this.driverDevices.get(deviceId);
+    if (!row || row.revoked_at) return null;
+    row.revoked_at = new Date();
+    const { token_hash: _tokenHash, ...device } = row;
+    return device;
+  }
+
+  // Webhook operations
+  async createWebhook({ url, secret, eventTypes, description }) {
+    const row = {
+      id: this.nextId("webhook_subscriptions"),
+      url,
+      secret,
+      event_types: eventTypes,
+      description: description || null,
+      active: true,
+      created_at: new Date(),
+    };
+    this.webhookSubscriptions.push(row);
+    return { ...row };
+  }
+
+  async getWebhooks() {
+    return this.webhookSubscriptions
+      .filter((subscription) => subscription.active)
+      .map((subscription) => ({ ...subscription }));
+  }
+
+  // Deactivate rather than delete so the delivery log is kept
+  async deactivateWebhook(id) {
+    const row = this.webhookSubscriptions.find((subscription) => subscription.id === Number(id) && subscription.active);
+    if (!row) return null;
+    row.active = false;
+    return { ...row };
+  }
+
+  async createWebhookDelivery({ subscriptionId, eventType, payload }) {
+    const row = {
+      id: this.nextId("webhook_deliveries"),
+      subscription_id: subscriptionId,
+      event_type: eventType,
+      payload: JSON.parse(JSON.stringify(payload)),
+      status: "pending",
+      attempts: 0,
+      response_status: null,
+      error: null,
+      next_attempt_at: null,
+      created_at: new Date(),
+      delivered_at: null,
+    };
+    this.webhookDeliveries.push(row);
+    return { ...row };
+  }
+
+  async updateWebhookDelivery(id, { status, attempts, responseStatus, error, nextAttemptAt }) {
+    const row = this.webhookDeliveries.find((delivery) => delivery.id === Number(id));
+    if (!row) return;
+    row.status = status;
+    row.attempts = attempts;
+    row.response_status = responseStatus || null;
+    row.error = error || null;
+    row.next_attempt_at = toDate(nextAttemptAt || null);
+    if (status === "delivered") {
+      row.delivered_at = new Date();
+    }
+  }
+
+  async getWebhookDeliveries(subscriptionId, limit = 50) {
+    return this.webhookDeliveries
+      .filter((delivery) => delivery.subscription_id === Number(subscriptionId))
+      .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+      .slice(0, limit)
+      .map((delivery) => ({ ...delivery }));
+  }
+
+  // Deliveries that were waiting for a retry when the server stopped
+  async getPendingWebhookDeliveries() {
+    const active = new Set(this.webhookSubscriptions.filter((subscription) => subscription.active).map((subscription) => subscription.id));
+    return this.webhookDeliveries
+      .filter((delivery) => (delivery.status === "pending" || delivery.status === "retrying") && active.has(delivery.subscription_id))
+      .sort((a, b) => a.created_at - b.created_at || a.id - b.id)
+      .map((delivery) => ({ ...delivery }));
+  }
+
+  // Stop events joined to the stop they refer to (events of deleted stops are gone)
+  stopEventsWithStops(filter) {
+    const stops = new Map(this.routeStops.map((stop) => [stop.id, this.routeStopRow(stop)]));
+    return this.proximityEvents
+      .filter((event) => stops.has(event.stop_id) && filter(event))
+      .map((event) => ({ ...event, stop: stops.get(event.stop_id) }));
+  }
+
+  // Median travel time between consecutive stops of a bus's route, taken from
+  // stop visits in the last `days` days. Gaps over an hour are ignored.
+  async getSegmentTravelTimes(busId, days = 28) {
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    const events = this.stopEventsWithStops((event) => event.bus_id === busId
+      && (event.event_type === "near_stop" || event.event_type === "arrived")
+      && time(event.timestamp) > since);
+
+    const segments = consecutivePairs(events, (event) => event.trip_id)
+      .filter(([previous, current]) => previous.stop.stop_order === current.stop.stop_order - 1
+        && time(current.timestamp) - time(previous.timestamp) < 60 * 60 * 1000);
+
+    return groupRows(segments, ([previous, current]) => `${previous.stop_id}:${current.stop_id}`).map((group) => {
+      const seconds = group
+        .map(([previous, current]) => (time(current.timestamp) - time(previous.timestamp)) / 1000)
+        .sort((a, b) => a - b);
+      return {
+        from_stop_id: group[0][0].stop_id,
+        to_stop_id: group[0][1].stop_id,
+        median_seconds: percentile(seconds, 0.5),
+        samples: seconds.length,
+      };
+    });
+  }
+
+  // Trip operations
+  // Open a trip for a bus on a route, closing any trip it left open. The
+  // route version is the save time of the route.
+  async startTrip({
+    busId, routeId = null, deviceId = null, driverId = null, direction = null, startedAt = null,
+    scheduleTripId = null, scheduleDayStart = null
+  }) {
+    const start = startedAt ? new Date(startedAt) : new Date();
+    this.trips.forEach((trip) => {
+      if (trip.bus_id === busId && !trip.ended_at) {
+        trip.ended_at = start;
+        trip.end_reason = "superseded";
+      }
+    });
+
+    const route = this.routes.get(routeId);
+    const row = {
+      id: this.nextId("trips"),
+      bus_id: busId,
+      device_id: deviceId,
+      driver_id: driverId,
+      direction,
+      route_id: route ? route.id : null,
+      gtfs_route_id: route ? route.gtfs_route_id : null,
+      gtfs_trip_id: route ? route.gtfs_trip_id : null,
+      route_version: route ? route.server_received_at : null,
+      started_at: start,
+      ended_at: null,
+      end_reason: null,
+      schedule_trip_id: scheduleTripId,
+      schedule_day_start: toDate(scheduleDayStart),
+    };
+    this.trips.push(row);
+    return { ...row };
+  }
+
+  async endTrip(busId, { reason = "completed", endedAt = null } = {}) {
+    const trip = this.trips.find((candidate) => candidate.bus_id === busId && !candidate.ended_at);
+    if (!trip) return null;
+    trip.ended_at = endedAt ? new Date(endedAt) : new Date();
+    trip.end_reason = reason;
+    return { ...trip };
+  }
+
+  async getOpenTrips() {
+    return this.trips.filter((trip) => !trip.ended_at).map((trip) => ({ ...trip }));
+  }
+
+  async getTripById(tripId) {
+    const trip = this.trips.find((candidate) => candidate.id === Number(tripId));
+    if (!trip) return null;
+    return {
+      ...trip,
+      point_count: this.locationHistory.filter((point) => point.trip_id === trip.id).length,
+      stop_event_count: this.proximityEvents.filter((event) => event.trip_id === trip.id).length,
+    };
+  }
+
+  async getTrips(busId, limit = 50) {
+    return this.trips
+      .filter((trip) => trip.bus_id === busId)
+      .sort((a, b) => b.started_at - a.started_at)
+      .slice(0, limit)
+      .map((trip) => ({ ...trip }));
+  }
+
+  // Timetable operations
+  // Create or replace a scheduled trip and its stop times
+  async saveTimetableTrip({ scheduleTripId, routeId, direction = null, daysOfWeek = null, stopTimes }) {
+    const ordered = [...stopTimes].sort((a, b) => a.stopSequence - b.stopSequence);
+    const first = ordered[0];
+    const existing = this.timetableTrips.get(scheduleTripId);
+    const row = {
+      schedule_trip_id: scheduleTripId,
+      route_id: routeId,
+      direction,
+      days_of_week: daysOfWeek || [0, 1, 2, 3, 4, 5, 6],
+      first_departure: first ? (first.departureTime ?? first.arrivalTime) : null,
+      created_at: existing ? existing.created_at : new Date(),
+    };
+    this.timetableTrips.set(scheduleTripId, row);
+
+    this.scheduledStopTimes.set(scheduleTripId, ordered.map((stopTime) => ({
+      id: this.nextId("scheduled_stop_times"),
+      schedule_trip_id: scheduleTripId,
+      stop_sequence: stopTime.stopSequence,
+      gtfs_stop_id: stopTime.gtfsStopId || null,
+      stop_name: stopTime.stopName || null,
+      arrival_time: stopTime.arrivalTime,
+      departure_time: stopTime.departureTime ?? null,
+    })));
+
+    return { ...row };
+  }
+
+  async getTimetableTrips(routeId = null) {
+    return Array.from(this.timetableTrips.values())
+      .filter((trip) => routeId === null || trip.route_id === routeId)
+      .sort((a, b) => compareNullable(a.route_id, b.route_id) || compareNullable(a.first_departure, b.first_departure))
+      .map((trip) => ({ ...trip }));
+  }
+
+  async getTimetableTrip(scheduleTripId) {
+    const trip = this.timetableTrips.get(scheduleTripId);
+    if (!trip) return null;
+    const stopTimes = (this.scheduledStopTimes.get(scheduleTripId) || [])
+      .slice()
+      .sort((a, b) => a.stop_sequence - b.stop_sequence)
+      .map((stopTime) => ({
+        stop_sequence: stopTime.stop_sequence,
+        gtfs_stop_id: stopTime.gtfs_stop_id,
+        stop_name: stopTime.stop_name,
+        arrival_time: stopTime.arrival_time,
+        departure_time: stopTime.departure_time,
+      }));
+    return { ...trip, stop_times: stopTimes };
+  }
+
+  async deleteTimetableTrip(scheduleTripId) {
+    const trip = this.timetableTrips.get(scheduleTripId);
+    if (!trip) return null;
+    this.timetableTrips.delete(scheduleTripId);
+    this.scheduledStopTimes.delete(scheduleTripId);
+    return { ...trip };
+  }
+
+  // Scheduled trip of a route whose first departure is closest to the given
+  // time, on today's service day or (day_offset 1) as a late trip of yesterday's
+  async findScheduledTrip({ routeId, dayOfWeek, previousDayOfWeek, secondsOfDay, windowSeconds }) {
+    const candidates = [
+      { dayOffset: 0, dayOfWeek, seconds: secondsOfDay },
+      { dayOffset: 1, dayOfWeek: previousDayOfWeek, seconds: secondsOfDay + 86400 },
+    ];
+
+    let best = null;
+    this.timetableTrips.forEach((trip) => {
+      if (trip.route_id !== routeId || trip.first_departure === null) return;
+      candidates.forEach((candidate) => {
+        const gap = Math.abs(trip.first_departure - candidate.seconds);
+        if (!trip.days_of_week.includes(candidate.dayOfWeek) || gap > windowSeconds) return;
+        if (!best || gap < best.gap) {
+          best = { gap, trip, dayOffset: candidate.dayOffset };
+        }
+      });
+    });
+
+    return best ? {
+      schedule_trip_id: best.trip.schedule_trip_id,
+      first_departure: best.trip.first_departure,
+      day_offset: best.dayOffset,
+    } : null;
+  }
+
+  async recordStopAdherence(row) {
+    const record = {
+      id: this.nextId("stop_adherence"),
+      trip_id: row.tripId,
+      schedule_trip_id: row.scheduleTripId,
+      bus_id: row.busId,
+      route_id: row.routeId,
+      service_date: row.serviceDate,
+      stop_sequence: row.stopSequence,
+      stop_id: row.stopId,
+      stop_name: row.stopName,
+      event_type: row.eventType,
+      scheduled_arrival: toDate(row.scheduledArrival),
+      actual_arrival: toDate(row.actualArrival),
+      deviation_seconds: row.deviationSeconds,
+      status: row.status,
+      recorded_at: new Date(),
+    };
+    this.stopAdherence.push(record);
+    return { ...record };
+  }
+
+  // Daily on-time performance per route or per bus
+  async getOnTimePerformance({ from, to, groupBy = "route", routeId = null, busId = null }) {
+    const groupColumn = groupBy === "bus" ? "bus_id" : "route_id";
+    const rows = this.stopAdherence.filter((row) => row.service_date >= from && row.service_date <= to
+      && (routeId === null || row.route_id === routeId)
+      && (busId === null || row.bus_id === busId));
+
+    return groupRows(rows, (row) => `${row.service_date}|${row[groupColumn]}`)
+      .map((group) => {
+        const count = (status) => group.filter((row) => row.status === status).length;
+        const deviations = group.map((row) => row.deviation_seconds).filter((value) => value !== null && value !== undefined);
+        const avgDeviation = average(deviations);
+        return {
+          service_date: group[0].service_date,
+          group_id: group[0][groupColumn],
+          scheduled_stops: group.length,
+          on_time: count("on_time"),
+          early: count("early"),
+          late: count("late"),
+          missed: count("missed"),
+          avg_deviation_seconds: avgDeviation !== null ? Math.round(avgDeviation) : null,
+          otp_percent: Math.round(1000 * count("on_time") / group.length) / 10,
+        };
+      })
+      .sort((a, b) => compareNullable(a.service_date, b.service_date) || compareNullable(a.group_id, b.group_id));
+  }
+
+  // Analytics operations
+  // Stop-to-stop travel times (departure to next arrival on the same run) with
+  // percentiles, optionally bucketed by local hour of day or weekday (0 = Sunday)
+  async getSegmentTravelStats({ from, to, busId = null, groupBy = null, timeZone = "UTC", minSamples = 1 }) {
+    const fromTime = time(from);
+    const toTime = time(to);
+    const events = this.stopEventsWithStops((event) => ["near_stop", "arrived", "departed"].includes(event.event_type)
+      && time(event.timestamp) >= fromTime && time(event.timestamp) < toTime
+      && (busId === null || event.bus_id === busId));
+
+    const segments = consecutivePairs(events, (event) => `${event.bus_id}|${event.trip_id}`)
+      .filter(([previous, current]) => (current.event_type === "arrived" || current.event_type === "near_stop")
+        && (previous.event_type === "departed" || previous.event_type === "near_stop")
+        && previous.stop.stop_order === current.stop.stop_order - 1
+        && time(current.timestamp) - time(previous.timestamp) < 60 * 60 * 1000)
+      .map(([previous, current]) => ({
+        busId: current.bus_id,
+        from: previous.stop,
+        to: current.stop,
+        seconds: (time(current.timestamp) - time(previous.timestamp)) / 1000,
+        bucket: localBucket(new Date(previous.timestamp), groupBy, timeZone),
+      }));
+
+    return groupRows(segments, (segment) => `${segment.busId}|${segment.bucket}|${segment.from.stop_id}|${segment.to.stop_id}`)
+      .filter((group) => group.length >= minSamples)
+      .map((group) => {
+        const { busId: groupBusId, bucket, from: fromStop, to: toStop } = group[0];
+        const seconds = group.map((segment) => segment.seconds).sort((a, b) => a - b);
+        return {
+          bus_id: groupBusId,
+          bucket,
+          from_stop_id: fromStop.stop_id,
+          from_stop_name: fromStop.name,
+          from_stop_order: Math.min(...group.map((segment) => segment.from.stop_order)),
+          from_latitude: fromStop.latitude,
+          from_longitude: fromStop.longitude,
+          to_stop_id: toStop.stop_id,
+          to_stop_name: toStop.name,
+          to_latitude: toStop.latitude,
+          to_longitude: toStop.longitude,
+          samples: seconds.length,
+          percentiles: [0.5, 0.75, 0.9, 0.95].map((fraction) => percentile(seconds, fraction)),
+          avg_seconds: average(seconds),
+          min_seconds: seconds[0],
+          max_seconds: seconds[seconds.length - 1],
+        };
+      })
+      .sort((a, b) => compareNullable(a.bus_id, b.bus_id)
+        || a.from_stop_order - b.from_stop_order
+        || compareNullable(a.bucket, b.bucket));
+  }
+
+  // Dwell time per stop from 'departed' events, bucketed like getSegmentTravelStats
+  async getDwellStats({ from, to, busId = null, groupBy = null, timeZone = "UTC", minSamples = 1 }) {
+    const fromTime = time(from);
+    const toTime = time(to);
+    const events = this.stopEventsWithStops((event) => event.event_type === "departed"
+      && event.dwell_seconds !== null && event.dwell_seconds !== undefined
+      && time(event.timestamp) >= fromTime && time(event.timestamp) < toTime
+      && (busId === null || event.bus_id === busId))
+      .map((event) => ({ ...event, bucket: localBucket(new Date(event.timestamp), groupBy, timeZone) }));
+
+    return groupRows(events, (event) => `${event.bus_id}|${event.bucket}|${event.stop.stop_id}`)
+      .filter((group) => group.length >= minSamples)
+      .map((group) => {
+        const seconds = group.map((event) => event.dwell_seconds).sort((a, b) => a - b);
+        return {
+          bus_id: group[0].bus_id,
+          bucket: group[0].bucket,
+          stop_id: group[0].stop.stop_id,
+          stop_name: group[0].stop.name,
+          stop_order: Math.min(...group.map((event) => event.stop.stop_order)),
+          samples: seconds.length,
+          percentiles: [0.5, 0.75, 0.9, 0.95].map((fraction) => percentile(seconds, fraction)),
+          avg_seconds: average(seconds),
+          max_seconds: seconds[seconds.length - 1],
+        };
+      })
+      .sort((a, b) => compareNullable(a.bus_id, b.bus_id)
+        || a.stop_order - b.stop_order
+        || compareNullable(a.bucket, b.bucket));
+  }
+}
+
+module.exports = MemoryStore;
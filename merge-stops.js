@@ -0,0 +1,86 @@
+// merge-stops.js - Find and merge duplicate stops in the stop catalogue.
+// Stops within --distance metres of each other whose names are at least
+// --similarity alike (0-1) are clustered; each cluster is merged into its GTFS
+// stop, else the stop most routes use. Stops with different GTFS ids are never
+// merged. Without --apply it only prints what it would do.
+// A running server picks merged stops up as it reloads routes; use
+// POST /api/stops/merge to merge while buses are live.
+// Usage: node merge-stops.js [--distance=25] [--similarity=0.7] [--apply]
+require('dotenv').config();
+const db = require('./database');
+const { migrateUp } = require('./migrator');
+const {
+  DEFAULT_MATCH_DISTANCE,
+  DEFAULT_MIN_SIMILARITY,
+  clusterStops
+} = require('./stop-registry');
+
+function readFlag(flags, name, fallback) {
+  const flag = flags.find(f => f.startsWith(`--${name}=`));
+  return flag ? parseFloat(flag.slice(name.length + 3)) : fallback;
+}
+
+async function mergeDuplicateStops({ maxDistance, minSimilarity, apply }) {
+  const stops = await db.getStops();
+  const clusters = clusterStops(stops, { maxDistance, minSimilarity });
+  console.log(`🔍 ${stops.length} stops, ${clusters.length} groups of duplicates`);
+
+  let merged = 0;
+  for (const { keep, duplicates } of clusters) {
+    console.log(`🚏 ${keep.id} "${keep.name}"${keep.gtfs_stop_id ? ` [GTFS ${keep.gtfs_stop_id}]` : ''} (${keep.route_count} routes)`);
+    duplicates.forEach(stop => {
+      const distance = db.calculateDistance(
+        parseFloat(keep.latitude), parseFloat(keep.longitude),
+        parseFloat(stop.latitude), parseFloat(stop.longitude)
+      );
+      console.log(`   ↳ ${stop.id} "${stop.name}" ${Math.round(distance)} m away (${stop.route_count} routes)`);
+    });
+
+    if (apply) {
+      await db.mergeStops(keep.id, duplicates.map(stop => stop.id));
+      merged += duplicates.length;
+    }
+  }
+
+  if (apply) {
+    console.log(`✅ Merged ${merged} duplicate stops`);
+  } else if (clusters.length > 0) {
+    console.log('ℹ️ Dry run - rerun with --apply to merge');
+  }
+  return clusters;
+}
+
+async function runMerge() {
+  const flags = process.argv.slice(2);
+  const maxDistance = readFlag(flags, 'distance', DEFAULT_MATCH_DISTANCE);
+  const minSimilarity = readFlag(flags, 'similarity', DEFAULT_MIN_SIMILARITY);
+  if (!(maxDistance > 0) || !(minSimilarity > 0 && minSimilarity <= 1)) {
+    console.error('Usage: node merge-stops.js [--distance=25] [--similarity=0.7] [--apply]');
+    process.exit(1);
+  }
+
+  try {
+    // The in-memory store has nothing to merge in a fresh process
+    if (db.driver !== 'postgres') {
+      throw new Error(`Merging stops needs the postgres storage driver (STORAGE_DRIVER is ${db.driver})`);
+    }
+
+    const connected = await db.testConnection();
+    if (!connected) {
+      throw new Error('Failed to connect to database');
+    }
+
+    await migrateUp();
+    await mergeDuplicateStops({ maxDistance, minSimilarity, apply: flags.includes('--apply') });
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Stop merge failed:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runMerge();
+}
+
+module.exports = { mergeDuplicateStops };
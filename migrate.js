@@ -1,19 +1,62 @@
 require('dotenv').config();
 const db = require('./database');
+const { getStatus, migrateUp, migrateDown } = require('./migrator');
+
+// Usage: node migrate.js [status|up|down] [--to=VERSION] [--steps=N]
+function parseArgs(argv) {
+  const options = { command: 'up' };
+  argv.forEach(arg => {
+    const match = /^--(to|steps)=(\d+)$/.exec(arg);
+    if (match) {
+      options[match[1]] = parseInt(match[2], 10);
+    } else if (!arg.startsWith('--')) {
+      options.command = arg;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  });
+  return options;
+}
+
+async function printStatus() {
+  const { migrations, missing } = await getStatus();
+  migrations.forEach(migration => {
+    const state = migration.applied
+      ? `applied ${new Date(migration.appliedAt).toISOString()}`
+      : 'pending';
+    console.log(`${migration.applied ? '✅' : '⏳'} ${migration.version}_${migration.name} - ${state}`);
+  });
+  missing.forEach(row => {
+    console.log(`⚠️ ${row.version}_${row.name} - applied but its file is missing`);
+  });
+  const pending = migrations.filter(migration => !migration.applied).length;
+  console.log(`📋 ${migrations.length - pending} applied, ${pending} pending`);
+}
+
+async function runMigration(command = 'up', options = {}) {
+  console.log(`🚀 Running database migration: ${command}`);
 
-async function runMigration() {
-  console.log('🚀 Starting database migration...');
-  
   try {
+    if (db.driver !== 'postgres') {
+      throw new Error(`Migrations only apply to the postgres storage driver (STORAGE_DRIVER is ${db.driver})`);
+    }
+
     // Test connection first
     const connected = await db.testConnection();
     if (!connected) {
       throw new Error('Failed to connect to database');
     }
 
-    // Initialize tables
-    await db.initializeTables();
-    
+    if (command === 'status') {
+      await printStatus();
+    } else if (command === 'up') {
+      await migrateUp({ to: options.to });
+    } else if (command === 'down') {
+      await migrateDown({ steps: options.steps, to: options.to });
+    } else {
+      throw new Error(`Unknown command "${command}" (expected status, up or down)`);
+    }
+
     console.log('✅ Migration completed successfully');
     process.exit(0);
   } catch (error) {
@@ -24,7 +67,14 @@ async function runMigration() {
 
 // Run migration if this script is called directly
 if (require.main === module) {
-  runMigration();
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  runMigration(options.command, options);
 }
 
-module.exports = runMigration;
\ No newline at end of file
+module.exports = runMigration;
@@ -0,0 +1,299 @@
+// 001_initial_schema.js - Baseline: the schema initializeTables() used to
+// create. Everything is IF NOT EXISTS so databases set up before migrations
+// existed are adopted as they are.
+
+async function up(client) {
+  // Active buses table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS active_buses (
+      bus_id VARCHAR(50) PRIMARY KEY,
+      device_id VARCHAR(100),
+      latitude DECIMAL(10, 8) NOT NULL,
+      longitude DECIMAL(11, 8) NOT NULL,
+      accuracy DECIMAL(8, 2),
+      heading DECIMAL(5, 2),
+      speed DECIMAL(5, 2) DEFAULT 0,
+      last_update TIMESTAMP WITH TIME ZONE,
+      server_received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      local_time TIMESTAMP,
+      background_update BOOLEAN DEFAULT FALSE,
+      source VARCHAR(50) DEFAULT 'http-api'
+    )
+  `);
+
+  // Bus routes table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS bus_routes (
+      bus_id VARCHAR(50) PRIMARY KEY,
+      device_id VARCHAR(100),
+      route_geometry TEXT,
+      route_distance DECIMAL(10, 2),
+      route_duration INTEGER,
+      stop_count INTEGER DEFAULT 0,
+      last_updated TIMESTAMP WITH TIME ZONE,
+      server_received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+
+  // Bus stops table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS bus_stops (
+      id SERIAL PRIMARY KEY,
+      bus_id VARCHAR(50) NOT NULL,
+      name VARCHAR(200) NOT NULL,
+      latitude DECIMAL(10, 8) NOT NULL,
+      longitude DECIMAL(11, 8) NOT NULL,
+      stop_order INTEGER,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      FOREIGN KEY (bus_id) REFERENCES bus_routes(bus_id) ON DELETE CASCADE
+    )
+  `);
+
+  // Proximity events table for bus stop arrivals
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS proximity_events (
+      id SERIAL PRIMARY KEY,
+      bus_id VARCHAR(50) NOT NULL,
+      device_id VARCHAR(100),
+      stop_id INTEGER NOT NULL,
+      stop_name VARCHAR(200),
+      bus_latitude DECIMAL(10, 8) NOT NULL,
+      bus_longitude DECIMAL(11, 8) NOT NULL,
+      stop_latitude DECIMAL(10, 8) NOT NULL,
+      stop_longitude DECIMAL(11, 8) NOT NULL,
+      distance_meters DECIMAL(8, 2) NOT NULL,
+      timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      event_type VARCHAR(20) DEFAULT 'near_stop',
+      FOREIGN KEY (stop_id) REFERENCES bus_stops(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Append-only location history for trip playback
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS bus_location_history (
+      id BIGSERIAL PRIMARY KEY,
+      bus_id VARCHAR(50) NOT NULL,
+      device_id VARCHAR(100),
+      latitude DECIMAL(10, 8) NOT NULL,
+      longitude DECIMAL(11, 8) NOT NULL,
+      accuracy DECIMAL(8, 2),
+      heading DECIMAL(5, 2),
+      speed DECIMAL(5, 2) DEFAULT 0,
+      recorded_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      server_received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      background_update BOOLEAN DEFAULT FALSE,
+      source VARCHAR(50) DEFAULT 'http-api'
+    )
+  `);
+
+  // Driver-started runs of a bus along its route
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS trips (
+      id SERIAL PRIMARY KEY,
+      bus_id VARCHAR(50) NOT NULL,
+      device_id VARCHAR(100),
+      driver_id VARCHAR(100),
+      direction VARCHAR(50),
+      gtfs_route_id VARCHAR(100),
+      gtfs_trip_id VARCHAR(100),
+      route_version TIMESTAMP WITH TIME ZONE,
+      started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+      ended_at TIMESTAMP WITH TIME ZONE,
+      end_reason VARCHAR(50)
+    )
+  `);
+
+  // Published timetable: one row per scheduled trip of a route, times in
+  // seconds after the service day's midnight (may exceed 24h)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS timetable_trips (
+      schedule_trip_id VARCHAR(100) PRIMARY KEY,
+      route_id VARCHAR(50) NOT NULL,
+      direction VARCHAR(50),
+      days_of_week INTEGER[] NOT NULL DEFAULT '{0,1,2,3,4,5,6}',
+      first_departure INTEGER,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS scheduled_stop_times (
+      id SERIAL PRIMARY KEY,
+      schedule_trip_id VARCHAR(100) NOT NULL REFERENCES timetable_trips(schedule_trip_id) ON DELETE CASCADE,
+      stop_sequence INTEGER NOT NULL,
+      gtfs_stop_id VARCHAR(100),
+      stop_name VARCHAR(200),
+      arrival_time INTEGER NOT NULL,
+      departure_time INTEGER
+    )
+  `);
+
+  // Early/late deviation of each scheduled stop on a run, for OTP reporting
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS stop_adherence (
+      id SERIAL PRIMARY KEY,
+      trip_id INTEGER REFERENCES trips(id) ON DELETE SET NULL,
+      schedule_trip_id VARCHAR(100),
+      bus_id VARCHAR(50) NOT NULL,
+      route_id VARCHAR(50),
+      service_date DATE NOT NULL,
+      stop_sequence INTEGER,
+      stop_id INTEGER,
+      stop_name VARCHAR(200),
+      event_type VARCHAR(20) NOT NULL,
+      scheduled_arrival TIMESTAMP WITH TIME ZONE NOT NULL,
+      actual_arrival TIMESTAMP WITH TIME ZONE,
+      deviation_seconds INTEGER,
+      status VARCHAR(10) NOT NULL,
+      recorded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+
+  // Off-route / back-on-route events detected against route geometry
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS route_deviation_events (
+      id SERIAL PRIMARY KEY,
+      bus_id VARCHAR(50) NOT NULL,
+      device_id VARCHAR(100),
+      event_type VARCHAR(20) NOT NULL,
+      latitude DECIMAL(10, 8) NOT NULL,
+      longitude DECIMAL(11, 8) NOT NULL,
+      distance_meters DECIMAL(8, 2) NOT NULL,
+      max_distance_meters DECIMAL(8, 2),
+      off_route_since TIMESTAMP WITH TIME ZONE,
+      duration_seconds INTEGER,
+      timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+
+  // Registered driver devices and the buses they may report for
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS driver_devices (
+      device_id VARCHAR(100) PRIMARY KEY,
+      token_hash CHAR(64) NOT NULL,
+      allowed_bus_ids TEXT[] NOT NULL DEFAULT '{}',
+      label VARCHAR(200),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      revoked_at TIMESTAMP WITH TIME ZONE
+    )
+  `);
+
+  // Outbound webhook subscriptions and their delivery log
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id SERIAL PRIMARY KEY,
+      url TEXT NOT NULL,
+      secret VARCHAR(128) NOT NULL,
+      event_types TEXT[] NOT NULL,
+      description VARCHAR(200),
+      active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      subscription_id INTEGER NOT NULL,
+      event_type VARCHAR(50) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(20) DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      response_status INTEGER,
+      error TEXT,
+      next_attempt_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      delivered_at TIMESTAMP WITH TIME ZONE,
+      FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create indexes for better performance
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_active_buses_bus_id ON active_buses(bus_id);
+    CREATE INDEX IF NOT EXISTS idx_bus_stops_bus_id ON bus_stops(bus_id);
+    CREATE INDEX IF NOT EXISTS idx_proximity_events_bus_id ON proximity_events(bus_id);
+    CREATE INDEX IF NOT EXISTS idx_proximity_events_timestamp ON proximity_events(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_proximity_events_stop_id ON proximity_events(stop_id);
+    CREATE INDEX IF NOT EXISTS idx_location_history_bus_time ON bus_location_history(bus_id, recorded_at);
+    CREATE INDEX IF NOT EXISTS idx_route_deviation_events_bus_id ON route_deviation_events(bus_id, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+    CREATE INDEX IF NOT EXISTS idx_trips_bus_started ON trips(bus_id, started_at);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_trips_open_bus ON trips(bus_id) WHERE ended_at IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_timetable_trips_route ON timetable_trips(route_id, first_departure);
+    CREATE INDEX IF NOT EXISTS idx_scheduled_stop_times_trip ON scheduled_stop_times(schedule_trip_id, stop_sequence);
+    CREATE INDEX IF NOT EXISTS idx_stop_adherence_date ON stop_adherence(service_date, route_id);
+    CREATE INDEX IF NOT EXISTS idx_stop_adherence_bus ON stop_adherence(bus_id, service_date);
+  `);
+
+  // Keep GTFS identifiers for imported routes and stops
+  await client.query(`
+    ALTER TABLE bus_routes
+    ADD COLUMN IF NOT EXISTS gtfs_route_id VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS gtfs_trip_id VARCHAR(100)
+  `);
+  await client.query(`
+    ALTER TABLE bus_stops
+    ADD COLUMN IF NOT EXISTS gtfs_stop_id VARCHAR(100)
+  `);
+
+  // Dwell time recorded on 'departed' stop events
+  await client.query(`
+    ALTER TABLE proximity_events
+    ADD COLUMN IF NOT EXISTS dwell_seconds INTEGER
+  `);
+
+  // GPS filter outcome for each raw history point
+  await client.query(`
+    ALTER TABLE bus_location_history
+    ADD COLUMN IF NOT EXISTS filter_status VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS filter_reason VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS filtered_latitude DECIMAL(10, 8),
+    ADD COLUMN IF NOT EXISTS filtered_longitude DECIMAL(11, 8)
+  `);
+
+  // Which trip each point and event belongs to
+  await client.query(`
+    ALTER TABLE bus_location_history ADD COLUMN IF NOT EXISTS trip_id INTEGER REFERENCES trips(id) ON DELETE SET NULL;
+    ALTER TABLE proximity_events ADD COLUMN IF NOT EXISTS trip_id INTEGER REFERENCES trips(id) ON DELETE SET NULL;
+    ALTER TABLE route_deviation_events ADD COLUMN IF NOT EXISTS trip_id INTEGER REFERENCES trips(id) ON DELETE SET NULL;
+    CREATE INDEX IF NOT EXISTS idx_location_history_trip ON bus_location_history(trip_id);
+    CREATE INDEX IF NOT EXISTS idx_proximity_events_trip ON proximity_events(trip_id);
+  `);
+
+  // Timetable trip a run is following, and the midnight its times count from
+  await client.query(`
+    ALTER TABLE trips
+    ADD COLUMN IF NOT EXISTS schedule_trip_id VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS schedule_day_start TIMESTAMP WITH TIME ZONE
+  `);
+
+  // Migrate existing source column to accommodate longer values
+  await client.query(`
+    ALTER TABLE active_buses
+    ALTER COLUMN source TYPE VARCHAR(50)
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS
+      webhook_deliveries,
+      webhook_subscriptions,
+      driver_devices,
+      route_deviation_events,
+      stop_adherence,
+      scheduled_stop_times,
+      timetable_trips,
+      bus_location_history,
+      proximity_events,
+      trips,
+      bus_stops,
+      bus_routes,
+      active_buses
+    CASCADE
+  `);
+}
+
+module.exports = { up, down };
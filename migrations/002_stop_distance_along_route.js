@@ -0,0 +1,72 @@
+// 002_stop_distance_along_route.js - Where each stop sits along its route
+// line, now computed server-side. Existing routes are backfilled: geometry is
+// normalised to an encoded polyline and recomputed into route_distance, and
+// geometry that doesn't pass near the route's own stops (e.g. saved against
+// the wrong bus) is cleared so off-route detection and ETAs fall back to the
+// stops. Cleared geometry is not restored by down().
+const {
+  DEFAULT_MAX_STOP_DISTANCE,
+  encodePolyline,
+  normalizeRouteGeometry,
+  measureRoute,
+} = require('../route-geometry');
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE bus_stops
+    ADD COLUMN IF NOT EXISTS distance_along_route DECIMAL(10, 2)
+  `);
+
+  const maxStopDistance = parseFloat(process.env.ROUTE_MAX_STOP_DISTANCE_METERS) || DEFAULT_MAX_STOP_DISTANCE;
+  const routes = await client.query(`
+    SELECT br.bus_id, br.route_geometry,
+           json_agg(json_build_object('id', bs.id, 'latitude', bs.latitude, 'longitude', bs.longitude)
+             ORDER BY bs.stop_order) AS stops
+    FROM bus_routes br
+    JOIN bus_stops bs ON bs.bus_id = br.bus_id
+    GROUP BY br.bus_id, br.route_geometry
+  `);
+
+  for (const route of routes.rows) {
+    const stopPoints = route.stops.map(stop => [parseFloat(stop.latitude), parseFloat(stop.longitude)]);
+    if (stopPoints.length < 2) continue;
+
+    let geometry = null;
+    if (route.route_geometry) {
+      try {
+        geometry = normalizeRouteGeometry(route.route_geometry);
+        const farStop = measureRoute(geometry, stopPoints).stops
+          .findIndex(stop => stop.distanceFromLine === null || stop.distanceFromLine > maxStopDistance);
+        if (farStop !== -1) {
+          console.warn(`⚠️ Clearing route geometry of bus ${route.bus_id}: stop ${farStop + 1} is not near the line`);
+          geometry = null;
+        }
+      } catch (error) {
+        console.warn(`⚠️ Clearing route geometry of bus ${route.bus_id}: ${error.message}`);
+        geometry = null;
+      }
+    }
+
+    const measured = measureRoute(geometry || stopPoints, stopPoints);
+    for (const [index, stop] of route.stops.entries()) {
+      const distance = measured.stops[index].distanceAlongRoute;
+      await client.query(
+        'UPDATE bus_stops SET distance_along_route = $2 WHERE id = $1',
+        [stop.id, distance !== null ? Math.round(distance * 100) / 100 : null]
+      );
+    }
+    await client.query(
+      'UPDATE bus_routes SET route_geometry = $2, route_distance = $3 WHERE bus_id = $1',
+      [route.bus_id, geometry ? encodePolyline(geometry) : null, Math.round(measured.length * 100) / 100]
+    );
+  }
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE bus_stops
+    DROP COLUMN IF EXISTS distance_along_route
+  `);
+}
+
+module.exports = { up, down };
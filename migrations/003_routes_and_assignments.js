@@ -0,0 +1,88 @@
+// 003_routes_and_assignments.js - Routes become their own entity instead of
+// hanging off a bus. bus_routes turns into routes (id, name, direction,
+// variant), bus_stops into route_stops keyed by route_id, and which route a
+// bus runs lives in bus_assignments: a standing assignment (service_date NULL)
+// or one for a single service day. Trips record the route they ran.
+//
+// Existing routes keep their bus id as route id. Only rows that belong to a
+// real bus (uploaded from a device, or with a live position or trips) get an
+// assignment; GTFS-imported patterns were never buses and are left unassigned.
+// Stop ids are kept, so proximity events and analytics are unaffected.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE routes (
+      id VARCHAR(100) PRIMARY KEY,
+      name VARCHAR(200),
+      direction VARCHAR(50),
+      variant VARCHAR(100),
+      route_geometry TEXT,
+      route_distance DECIMAL(10, 2),
+      route_duration INTEGER,
+      stop_count INTEGER DEFAULT 0,
+      gtfs_route_id VARCHAR(100),
+      gtfs_trip_id VARCHAR(100),
+      last_updated TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      server_received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    INSERT INTO routes (
+      id, name, route_geometry, route_distance, route_duration, stop_count,
+      gtfs_route_id, gtfs_trip_id, last_updated, server_received_at
+    )
+    SELECT bus_id, bus_id, route_geometry, route_distance, route_duration, stop_count,
+           gtfs_route_id, gtfs_trip_id, last_updated, server_received_at
+    FROM bus_routes
+  `);
+
+  await client.query(`
+    CREATE TABLE bus_assignments (
+      id SERIAL PRIMARY KEY,
+      bus_id VARCHAR(50) NOT NULL,
+      route_id VARCHAR(100) NOT NULL REFERENCES routes(id) ON DELETE CASCADE,
+      service_date DATE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+    CREATE UNIQUE INDEX idx_bus_assignments_standing ON bus_assignments(bus_id) WHERE service_date IS NULL;
+    CREATE UNIQUE INDEX idx_bus_assignments_dated ON bus_assignments(bus_id, service_date) WHERE service_date IS NOT NULL;
+    CREATE INDEX idx_bus_assignments_route ON bus_assignments(route_id);
+  `);
+
+  await client.query(`
+    INSERT INTO bus_assignments (bus_id, route_id)
+    SELECT br.bus_id, br.bus_id
+    FROM bus_routes br
+    WHERE br.device_id IS NOT NULL
+       OR EXISTS (SELECT 1 FROM active_buses ab WHERE ab.bus_id = br.bus_id)
+       OR EXISTS (SELECT 1 FROM trips t WHERE t.bus_id = br.bus_id)
+  `);
+
+  await client.query(`
+    ALTER TABLE bus_stops DROP CONSTRAINT IF EXISTS bus_stops_bus_id_fkey;
+    ALTER TABLE bus_stops RENAME TO route_stops;
+    ALTER TABLE route_stops RENAME COLUMN bus_id TO route_id;
+    ALTER TABLE route_stops ALTER COLUMN route_id TYPE VARCHAR(100);
+    ALTER TABLE route_stops
+      ADD CONSTRAINT route_stops_route_id_fkey FOREIGN KEY (route_id) REFERENCES routes(id) ON DELETE CASCADE;
+    ALTER INDEX IF EXISTS idx_bus_stops_bus_id RENAME TO idx_route_stops_route_id;
+  `);
+
+  await client.query(`
+    ALTER TABLE trips ADD COLUMN IF NOT EXISTS route_id VARCHAR(100);
+    UPDATE trips t SET route_id = t.bus_id
+    WHERE EXISTS (SELECT 1 FROM routes r WHERE r.id = t.bus_id);
+  `);
+
+  await client.query('DROP TABLE bus_routes');
+}
+
+// Not reversible: day assignments and routes shared by several buses have no
+// place in bus_routes, so going back would silently drop them
+async function down() {
+  throw new Error('Migration 003 cannot be reverted: bus assignments and shared routes would be lost. Restore a backup taken before it instead.');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,81 @@
+// 004_stop_registry.js - A global stops catalogue. route_stops keeps its ids
+// (proximity events point at them) but now references a catalogue stop for
+// the name, position and GTFS id. Each GTFS stop id becomes one catalogue stop;
+// every other route stop gets its own, so existing duplicates stay until
+// merge-stops.js clusters them. Merged stops are kept with merged_into set so
+// their ids keep resolving.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE stops (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      latitude DECIMAL(10, 8) NOT NULL,
+      longitude DECIMAL(11, 8) NOT NULL,
+      code VARCHAR(50),
+      description TEXT,
+      wheelchair_accessible BOOLEAN,
+      gtfs_stop_id VARCHAR(100) UNIQUE,
+      merged_into INTEGER REFERENCES stops(id),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      source_route_stop_id INTEGER
+    );
+    CREATE INDEX idx_stops_position ON stops(latitude, longitude) WHERE merged_into IS NULL;
+  `);
+
+  await client.query(`
+    INSERT INTO stops (name, latitude, longitude, gtfs_stop_id)
+    SELECT DISTINCT ON (gtfs_stop_id) name, latitude, longitude, gtfs_stop_id
+    FROM route_stops
+    WHERE gtfs_stop_id IS NOT NULL
+    ORDER BY gtfs_stop_id, id
+  `);
+
+  await client.query(`
+    INSERT INTO stops (name, latitude, longitude, source_route_stop_id)
+    SELECT name, latitude, longitude, id
+    FROM route_stops
+    WHERE gtfs_stop_id IS NULL
+    ORDER BY id
+  `);
+
+  await client.query(`
+    ALTER TABLE route_stops ADD COLUMN stop_id INTEGER;
+    UPDATE route_stops rs SET stop_id = s.id
+    FROM stops s
+    WHERE s.gtfs_stop_id = rs.gtfs_stop_id OR s.source_route_stop_id = rs.id;
+    ALTER TABLE stops DROP COLUMN source_route_stop_id;
+    ALTER TABLE route_stops
+      ALTER COLUMN stop_id SET NOT NULL,
+      ADD CONSTRAINT route_stops_stop_id_fkey FOREIGN KEY (stop_id) REFERENCES stops(id),
+      DROP COLUMN name,
+      DROP COLUMN latitude,
+      DROP COLUMN longitude,
+      DROP COLUMN gtfs_stop_id;
+    CREATE INDEX idx_route_stops_stop_id ON route_stops(stop_id);
+  `);
+}
+
+// Route stops get their catalogue stop's attributes back; merges are not undone
+async function down(client) {
+  await client.query(`
+    ALTER TABLE route_stops
+      ADD COLUMN name VARCHAR(200),
+      ADD COLUMN latitude DECIMAL(10, 8),
+      ADD COLUMN longitude DECIMAL(11, 8),
+      ADD COLUMN gtfs_stop_id VARCHAR(100);
+    UPDATE route_stops rs
+    SET name = s.name, latitude = s.latitude, longitude = s.longitude, gtfs_stop_id = s.gtfs_stop_id
+    FROM stops s
+    WHERE s.id = rs.stop_id;
+    ALTER TABLE route_stops
+      ALTER COLUMN name SET NOT NULL,
+      ALTER COLUMN latitude SET NOT NULL,
+      ALTER COLUMN longitude SET NOT NULL,
+      DROP COLUMN stop_id;
+    DROP TABLE stops;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// 005_arrival_alerts.js - Rider arrival alerts move out of server memory so
+// pending subscriptions survive a restart. Alerts are deleted when they fire
+// or expire; the server keeps a cached copy for its per-location checks.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE arrival_alerts (
+      id UUID PRIMARY KEY,
+      user_id VARCHAR(100) NOT NULL,
+      bus_id VARCHAR(50) NOT NULL,
+      stop_id INTEGER,
+      stop_name VARCHAR(200),
+      radius_meters DECIMAL(10, 2),
+      minutes DECIMAL(6, 2),
+      push_token TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+    );
+    CREATE INDEX idx_arrival_alerts_user_id ON arrival_alerts(user_id);
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS arrival_alerts');
+}
+
+module.exports = { up, down };
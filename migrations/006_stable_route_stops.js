@@ -0,0 +1,41 @@
+// 006_stable_route_stops.js - Saving a route updates its stops in place, one
+// row per (route_id, stop_order), so a route stop keeps its id - and its
+// proximity events - across uploads. Events of a position that is removed,
+// or of a deleted route, are kept with a NULL stop_id instead of cascading.
+
+async function up(client) {
+  // Older uploads could leave two stops at one position; renumber each route
+  // 1..n in its current order (ties by id) so the unique index can be built
+  await client.query(`
+    UPDATE route_stops rs SET stop_order = numbered.position
+    FROM (
+      SELECT id, ROW_NUMBER() OVER (PARTITION BY route_id ORDER BY stop_order, id) AS position
+      FROM route_stops
+    ) numbered
+    WHERE numbered.id = rs.id AND rs.stop_order IS DISTINCT FROM numbered.position
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX idx_route_stops_route_order ON route_stops(route_id, stop_order);
+
+    ALTER TABLE proximity_events DROP CONSTRAINT IF EXISTS proximity_events_stop_id_fkey;
+    ALTER TABLE proximity_events ALTER COLUMN stop_id DROP NOT NULL;
+    ALTER TABLE proximity_events
+      ADD CONSTRAINT proximity_events_stop_id_fkey FOREIGN KEY (stop_id) REFERENCES route_stops(id) ON DELETE SET NULL;
+  `);
+}
+
+// Events that lost their stop can't be kept under NOT NULL
+async function down(client) {
+  await client.query(`
+    ALTER TABLE proximity_events DROP CONSTRAINT IF EXISTS proximity_events_stop_id_fkey;
+    DELETE FROM proximity_events WHERE stop_id IS NULL;
+    ALTER TABLE proximity_events ALTER COLUMN stop_id SET NOT NULL;
+    ALTER TABLE proximity_events
+      ADD CONSTRAINT proximity_events_stop_id_fkey FOREIGN KEY (stop_id) REFERENCES route_stops(id) ON DELETE CASCADE;
+
+    DROP INDEX IF EXISTS idx_route_stops_route_order;
+  `);
+}
+
+module.exports = { up, down };
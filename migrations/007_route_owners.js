@@ -0,0 +1,24 @@
+// 007_route_owners.js - A route uploaded from a driver device belongs to the
+// bus that uploaded it. Devices may overwrite only their own bus's route; any
+// other route (GTFS imports, admin-managed or shared routes) needs the admin key.
+//
+// Before this, device uploads were stored under the bus id and made that
+// bus's standing assignment, so those routes are given to that bus.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE routes ADD COLUMN owner_bus_id VARCHAR(50);
+    UPDATE routes r SET owner_bus_id = r.id
+    WHERE r.gtfs_route_id IS NULL
+      AND EXISTS (
+        SELECT 1 FROM bus_assignments a
+        WHERE a.bus_id = r.id AND a.route_id = r.id AND a.service_date IS NULL
+      );
+  `);
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE routes DROP COLUMN IF EXISTS owner_bus_id');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+// 008_alert_catalogue_stops.js - Arrival alerts name the catalogue stop
+// (stops.id) instead of a route stop, so they match the stop on whichever
+// route version the bus runs and follow stop merges.
+
+// A route stop that no longer exists leaves the alert to match by stop name
+async function up(client) {
+  await client.query(`
+    UPDATE arrival_alerts a
+    SET stop_id = (SELECT rs.stop_id FROM route_stops rs WHERE rs.id = a.stop_id)
+    WHERE a.stop_id IS NOT NULL
+  `);
+}
+
+// Catalogue stops don't map back to a single route stop; pending alerts are
+// short-lived, so those with a stop are dropped rather than left mismatched
+async function down(client) {
+  await client.query('DELETE FROM arrival_alerts WHERE stop_id IS NOT NULL');
+}
+
+module.exports = { up, down };
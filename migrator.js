@@ -0,0 +1,195 @@
+// migrator.js - Versioned schema migrations
+// Migrations live in migrations/NNN_description.js and export up(client) and
+// down(client). Each runs in its own transaction and is recorded in
+// schema_migrations. A Postgres advisory lock keeps two instances from
+// migrating at the same time.
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_LOCK_ID = 4827301; // arbitrary, shared by every instance
+const LOCK_TIMEOUT_MS = 60 * 1000;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: /^(\d+)_([\w-]+)\.js$/.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        up: migration.up,
+        down: migration.down,
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+// Own connection rather than the app pool: no query timeouts, and the
+// advisory lock must stay on one session
+async function connect() {
+  const client = new Client({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+  });
+  await client.connect();
+  return client;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+// Wait for the migration lock, then run fn with the locked client
+async function withMigrationLock(fn, timeoutMs = LOCK_TIMEOUT_MS) {
+  const client = await connect();
+  const deadline = Date.now() + timeoutMs;
+  let locked = false;
+
+  try {
+    while (!locked) {
+      const result = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [MIGRATION_LOCK_ID]);
+      locked = result.rows[0].locked;
+      if (locked) break;
+
+      if (Date.now() >= deadline) {
+        throw new Error('Timed out waiting for the migration lock - is another instance migrating?');
+      }
+      console.log('⏳ Another instance is migrating, waiting for the lock...');
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    if (locked) {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    }
+    await client.end();
+  }
+}
+
+async function runMigration(client, migration, direction) {
+  await client.query('BEGIN');
+  try {
+    await migration[direction](client);
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`);
+  }
+}
+
+// Every known migration with whether it has been applied, plus applied
+// versions that no longer have a file. Read-only, so it doesn't take the lock.
+async function getStatus() {
+  const migrations = loadMigrations();
+  const client = await connect();
+  try {
+    const table = await client.query("SELECT to_regclass('schema_migrations') AS name");
+    const rows = table.rows[0].name ? await getAppliedMigrations(client) : [];
+    const applied = new Map(rows.map(row => [row.version, row]));
+    const status = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null,
+    }));
+    const known = new Set(migrations.map(migration => migration.version));
+    const missing = Array.from(applied.values()).filter(row => !known.has(row.version));
+    return { migrations: status, missing };
+  } finally {
+    await client.end();
+  }
+}
+
+// Apply pending migrations in order, up to and including version `to`
+async function migrateUp({ to = Infinity } = {}) {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (client) => {
+    const applied = new Set((await getAppliedMigrations(client)).map(row => row.version));
+    const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+    for (const migration of pending) {
+      console.log(`⬆️ Applying migration ${migration.version}_${migration.name}`);
+      await runMigration(client, migration, 'up');
+    }
+
+    if (pending.length === 0) {
+      console.log('✅ Database schema is up to date');
+    } else {
+      console.log(`✅ Applied ${pending.length} migration(s)`);
+    }
+    return pending.map(migration => migration.version);
+  });
+}
+
+// Revert the latest `steps` applied migrations, or all of those above version `to`
+async function migrateDown({ steps = 1, to = null } = {}) {
+  const migrations = loadMigrations();
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  return withMigrationLock(async (client) => {
+    const applied = (await getAppliedMigrations(client)).map(row => row.version).reverse();
+    const toRevert = to !== null
+      ? applied.filter(version => version > to)
+      : applied.slice(0, steps);
+
+    for (const version of toRevert) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Cannot revert migration ${version}: its file is missing`);
+      }
+      console.log(`⬇️ Reverting migration ${migration.version}_${migration.name}`);
+      await runMigration(client, migration, 'down');
+    }
+
+    console.log(`✅ Reverted ${toRevert.length} migration(s)`);
+    return toRevert;
+  });
+}
+
+async function getPendingMigrations() {
+  const { migrations } = await getStatus();
+  return migrations.filter(migration => !migration.applied);
+}
+
+module.exports = {
+  loadMigrations,
+  getStatus,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown,
+};
@@ -0,0 +1,116 @@
+// off-route-detector.js - Compares live positions against BusRoute.routeGeometry
+// A bus is reported off route once it has stayed further than `maxDistance`
+// from its route line for at least `minDuration`.
+
+const {
+  parseRouteGeometry,
+  cumulativeDistances,
+  projectOntoLine,
+} = require("./route-geometry");
+
+class OffRouteDetector {
+  constructor(options = {}) {
+    this.maxDistance = options.maxDistance || 75; // metres from the route line
+    this.minDuration = options.minDuration || 60 * 1000; // how long before it counts
+    this.backOnRatio = options.backOnRatio || 0.75; // hysteresis for returning to route
+    this.lines = new WeakMap(); // BusRoute -> parsed route line
+    this.states = new Map(); // busId -> { offRoute, candidateSince, maxDistance }
+  }
+
+  getLine(route) {
+    if (!this.lines.has(route)) {
+      const coordinates = parseRouteGeometry(route.routeGeometry);
+      this.lines.set(route, coordinates
+        ? { coordinates, cumulative: cumulativeDistances(coordinates) }
+        : null);
+    }
+    return this.lines.get(route);
+  }
+
+  // Feed one position for a bus; returns an off_route / back_on_route event or null
+  update(busInfo) {
+    const route = busInfo.route;
+    const location = busInfo.location;
+    if (!route || !location || !location.latitude || !location.longitude) {
+      return null;
+    }
+
+    const line = this.getLine(route);
+    if (!line) return null;
+
+    // A fix this vague can't tell us which side of the threshold the bus is on
+    if (location.accuracy && location.accuracy > this.maxDistance) {
+      return null;
+    }
+
+    const projection = projectOntoLine(
+      line.coordinates, [location.latitude, location.longitude], line.cumulative
+    );
+    if (!projection) return null;
+
+    const distance = projection.distance;
+    const time = new Date(location.timestamp || Date.now()).getTime();
+    let state = this.states.get(busInfo.busId);
+    if (!state) {
+      state = { offRoute: false, candidateSince: null, maxDistance: 0 };
+      this.states.set(busInfo.busId, state);
+    }
+
+    const makeEvent = (type, extra = {}) => ({
+      busId: busInfo.busId,
+      deviceId: location.deviceId || busInfo.deviceId || null,
+      tripId: location.tripId || null,
+      type,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      distance: Math.round(distance * 100) / 100,
+      timestamp: new Date(time).toISOString(),
+      offRouteSince: new Date(state.candidateSince).toISOString(),
+      ...extra,
+    });
+
+    if (state.offRoute) {
+      state.maxDistance = Math.max(state.maxDistance, distance);
+      if (distance > this.maxDistance * this.backOnRatio) {
+        return null;
+      }
+
+      const event = makeEvent("back_on_route", {
+        durationSeconds: Math.round((time - state.candidateSince) / 1000),
+        maxDistance: Math.round(state.maxDistance * 100) / 100,
+      });
+      this.states.set(busInfo.busId, { offRoute: false, candidateSince: null, maxDistance: 0 });
+      return event;
+    }
+
+    if (distance <= this.maxDistance) {
+      state.candidateSince = null;
+      state.maxDistance = 0;
+      return null;
+    }
+
+    if (state.candidateSince === null) {
+      state.candidateSince = time;
+    }
+    state.maxDistance = Math.max(state.maxDistance, distance);
+
+    if (time - state.candidateSince < this.minDuration) {
+      return null;
+    }
+
+    state.offRoute = true;
+    return makeEvent("off_route");
+  }
+
+  isOffRoute(busId) {
+    const state = this.states.get(busId);
+    return !!(state && state.offRoute);
+  }
+
+  // Drop tracking state, e.g. after the bus's route changes
+  forget(busId) {
+    this.states.delete(busId);
+  }
+}
+
+module.exports = OffRouteDetector;
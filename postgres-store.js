@@ -0,0 +1,1204 @@
+// postgres-store.js - Postgres storage driver (STORAGE_DRIVER=postgres)
+// The schema is managed by migrator.js; see migrations/.
+const { Pool } = require('pg');
+
+// Create database connection pool
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+  max: 20,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+  query_timeout: 10000,
+  statement_timeout: 10000,
+});
+
+// Test connection
+pool.on('connect', () => {
+  console.log('🔗 Connected to PostgreSQL database');
+});
+
+pool.on('error', (err) => {
+  console.error('❌ PostgreSQL connection error:', err);
+});
+
+// Which route each bus runs on a service day ($1): the route of its open
+// trip, else that day's assignment, else its standing assignment. Buses with a
+// live position but no route get a NULL route_id.
+const BUS_ROUTE_IDS = `
+  WITH bus_ids AS (
+    SELECT bus_id FROM active_buses
+    UNION
+    SELECT bus_id FROM bus_assignments WHERE service_date IS NULL OR service_date = $1::date
+    UNION
+    SELECT bus_id FROM trips WHERE ended_at IS NULL AND route_id IS NOT NULL
+  ),
+  bus_route_ids AS (
+    SELECT b.bus_id, chosen.route_id, chosen.source AS route_source
+    FROM bus_ids b
+    LEFT JOIN LATERAL (
+      SELECT t.route_id, 'trip' AS source, 1 AS priority
+      FROM trips t
+      WHERE t.bus_id = b.bus_id AND t.ended_at IS NULL AND t.route_id IS NOT NULL
+      UNION ALL
+      SELECT a.route_id,
+             CASE WHEN a.service_date IS NULL THEN 'standing' ELSE 'service_date' END,
+             CASE WHEN a.service_date IS NULL THEN 3 ELSE 2 END
+      FROM bus_assignments a
+      WHERE a.bus_id = b.bus_id AND (a.service_date IS NULL OR a.service_date = $1::date)
+      ORDER BY priority
+      LIMIT 1
+    ) chosen ON TRUE
+  )
+`;
+
+// Route columns and its ordered stops, shared by bus and route rows. A route
+// stop's id is its place on the route; stop_id is the catalogue stop.
+const ROUTE_COLUMNS = `
+  r.id as route_id,
+  r.name as route_name,
+  r.direction as route_direction,
+  r.variant as route_variant,
+  r.route_geometry,
+  r.route_distance,
+  r.route_duration,
+  r.stop_count,
+  r.gtfs_route_id,
+  r.gtfs_trip_id,
+  r.owner_bus_id as route_owner_bus_id,
+  r.last_updated as route_last_updated,
+  r.server_received_at as route_received_at,
+  json_agg(
+    json_build_object(
+      'id', rs.id,
+      'stop_id', st.id,
+      'name', st.name,
+      'latitude', st.latitude,
+      'longitude', st.longitude,
+      'stop_order', rs.stop_order,
+      'gtfs_stop_id', st.gtfs_stop_id,
+      'distance_along_route', rs.distance_along_route
+    ) ORDER BY rs.stop_order
+  ) FILTER (WHERE rs.id IS NOT NULL) as route_stops
+`;
+
+const ROUTE_GROUP_BY = `
+  r.id, r.name, r.direction, r.variant, r.route_geometry, r.route_distance,
+  r.route_duration, r.stop_count, r.gtfs_route_id, r.gtfs_trip_id,
+  r.owner_bus_id, r.last_updated, r.server_received_at
+`;
+
+// Bus rows combine the live position with the route the bus is running.
+// Shared by getActiveBuses and getBusById so both return the same shape.
+const BUS_COLUMNS = `
+  bri.bus_id,
+  ab.device_id,
+  ab.latitude,
+  ab.longitude,
+  ab.accuracy,
+  ab.heading,
+  ab.speed,
+  ab.last_update,
+  ab.server_received_at as location_received_at,
+  ab.local_time,
+  ab.background_update,
+  ab.source,
+  bri.route_source,
+  to_char($1::date, 'YYYY-MM-DD') as route_service_date,
+  ${ROUTE_COLUMNS}
+`;
+
+const BUS_GROUP_BY = `
+  bri.bus_id, bri.route_source, ab.bus_id, ab.device_id, ab.latitude, ab.longitude,
+  ab.accuracy, ab.heading, ab.speed, ab.last_update,
+  ab.server_received_at, ab.local_time, ab.background_update, ab.source,
+  ${ROUTE_GROUP_BY}
+`;
+
+const BUS_FROM = `
+  FROM bus_route_ids bri
+  LEFT JOIN active_buses ab ON ab.bus_id = bri.bus_id
+  LEFT JOIN routes r ON r.id = bri.route_id
+  LEFT JOIN route_stops rs ON rs.route_id = r.id
+  LEFT JOIN stops st ON st.id = rs.stop_id
+`;
+
+const STOP_COLUMNS = `
+  s.id, s.name, s.latitude, s.longitude, s.code, s.description,
+  s.wheelchair_accessible, s.gtfs_stop_id, s.merged_into, s.created_at, s.updated_at,
+  COUNT(DISTINCT rs.route_id)::int as route_count,
+  COALESCE(array_agg(DISTINCT rs.route_id) FILTER (WHERE rs.route_id IS NOT NULL), '{}') as route_ids
+`;
+
+// The catalogue stop a route stop points at: the stopId it was matched to,
+// the stop with its GTFS id (created or refreshed from the feed), or a new stop
+async function upsertCatalogueStop(client, stop) {
+  if (stop.stopId) return stop.stopId;
+
+  if (stop.gtfsStopId) {
+    const result = await client.query(`
+      INSERT INTO stops (name, latitude, longitude, code, gtfs_stop_id)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (gtfs_stop_id) DO UPDATE SET
+        name = EXCLUDED.name,
+        latitude = EXCLUDED.latitude,
+        longitude = EXCLUDED.longitude,
+        code = COALESCE(EXCLUDED.code, stops.code),
+        updated_at = NOW()
+      RETURNING COALESCE(merged_into, id) as id
+    `, [stop.name, stop.latitude, stop.longitude, stop.code || null, stop.gtfsStopId]);
+    return result.rows[0].id;
+  }
+
+  const result = await client.query(`
+    INSERT INTO stops (name, latitude, longitude, code)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id
+  `, [stop.name, stop.latitude, stop.longitude, stop.code || null]);
+  return result.rows[0].id;
+}
+
+// Database operations
+const db = {
+  driver: 'postgres',
+
+  // Test connection
+  async testConnection() {
+    try {
+      const result = await pool.query('SELECT NOW()');
+      console.log('✅ Database connection successful:', result.rows[0].now);
+      return true;
+    } catch (error) {
+      console.error('❌ Database connection failed:', error);
+      return false;
+    }
+  },
+
+  // Release the pool so a script or test run can exit
+  async close() {
+    await pool.end();
+  },
+
+  // Bus operations
+  // `historyData` is the raw point for bus_location_history when busData
+  // carries the filtered position
+  async updateBusLocation(busData, historyData = busData) {
+    console.log('🔍 Attempting to update bus location:', busData);
+    const client = await pool.connect();
+    try {
+      const {
+        deviceId, busId, latitude, longitude, accuracy, heading, speed,
+        timestamp, localTime, backgroundUpdate, source
+      } = busData;
+
+      console.log('🔍 Executing database query with params:', [busId, deviceId, latitude, longitude, accuracy, heading, speed, timestamp, localTime, backgroundUpdate, source]);
+      
+      const result = await client.query(`
+        INSERT INTO active_buses (
+          bus_id, device_id, latitude, longitude, accuracy, heading, speed,
+          last_update, local_time, background_update, source
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (bus_id) DO UPDATE SET
+          device_id = EXCLUDED.device_id,
+          latitude = EXCLUDED.latitude,
+          longitude = EXCLUDED.longitude,
+          accuracy = EXCLUDED.accuracy,
+          heading = EXCLUDED.heading,
+          speed = EXCLUDED.speed,
+          last_update = EXCLUDED.last_update,
+          server_received_at = NOW(),
+          local_time = EXCLUDED.local_time,
+          background_update = EXCLUDED.background_update,
+          source = EXCLUDED.source
+        RETURNING *
+      `, [busId, deviceId, latitude, longitude, accuracy, heading, speed, timestamp, localTime, backgroundUpdate, source]);
+      
+      console.log('✅ Database query executed successfully');
+
+      // Keep the full path, not just the latest point
+      await this.addLocationHistory(historyData, client);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('❌ Database error in updateBusLocation:', error);
+      console.error('❌ Database error stack:', error.stack);
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Location history operations
+  async addLocationHistory(busData, client = pool) {
+    const {
+      deviceId, busId, latitude, longitude, accuracy, heading, speed,
+      timestamp, backgroundUpdate, source, tripId,
+      filterStatus, filterReason, filteredLatitude, filteredLongitude
+    } = busData;
+
+    await client.query(`
+      INSERT INTO bus_location_history (
+        bus_id, device_id, latitude, longitude, accuracy, heading, speed,
+        recorded_at, background_update, source, trip_id,
+        filter_status, filter_reason, filtered_latitude, filtered_longitude
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8::timestamptz, NOW()), $9, $10, $11, $12, $13, $14, $15)
+    `, [
+      busId, deviceId, latitude, longitude, accuracy, heading, speed, timestamp || null, backgroundUpdate || false, source,
+      tripId || null, filterStatus || null, filterReason || null, filteredLatitude ?? null, filteredLongitude ?? null
+    ]);
+  },
+
+  // Insert many points in time order, skipping any already stored for the
+  // same bus and timestamp. Returns the number of rows actually inserted.
+  async addLocationHistoryBatch(points) {
+    if (points.length === 0) return 0;
+
+    const params = [];
+    const rows = points.map((point, index) => {
+      params.push(
+        point.busId, point.deviceId, point.latitude, point.longitude, point.accuracy,
+        point.heading, point.speed, point.timestamp, point.backgroundUpdate || false, point.source,
+        point.tripId || null, point.filterStatus || null, point.filterReason || null,
+        point.filteredLatitude ?? null, point.filteredLongitude ?? null
+      );
+      const p = index * 15;
+      return `($${p + 1}::varchar, $${p + 2}::varchar, $${p + 3}::decimal, $${p + 4}::decimal, $${p + 5}::decimal, ` +
+        `$${p + 6}::decimal, $${p + 7}::decimal, $${p + 8}::timestamptz, $${p + 9}::boolean, $${p + 10}::varchar, ` +
+        `$${p + 11}::integer, $${p + 12}::varchar, $${p + 13}::varchar, $${p + 14}::decimal, $${p + 15}::decimal)`;
+    });
+
+    const result = await pool.query(`
+      INSERT INTO bus_location_history (
+        bus_id, device_id, latitude, longitude, accuracy, heading, speed,
+        recorded_at, background_update, source, trip_id,
+        filter_status, filter_reason, filtered_latitude, filtered_longitude
+      )
+      SELECT DISTINCT ON (v.recorded_at) v.* FROM (VALUES ${rows.join(',')}) AS v(
+        bus_id, device_id, latitude, longitude, accuracy, heading, speed,
+        recorded_at, background_update, source, trip_id,
+        filter_status, filter_reason, filtered_latitude, filtered_longitude
+      )
+      WHERE NOT EXISTS (
+        SELECT 1 FROM bus_location_history h
+        WHERE h.bus_id = v.bus_id AND h.recorded_at = v.recorded_at
+      )
+      ORDER BY v.recorded_at
+    `, params);
+    return result.rowCount;
+  },
+
+  // Points for a bus between two instants, oldest first. When intervalSeconds
+  // is given, only the first point of each interval bucket is returned.
+  async getLocationHistory(busId, { from, to, intervalSeconds = null, limit = 5000, includeRejected = false } = {}) {
+    const rejectedFilter = includeRejected ? '' : "AND filter_status IS DISTINCT FROM 'rejected'";
+
+    if (intervalSeconds) {
+      const result = await pool.query(`
+        SELECT * FROM (
+          SELECT DISTINCT ON (FLOOR(EXTRACT(EPOCH FROM recorded_at) / $4)) *
+          FROM bus_location_history
+          WHERE bus_id = $1 AND recorded_at >= $2 AND recorded_at <= $3 ${rejectedFilter}
+          ORDER BY FLOOR(EXTRACT(EPOCH FROM recorded_at) / $4), recorded_at, id
+        ) sampled
+        ORDER BY recorded_at, id
+        LIMIT $5
+      `, [busId, from, to, intervalSeconds, limit]);
+      return result.rows;
+    }
+
+    const result = await pool.query(`
+      SELECT * FROM bus_location_history
+      WHERE bus_id = $1 AND recorded_at >= $2 AND recorded_at <= $3 ${rejectedFilter}
+      ORDER BY recorded_at, id
+      LIMIT $4
+    `, [busId, from, to, limit]);
+    return result.rows;
+  },
+
+  // Buses with a position or a route on the service date (YYYY-MM-DD,
+  // defaults to the database's current date)
+  async getActiveBuses(serviceDate = null) {
+    const result = await pool.query(`
+      ${BUS_ROUTE_IDS}
+      SELECT ${BUS_COLUMNS}
+      ${BUS_FROM}
+      GROUP BY ${BUS_GROUP_BY}
+      ORDER BY COALESCE(ab.server_received_at, r.server_received_at) DESC NULLS LAST
+    `, [serviceDate || new Date()]);
+    return result.rows;
+  },
+
+  async getBusById(busId, serviceDate = null) {
+    const result = await pool.query(`
+      ${BUS_ROUTE_IDS}
+      SELECT ${BUS_COLUMNS}
+      ${BUS_FROM}
+      WHERE bri.bus_id = $2
+      GROUP BY ${BUS_GROUP_BY}
+    `, [serviceDate || new Date(), busId]);
+    return result.rows[0] || null;
+  },
+
+  // Route operations
+  // Create or replace a route and its stops. Name, direction and variant are
+  // kept when not given, so stop-only uploads don't wipe them.
+  async saveRoute(routeData) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const {
+        routeId, name = null, direction = null, variant = null,
+        routeGeometry, routeDistance, routeDuration,
+        parsedStops, timestamp, gtfsRouteId = null, gtfsTripId = null, ownerBusId = null
+      } = routeData;
+
+      // Save route; the owning bus is only set when the route is created
+      await client.query(`
+        INSERT INTO routes (
+          id, name, direction, variant, route_geometry, route_distance, route_duration,
+          stop_count, last_updated, gtfs_route_id, gtfs_trip_id, owner_bus_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        ON CONFLICT (id) DO UPDATE SET
+          name = COALESCE(EXCLUDED.name, routes.name),
+          direction = COALESCE(EXCLUDED.direction, routes.direction),
+          variant = COALESCE(EXCLUDED.variant, routes.variant),
+          route_geometry = EXCLUDED.route_geometry,
+          route_distance = EXCLUDED.route_distance,
+          route_duration = EXCLUDED.route_duration,
+          stop_count = EXCLUDED.stop_count,
+          last_updated = EXCLUDED.last_updated,
+          gtfs_route_id = EXCLUDED.gtfs_route_id,
+          gtfs_trip_id = EXCLUDED.gtfs_trip_id,
+          server_received_at = NOW()
+      `, [
+        routeId, name, direction, variant, routeGeometry, routeDistance, routeDuration,
+        parsedStops.length, timestamp, gtfsRouteId, gtfsTripId, ownerBusId
+      ]);
+
+      // Stops are updated in place by position, so route stop ids (and the
+      // proximity events recorded against them) survive a re-upload. Positions
+      // past the new end are dropped; their events keep a NULL stop_id.
+      await client.query(
+        'DELETE FROM route_stops WHERE route_id = $1 AND stop_order > $2',
+        [routeId, parsedStops.length]
+      );
+
+      let savedStops = [];
+      if (parsedStops && parsedStops.length > 0) {
+        const stopIds = [];
+        for (const stop of parsedStops) {
+          stopIds.push(await upsertCatalogueStop(client, stop));
+        }
+
+        const params = [];
+        const stopValues = parsedStops.map((stop, index) => {
+          params.push(routeId, stopIds[index], index + 1, stop.distanceAlongRoute ?? null);
+          const base = index * 4;
+          return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4})`;
+        }).join(',');
+
+        const inserted = await client.query(`
+          INSERT INTO route_stops (route_id, stop_id, stop_order, distance_along_route)
+          VALUES ${stopValues}
+          ON CONFLICT (route_id, stop_order) DO UPDATE SET
+            stop_id = EXCLUDED.stop_id,
+            distance_along_route = EXCLUDED.distance_along_route
+          RETURNING *
+        `, params);
+        savedStops = inserted.rows.sort((a, b) => a.stop_order - b.stop_order);
+      }
+
+      await client.query('COMMIT');
+      console.log(`✅ Route ${routeId} and its stops saved`);
+      return savedStops;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  async getRoutes() {
+    const result = await pool.query(`
+      SELECT ${ROUTE_COLUMNS}
+      FROM routes r
+      LEFT JOIN route_stops rs ON rs.route_id = r.id
+      LEFT JOIN stops st ON st.id = rs.stop_id
+      GROUP BY ${ROUTE_GROUP_BY}
+      ORDER BY r.id
+    `);
+    return result.rows;
+  },
+
+  async getRoute(routeId) {
+    const result = await pool.query(`
+      SELECT ${ROUTE_COLUMNS}
+      FROM routes r
+      LEFT JOIN route_stops rs ON rs.route_id = r.id
+      LEFT JOIN stops st ON st.id = rs.stop_id
+      WHERE r.id = $1
+      GROUP BY ${ROUTE_GROUP_BY}
+    `, [routeId]);
+    return result.rows[0] || null;
+  },
+
+  // Deleting a route drops its stops and assignments; stop events stay, with
+  // a NULL stop_id
+  async deleteRoute(routeId) {
+    const result = await pool.query('DELETE FROM routes WHERE id = $1 RETURNING id', [routeId]);
+    return result.rowCount > 0;
+  },
+
+  async getRouteStops(routeId) {
+    const result = await pool.query(`
+      SELECT rs.*, st.name, st.latitude, st.longitude, st.gtfs_stop_id
+      FROM route_stops rs
+      JOIN stops st ON st.id = rs.stop_id
+      WHERE rs.route_id = $1
+      ORDER BY rs.stop_order
+    `, [routeId]);
+    return result.rows;
+  },
+
+  // Stop catalogue. Merged stops are left out of listings; getStop still
+  // returns them (with merged_into set) so callers can follow the merge.
+  async getStops({ routeId = null, bounds = null, query = null } = {}) {
+    const conditions = ['s.merged_into IS NULL'];
+    const params = [];
+    if (routeId) {
+      params.push(routeId);
+      conditions.push(`s.id IN (SELECT stop_id FROM route_stops WHERE route_id = $${params.length})`);
+    }
+    if (bounds) {
+      params.push(bounds.south, bounds.north, bounds.west, bounds.east);
+      const base = params.length - 4;
+      conditions.push(`s.latitude BETWEEN $${base + 1} AND $${base + 2}`);
+      conditions.push(`s.longitude BETWEEN $${base + 3} AND $${base + 4}`);
+    }
+    if (query) {
+      params.push(`%${query}%`, query);
+      const base = params.length - 2;
+      conditions.push(`(s.name ILIKE $${base + 1} OR s.code ILIKE $${base + 1} OR s.gtfs_stop_id = $${base + 2})`);
+    }
+
+    const result = await pool.query(`
+      SELECT ${STOP_COLUMNS}
+      FROM stops s
+      LEFT JOIN route_stops rs ON rs.stop_id = s.id
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY s.id
+      ORDER BY s.id
+    `, params);
+    return result.rows;
+  },
+
+  async getStop(stopId) {
+    const result = await pool.query(`
+      SELECT ${STOP_COLUMNS}
+      FROM stops s
+      LEFT JOIN route_stops rs ON rs.stop_id = s.id
+      WHERE s.id = $1
+      GROUP BY s.id
+    `, [stopId]);
+    return result.rows[0] || null;
+  },
+
+  async createStop({ name, latitude, longitude, code = null, description = null, wheelchairAccessible = null, gtfsStopId = null }) {
+    const result = await pool.query(`
+      INSERT INTO stops (name, latitude, longitude, code, description, wheelchair_accessible, gtfs_stop_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `, [name, latitude, longitude, code, description, wheelchairAccessible, gtfsStopId]);
+    return this.getStop(result.rows[0].id);
+  },
+
+  // Attributes only; a stop that moves is a different stop. Routes using the
+  // stop count as updated so buses pick up the change.
+  async updateStop(stopId, { name, code, description, wheelchairAccessible }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(`
+        UPDATE stops SET
+          name = COALESCE($2, name),
+          code = CASE WHEN $3::boolean THEN $4 ELSE code END,
+          description = CASE WHEN $5::boolean THEN $6 ELSE description END,
+          wheelchair_accessible = CASE WHEN $7::boolean THEN $8 ELSE wheelchair_accessible END,
+          updated_at = NOW()
+        WHERE id = $1 AND merged_into IS NULL
+        RETURNING id
+      `, [
+        stopId, name ?? null,
+        code !== undefined, code ?? null,
+        description !== undefined, description ?? null,
+        wheelchairAccessible !== undefined, wheelchairAccessible ?? null
+      ]);
+      if (result.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      await client.query(`
+        UPDATE routes SET last_updated = NOW(), server_received_at = NOW()
+        WHERE id IN (SELECT route_id FROM route_stops WHERE stop_id = $1)
+      `, [stopId]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    return this.getStop(stopId);
+  },
+
+  // Fold duplicates into keepStopId: their route stops point at it, they are
+  // tombstoned with merged_into (as is anything merged into them before), and
+  // the survivor takes over a GTFS id, code or other attribute it lacks.
+  // Returns the routes touched.
+  async mergeStops(keepStopId, mergeStopIds) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const inherited = await client.query(`
+        SELECT (array_agg(gtfs_stop_id ORDER BY id) FILTER (WHERE gtfs_stop_id IS NOT NULL))[1] as gtfs_stop_id,
+               (array_agg(code ORDER BY id) FILTER (WHERE code IS NOT NULL))[1] as code,
+               (array_agg(description ORDER BY id) FILTER (WHERE description IS NOT NULL))[1] as description,
+               bool_or(wheelchair_accessible) as wheelchair_accessible
+        FROM stops
+        WHERE id = ANY($1::int[])
+      `, [mergeStopIds]);
+
+      const moved = await client.query(`
+        UPDATE route_stops SET stop_id = $1
+        WHERE stop_id = ANY($2::int[])
+        RETURNING route_id
+      `, [keepStopId, mergeStopIds]);
+
+      await client.query(`
+        UPDATE stops SET
+          merged_into = $1,
+          gtfs_stop_id = CASE WHEN id = ANY($2::int[]) THEN NULL ELSE gtfs_stop_id END,
+          updated_at = NOW()
+        WHERE id = ANY($2::int[]) OR merged_into = ANY($2::int[])
+      `, [keepStopId, mergeStopIds]);
+
+      const { gtfs_stop_id: gtfsStopId, code, description, wheelchair_accessible: wheelchairAccessible } = inherited.rows[0];
+      await client.query(`
+        UPDATE stops SET
+          gtfs_stop_id = COALESCE(gtfs_stop_id, $2),
+          code = COALESCE(code, $3),
+          description = COALESCE(description, $4),
+          wheelchair_accessible = COALESCE(wheelchair_accessible, $5),
+          updated_at = NOW()
+        WHERE id = $1
+      `, [keepStopId, gtfsStopId, code, description, wheelchairAccessible]);
+
+      const routeIds = [...new Set(moved.rows.map((row) => row.route_id))];
+      await client.query(`
+        UPDATE routes SET last_updated = NOW(), server_received_at = NOW()
+        WHERE id = ANY($1::varchar[])
+      `, [routeIds]);
+
+      await client.query('COMMIT');
+      console.log(`🔀 Merged ${mergeStopIds.length} stops into stop ${keepStopId}`);
+      return { routeIds, routeStopsMoved: moved.rowCount };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Bus assignments: serviceDate null is the bus's standing route, otherwise
+  // the route for that service day only
+  async assignBus({ busId, routeId, serviceDate = null }) {
+    const conflict = serviceDate
+      ? '(bus_id, service_date) WHERE service_date IS NOT NULL'
+      : '(bus_id) WHERE service_date IS NULL';
+    const result = await pool.query(`
+      INSERT INTO bus_assignments (bus_id, route_id, service_date)
+      VALUES ($1, $2, $3::date)
+      ON CONFLICT ${conflict} DO UPDATE SET route_id = EXCLUDED.route_id, created_at = NOW()
+      RETURNING id, bus_id, route_id, to_char(service_date, 'YYYY-MM-DD') AS service_date, created_at
+    `, [busId, routeId, serviceDate]);
+    return result.rows[0];
+  },
+
+  async unassignBus(busId, serviceDate = null) {
+    const result = await pool.query(`
+      DELETE FROM bus_assignments
+      WHERE bus_id = $1 AND service_date IS NOT DISTINCT FROM $2::date
+      RETURNING id
+    `, [busId, serviceDate]);
+    return result.rowCount > 0;
+  },
+
+  // Standing assignments first, then dated ones in date order
+  async getAssignments({ busId = null, routeId = null, from = null } = {}) {
+    const result = await pool.query(`
+      SELECT a.id, a.bus_id, a.route_id, to_char(a.service_date, 'YYYY-MM-DD') AS service_date,
+             a.created_at, r.name AS route_name
+      FROM bus_assignments a
+      JOIN routes r ON r.id = a.route_id
+      WHERE ($1::varchar IS NULL OR a.bus_id = $1)
+        AND ($2::varchar IS NULL OR a.route_id = $2)
+        AND ($3::date IS NULL OR a.service_date IS NULL OR a.service_date >= $3::date)
+      ORDER BY a.bus_id, a.service_date NULLS FIRST
+    `, [busId, routeId, from]);
+    return result.rows;
+  },
+
+  // The route a bus is assigned for a service day, ignoring any open trip
+  async getAssignedRouteId(busId, serviceDate) {
+    const result = await pool.query(`
+      SELECT route_id FROM bus_assignments
+      WHERE bus_id = $1 AND (service_date = $2::date OR service_date IS NULL)
+      ORDER BY service_date NULLS LAST
+      LIMIT 1
+    `, [busId, serviceDate]);
+    return result.rows[0] ? result.rows[0].route_id : null;
+  },
+
+  // Stop visit events ('arrived', 'departed', 'skipped')
+  async recordStopEvent(event) {
+    const result = await pool.query(`
+      INSERT INTO proximity_events (
+        bus_id, device_id, stop_id, stop_name,
+        bus_latitude, bus_longitude, stop_latitude, stop_longitude,
+        distance_meters, timestamp, event_type, dwell_seconds, trip_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *
+    `, [
+      event.busId, event.deviceId, event.stopId, event.stopName,
+      event.busLatitude, event.busLongitude, event.stopLatitude, event.stopLongitude,
+      event.distance, event.timestamp, event.type, event.dwellSeconds, event.tripId || null
+    ]);
+    return result.rows[0];
+  },
+
+  async getProximityEvents(busId, limit = 50) {
+    const result = await pool.query(`
+      SELECT * FROM proximity_events 
+      WHERE bus_id = $1 
+      ORDER BY timestamp DESC 
+      LIMIT $2
+    `, [busId, limit]);
+    return result.rows;
+  },
+
+  // Route deviation operations
+  async recordRouteDeviation(event) {
+    const result = await pool.query(`
+      INSERT INTO route_deviation_events (
+        bus_id, device_id, event_type, latitude, longitude, distance_meters,
+        max_distance_meters, off_route_since, duration_seconds, timestamp, trip_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `, [
+      event.busId, event.deviceId, event.type, event.latitude, event.longitude,
+      event.distance, event.maxDistance || null, event.offRouteSince,
+      event.durationSeconds ?? null, event.timestamp, event.tripId || null
+    ]);
+    return result.rows[0];
+  },
+
+  async getRouteDeviations(busId, limit = 50) {
+    const result = await pool.query(`
+      SELECT * FROM route_deviation_events
+      WHERE bus_id = $1
+      ORDER BY timestamp DESC
+      LIMIT $2
+    `, [busId, limit]);
+    return result.rows;
+  },
+
+  // Arrival alert operations
+  async saveArrivalAlert(alert) {
+    const result = await pool.query(`
+      INSERT INTO arrival_alerts (
+        id, user_id, bus_id, stop_id, stop_name, radius_meters, minutes, push_token, created_at, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `, [
+      alert.id, alert.userId, alert.busId, alert.stopId, alert.stopName, alert.radiusMeters,
+      alert.minutes, alert.pushToken, alert.createdAt, alert.expiresAt
+    ]);
+    return result.rows[0];
+  },
+
+  // Alerts that have not expired yet, for the server's cache
+  async getArrivalAlerts() {
+    const result = await pool.query(`
+      SELECT * FROM arrival_alerts
+      WHERE expires_at > NOW()
+      ORDER BY created_at
+    `);
+    return result.rows;
+  },
+
+  async deleteArrivalAlert(alertId) {
+    const result = await pool.query('DELETE FROM arrival_alerts WHERE id = $1', [alertId]);
+    return result.rowCount > 0;
+  },
+
+  async deleteExpiredArrivalAlerts() {
+    const result = await pool.query('DELETE FROM arrival_alerts WHERE expires_at <= NOW()');
+    return result.rowCount;
+  },
+
+  // Driver device operations
+  async saveDriverDevice({ deviceId, tokenHash, allowedBusIds, label }) {
+    const result = await pool.query(`
+      INSERT INTO driver_devices (device_id, token_hash, allowed_bus_ids, label)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (device_id) DO UPDATE SET
+        token_hash = EXCLUDED.token_hash,
+        allowed_bus_ids = EXCLUDED.allowed_bus_ids,
+        label = COALESCE(EXCLUDED.label, driver_devices.label),
+        created_at = NOW(),
+        revoked_at = NULL
+      RETURNING *
+    `, [deviceId, tokenHash, allowedBusIds.map(String), label]);
+    return result.rows[0];
+  },
+
+  async getDriverDevice(deviceId) {
+    const result = await pool.query(
+      'SELECT * FROM driver_devices WHERE device_id = $1',
+      [deviceId]
+    );
+    return result.rows[0] || null;
+  },
+
+  async getDriverDevices() {
+    const result = await pool.query(`
+      SELECT device_id, allowed_bus_ids, label, created_at, revoked_at
+      FROM driver_devices
+      ORDER BY created_at DESC
+    `);
+    return result.rows;
+  },
+
+  async revokeDriverDevice(deviceId) {
+    const result = await pool.query(`
+      UPDATE driver_devices SET revoked_at = NOW()
+      WHERE device_id = $1 AND revoked_at IS NULL
+      RETURNING device_id, allowed_bus_ids, label, created_at, revoked_at
+    `, [deviceId]);
+    return result.rows[0] || null;
+  },
+
+  // Webhook operations
+  async createWebhook({ url, secret, eventTypes, description }) {
+    const result = await pool.query(`
+      INSERT INTO webhook_subscriptions (url, secret, event_types, description)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [url, secret, eventTypes, description || null]);
+    return result.rows[0];
+  },
+
+  async getWebhooks() {
+    const result = await pool.query(`
+      SELECT * FROM webhook_subscriptions
+      WHERE active = TRUE
+      ORDER BY id
+    `);
+    return result.rows;
+  },
+
+  // Deactivate rather than delete so the delivery log is kept
+  async deactivateWebhook(id) {
+    const result = await pool.query(`
+      UPDATE webhook_subscriptions SET active = FALSE
+      WHERE id = $1 AND active = TRUE
+      RETURNING *
+    `, [id]);
+    return result.rows[0] || null;
+  },
+
+  async createWebhookDelivery({ subscriptionId, eventType, payload }) {
+    const result = await pool.query(`
+      INSERT INTO webhook_deliveries (subscription_id, event_type, payload)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [subscriptionId, eventType, JSON.stringify(payload)]);
+    return result.rows[0];
+  },
+
+  async updateWebhookDelivery(id, { status, attempts, responseStatus, error, nextAttemptAt }) {
+    await pool.query(`
+      UPDATE webhook_deliveries SET
+        status = $2,
+        attempts = $3,
+        response_status = $4,
+        error = $5,
+        next_attempt_at = $6,
+        delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE delivered_at END
+      WHERE id = $1
+    `, [id, status, attempts, responseStatus || null, error || null, nextAttemptAt || null]);
+  },
+
+  async getWebhookDeliveries(subscriptionId, limit = 50) {
+    const result = await pool.query(`
+      SELECT * FROM webhook_deliveries
+      WHERE subscription_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [subscriptionId, limit]);
+    return result.rows;
+  },
+
+  // Deliveries that were waiting for a retry when the server stopped
+  async getPendingWebhookDeliveries() {
+    const result = await pool.query(`
+      SELECT wd.* FROM webhook_deliveries wd
+      JOIN webhook_subscriptions ws ON ws.id = wd.subscription_id
+      WHERE wd.status IN ('pending', 'retrying') AND ws.active = TRUE
+      ORDER BY wd.created_at
+    `);
+    return result.rows;
+  },
+
+  // Median travel time between consecutive stops of a bus's route, taken from
+  // stop visits in the last `days` days. Gaps over an hour are ignored.
+  async getSegmentTravelTimes(busId, days = 28) {
+    const result = await pool.query(`
+      WITH visits AS (
+        SELECT pe.stop_id, pe.timestamp, rs.stop_order,
+               LAG(pe.stop_id) OVER w AS prev_stop_id,
+               LAG(pe.timestamp) OVER w AS prev_timestamp,
+               LAG(rs.stop_order) OVER w AS prev_stop_order
+        FROM proximity_events pe
+        JOIN route_stops rs ON rs.id = pe.stop_id
+        WHERE pe.bus_id = $1
+          AND pe.event_type IN ('near_stop', 'arrived')
+          AND pe.timestamp > NOW() - ($2 || ' days')::INTERVAL
+        WINDOW w AS (PARTITION BY pe.trip_id ORDER BY pe.timestamp)
+      )
+      SELECT prev_stop_id AS from_stop_id,
+             stop_id AS to_stop_id,
+             PERCENTILE_CONT(0.5) WITHIN GROUP (
+               ORDER BY EXTRACT(EPOCH FROM timestamp - prev_timestamp)
+             ) AS median_seconds,
+             COUNT(*) AS samples
+      FROM visits
+      WHERE prev_stop_order = stop_order - 1
+        AND timestamp - prev_timestamp < INTERVAL '1 hour'
+      GROUP BY prev_stop_id, stop_id
+    `, [busId, String(days)]);
+    return result.rows;
+  },
+
+  // Trip operations
+  // Open a trip for a bus on a route, closing any trip it left open. The
+  // route version is the save time of the route.
+  async startTrip({
+    busId, routeId = null, deviceId = null, driverId = null, direction = null, startedAt = null,
+    scheduleTripId = null, scheduleDayStart = null
+  }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(`
+        UPDATE trips SET ended_at = COALESCE($2::timestamptz, NOW()), end_reason = 'superseded'
+        WHERE bus_id = $1 AND ended_at IS NULL
+      `, [busId, startedAt]);
+
+      const result = await client.query(`
+        INSERT INTO trips (
+          bus_id, device_id, driver_id, direction,
+          route_id, gtfs_route_id, gtfs_trip_id, route_version, started_at,
+          schedule_trip_id, schedule_day_start
+        )
+        SELECT $1, $2, $3, $4, r.id, r.gtfs_route_id, r.gtfs_trip_id, r.server_received_at,
+               COALESCE($5::timestamptz, NOW()), $6, $7
+        FROM (SELECT 1) one
+        LEFT JOIN routes r ON r.id = $8
+        RETURNING *
+      `, [busId, deviceId, driverId, direction, startedAt, scheduleTripId, scheduleDayStart, routeId]);
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  async endTrip(busId, { reason = 'completed', endedAt = null } = {}) {
+    const result = await pool.query(`
+      UPDATE trips SET ended_at = COALESCE($2::timestamptz, NOW()), end_reason = $3
+      WHERE bus_id = $1 AND ended_at IS NULL
+      RETURNING *
+    `, [busId, endedAt, reason]);
+    return result.rows[0] || null;
+  },
+
+  async getOpenTrips() {
+    const result = await pool.query('SELECT * FROM trips WHERE ended_at IS NULL');
+    return result.rows;
+  },
+
+  async getTripById(tripId) {
+    const result = await pool.query(`
+      SELECT t.*,
+        (SELECT COUNT(*) FROM bus_location_history h WHERE h.trip_id = t.id) AS point_count,
+        (SELECT COUNT(*) FROM proximity_events pe WHERE pe.trip_id = t.id) AS stop_event_count
+      FROM trips t
+      WHERE t.id = $1
+    `, [tripId]);
+    return result.rows[0] || null;
+  },
+
+  async getTrips(busId, limit = 50) {
+    const result = await pool.query(`
+      SELECT * FROM trips
+      WHERE bus_id = $1
+      ORDER BY started_at DESC
+      LIMIT $2
+    `, [busId, limit]);
+    return result.rows;
+  },
+
+  // Timetable operations
+  // Create or replace a scheduled trip and its stop times
+  async saveTimetableTrip({ scheduleTripId, routeId, direction = null, daysOfWeek = null, stopTimes }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const ordered = [...stopTimes].sort((a, b) => a.stopSequence - b.stopSequence);
+      const first = ordered[0];
+      const result = await client.query(`
+        INSERT INTO timetable_trips (schedule_trip_id, route_id, direction, days_of_week, first_departure)
+        VALUES ($1, $2, $3, COALESCE($4::integer[], '{0,1,2,3,4,5,6}'), $5)
+        ON CONFLICT (schedule_trip_id) DO UPDATE SET
+          route_id = EXCLUDED.route_id,
+          direction = EXCLUDED.direction,
+          days_of_week = EXCLUDED.days_of_week,
+          first_departure = EXCLUDED.first_departure
+        RETURNING *
+      `, [scheduleTripId, routeId, direction, daysOfWeek, first ? (first.departureTime ?? first.arrivalTime) : null]);
+
+      await client.query('DELETE FROM scheduled_stop_times WHERE schedule_trip_id = $1', [scheduleTripId]);
+
+      if (ordered.length > 0) {
+        const params = [];
+        const values = ordered.map((stopTime, index) => {
+          params.push(
+            scheduleTripId, stopTime.stopSequence, stopTime.gtfsStopId || null, stopTime.stopName || null,
+            stopTime.arrivalTime, stopTime.departureTime ?? null
+          );
+          const base = index * 6;
+          return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6})`;
+        }).join(',');
+
+        await client.query(`
+          INSERT INTO scheduled_stop_times (
+            schedule_trip_id, stop_sequence, gtfs_stop_id, stop_name, arrival_time, departure_time
+          ) VALUES ${values}
+        `, params);
+      }
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  async getTimetableTrips(routeId = null) {
+    const result = await pool.query(`
+      SELECT * FROM timetable_trips
+      WHERE $1::varchar IS NULL OR route_id = $1
+      ORDER BY route_id, first_departure
+    `, [routeId]);
+    return result.rows;
+  },
+
+  async getTimetableTrip(scheduleTripId) {
+    const result = await pool.query(`
+      SELECT tt.*,
+        COALESCE(json_agg(
+          json_build_object(
+            'stop_sequence', st.stop_sequence,
+            'gtfs_stop_id', st.gtfs_stop_id,
+            'stop_name', st.stop_name,
+            'arrival_time', st.arrival_time,
+            'departure_time', st.departure_time
+          ) ORDER BY st.stop_sequence
+        ) FILTER (WHERE st.id IS NOT NULL), '[]') AS stop_times
+      FROM timetable_trips tt
+      LEFT JOIN scheduled_stop_times st ON st.schedule_trip_id = tt.schedule_trip_id
+      WHERE tt.schedule_trip_id = $1
+      GROUP BY tt.schedule_trip_id
+    `, [scheduleTripId]);
+    return result.rows[0] || null;
+  },
+
+  async deleteTimetableTrip(scheduleTripId) {
+    const result = await pool.query(
+      'DELETE FROM timetable_trips WHERE schedule_trip_id = $1 RETURNING *',
+      [scheduleTripId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Scheduled trip of a route whose first departure is closest to the given
+  // time, on today's service day or (day_offset 1) as a late trip of yesterday's
+  async findScheduledTrip({ routeId, dayOfWeek, previousDayOfWeek, secondsOfDay, windowSeconds }) {
+    const result = await pool.query(`
+      SELECT tt.schedule_trip_id, tt.first_departure, c.day_offset
+      FROM timetable_trips tt
+      CROSS JOIN (VALUES (0, $2::integer, $4::integer), (1, $3::integer, $4::integer + 86400))
+        AS c(day_offset, day_of_week, seconds)
+      WHERE tt.route_id = $1
+        AND c.day_of_week = ANY(tt.days_of_week)
+        AND ABS(tt.first_departure - c.seconds) <= $5
+      ORDER BY ABS(tt.first_departure - c.seconds)
+      LIMIT 1
+    `, [routeId, dayOfWeek, previousDayOfWeek, secondsOfDay, windowSeconds]);
+    return result.rows[0] || null;
+  },
+
+  async recordStopAdherence(row) {
+    const result = await pool.query(`
+      INSERT INTO stop_adherence (
+        trip_id, schedule_trip_id, bus_id, route_id, service_date, stop_sequence,
+        stop_id, stop_name, event_type, scheduled_arrival, actual_arrival,
+        deviation_seconds, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *
+    `, [
+      row.tripId, row.scheduleTripId, row.busId, row.routeId, row.serviceDate, row.stopSequence,
+      row.stopId, row.stopName, row.eventType, row.scheduledArrival, row.actualArrival,
+      row.deviationSeconds, row.status
+    ]);
+    return result.rows[0];
+  },
+
+  // Daily on-time performance per route or per bus
+  async getOnTimePerformance({ from, to, groupBy = 'route', routeId = null, busId = null }) {
+    const groupColumn = groupBy === 'bus' ? 'bus_id' : 'route_id';
+    const result = await pool.query(`
+      SELECT to_char(service_date, 'YYYY-MM-DD') AS service_date,
+             ${groupColumn} AS group_id,
+             COUNT(*) AS scheduled_stops,
+             COUNT(*) FILTER (WHERE status = 'on_time') AS on_time,
+             COUNT(*) FILTER (WHERE status = 'early') AS early,
+             COUNT(*) FILTER (WHERE status = 'late') AS late,
+             COUNT(*) FILTER (WHERE status = 'missed') AS missed,
+             ROUND(AVG(deviation_seconds)) AS avg_deviation_seconds,
+             ROUND(100.0 * COUNT(*) FILTER (WHERE status = 'on_time') / COUNT(*), 1) AS otp_percent
+      FROM stop_adherence
+      WHERE service_date BETWEEN $1::date AND $2::date
+        AND ($3::varchar IS NULL OR route_id = $3)
+        AND ($4::varchar IS NULL OR bus_id = $4)
+      GROUP BY service_date, ${groupColumn}
+      ORDER BY service_date, ${groupColumn}
+    `, [from, to, routeId, busId]);
+    return result.rows;
+  },
+
+  // Analytics operations
+  // Stop-to-stop travel times (departure to next arrival on the same run) with
+  // percentiles, optionally bucketed by local hour of day or weekday (0 = Sunday).
+  // Stops are catalogue stops, so runs on different routes through the same
+  // pair of stops count as one segment.
+  async getSegmentTravelStats({ from, to, busId = null, groupBy = null, timeZone = 'UTC', minSamples = 1 }) {
+    const params = [from, to, busId, minSamples];
+    let bucket = 'NULL::integer';
+    if (groupBy === 'hour' || groupBy === 'weekday') {
+      params.push(timeZone);
+      bucket = `EXTRACT(${groupBy === 'hour' ? 'HOUR' : 'DOW'} FROM prev_timestamp AT TIME ZONE $5)::integer`;
+    }
+
+    const result = await pool.query(`
+      WITH visits AS (
+        SELECT pe.bus_id, pe.event_type, pe.timestamp, rs.stop_id, rs.stop_order,
+               LAG(pe.event_type) OVER w AS prev_type,
+               LAG(pe.timestamp) OVER w AS prev_timestamp,
+               LAG(rs.stop_id) OVER w AS prev_stop_id,
+               LAG(rs.stop_order) OVER w AS prev_stop_order
+        FROM proximity_events pe
+        JOIN route_stops rs ON rs.id = pe.stop_id
+        WHERE pe.event_type IN ('near_stop', 'arrived', 'departed')
+          AND pe.timestamp >= $1 AND pe.timestamp < $2
+          AND ($3::varchar IS NULL OR pe.bus_id = $3)
+        WINDOW w AS (PARTITION BY pe.bus_id, pe.trip_id ORDER BY pe.timestamp, pe.id)
+      ),
+      segments AS (
+        SELECT bus_id, prev_stop_id AS from_stop_id, stop_id AS to_stop_id,
+               prev_stop_order AS from_stop_order,
+               EXTRACT(EPOCH FROM timestamp - prev_timestamp) AS seconds,
+               ${bucket} AS bucket
+        FROM visits
+        WHERE event_type IN ('arrived', 'near_stop')
+          AND prev_type IN ('departed', 'near_stop')
+          AND prev_stop_order = stop_order - 1
+          AND timestamp - prev_timestamp < INTERVAL '1 hour'
+      )
+      SELECT s.bus_id, s.bucket,
+             s.from_stop_id, fs.name AS from_stop_name, MIN(s.from_stop_order) AS from_stop_order,
+             fs.latitude AS from_latitude, fs.longitude AS from_longitude,
+             s.to_stop_id, ts.name AS to_stop_name,
+             ts.latitude AS to_latitude, ts.longitude AS to_longitude,
+             COUNT(*) AS samples,
+             PERCENTILE_CONT(ARRAY[0.5, 0.75, 0.9, 0.95]) WITHIN GROUP (ORDER BY s.seconds) AS percentiles,
+             AVG(s.seconds) AS avg_seconds,
+             MIN(s.seconds) AS min_seconds,
+             MAX(s.seconds) AS max_seconds
+      FROM segments s
+      JOIN stops fs ON fs.id = s.from_stop_id
+      JOIN stops ts ON ts.id = s.to_stop_id
+      GROUP BY s.bus_id, s.bucket, s.from_stop_id, fs.name, fs.latitude, fs.longitude,
+               s.to_stop_id, ts.name, ts.latitude, ts.longitude
+      HAVING COUNT(*) >= $4
+      ORDER BY s.bus_id, from_stop_order, s.bucket
+    `, params);
+    return result.rows;
+  },
+
+  // Dwell time per stop from 'departed' events, bucketed like getSegmentTravelStats
+  async getDwellStats({ from, to, busId = null, groupBy = null, timeZone = 'UTC', minSamples = 1 }) {
+    const params = [from, to, busId, minSamples];
+    let bucket = 'NULL::integer';
+    if (groupBy === 'hour' || groupBy === 'weekday') {
+      params.push(timeZone);
+      bucket = `EXTRACT(${groupBy === 'hour' ? 'HOUR' : 'DOW'} FROM pe.timestamp AT TIME ZONE $5)::integer`;
+    }
+
+    const result = await pool.query(`
+      SELECT pe.bus_id, ${bucket} AS bucket,
+             rs.stop_id, st.name AS stop_name, MIN(rs.stop_order) AS stop_order,
+             COUNT(*) AS samples,
+             PERCENTILE_CONT(ARRAY[0.5, 0.75, 0.9, 0.95]) WITHIN GROUP (ORDER BY pe.dwell_seconds) AS percentiles,
+             AVG(pe.dwell_seconds) AS avg_seconds,
+             MAX(pe.dwell_seconds) AS max_seconds
+      FROM proximity_events pe
+      JOIN route_stops rs ON rs.id = pe.stop_id
+      JOIN stops st ON st.id = rs.stop_id
+      WHERE pe.event_type = 'departed'
+        AND pe.dwell_seconds IS NOT NULL
+        AND pe.timestamp >= $1 AND pe.timestamp < $2
+        AND ($3::varchar IS NULL OR pe.bus_id = $3)
+      GROUP BY pe.bus_id, 2, rs.stop_id, st.name
+      HAVING COUNT(*) >= $4
+      ORDER BY pe.bus_id, stop_order, 2
+    `, params);
+    return result.rows;
+  },
+};
+
+module.exports = db;
\ No newline at end of file
@@ -0,0 +1,38 @@
+// push-providers.js - Pluggable push notification delivery for rider alerts
+// A provider is any object with a `name` and an async `send(target, notification)`.
+
+// Local stub: logs notifications and keeps the most recent ones in memory.
+// Used in development and tests; swap in a real provider via PUSH_PROVIDER.
+class LocalPushProvider {
+  constructor(options = {}) {
+    this.name = "local";
+    this.maxHistory = options.maxHistory || 100;
+    this.sent = [];
+  }
+
+  async send(target, notification) {
+    this.sent.push({ target, notification, sentAt: new Date().toISOString() });
+    if (this.sent.length > this.maxHistory) {
+      this.sent = this.sent.slice(-this.maxHistory);
+    }
+    console.log(`📲 [local push] ${target}: ${notification.message}`);
+    return { delivered: true };
+  }
+}
+
+const providers = {
+  local: LocalPushProvider,
+};
+
+function createPushProvider(name = process.env.PUSH_PROVIDER || "local", options = {}) {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown push provider: ${name}`);
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  LocalPushProvider,
+  createPushProvider,
+};
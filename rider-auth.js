@@ -0,0 +1,48 @@
+// rider-auth.js - Rider identities for arrival alerts
+// The server issues each rider a random user id and a token signed with
+// RIDER_TOKEN_SECRET. Alerts belong to the user id inside a valid token, so a
+// client can't act for a user id it merely names. Nothing is stored.
+
+const crypto = require("crypto");
+
+class RiderAuth {
+  constructor(options = {}) {
+    if (options.secret) {
+      this.secret = options.secret;
+    } else {
+      // Tokens then stop verifying when the server restarts
+      this.secret = crypto.randomBytes(32).toString("hex");
+      console.warn("⚠️ RIDER_TOKEN_SECRET is not set - rider tokens will not survive a restart");
+    }
+  }
+
+  sign(userId) {
+    return crypto.createHmac("sha256", this.secret).update(userId).digest("hex");
+  }
+
+  // A new rider: { userId, token }. The token is the only proof of the id.
+  issue() {
+    const userId = `rider_${crypto.randomUUID()}`;
+    return { userId, token: `${userId}.${this.sign(userId)}` };
+  }
+
+  // The user id a token was issued for, or null
+  verify(token) {
+    if (typeof token !== "string") return null;
+    const separator = token.lastIndexOf(".");
+    if (separator <= 0) return null;
+
+    const userId = token.slice(0, separator);
+    const signature = token.slice(separator + 1);
+    if (!/^[0-9a-f]{64}$/.test(signature)) return null;
+
+    const expected = Buffer.from(this.sign(userId), "hex");
+    const actual = Buffer.from(signature, "hex");
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    return userId;
+  }
+}
+
+module.exports = RiderAuth;
@@ -0,0 +1,315 @@
+// route-geometry.js - Route line helpers shared by import, ETA and tracking code
+// Coordinates are [latitude, longitude] pairs unless stated otherwise
+
+const { calculateDistance } = require("./database");
+
+const METERS_PER_DEGREE = 6371e3 * Math.PI / 180;
+const DEFAULT_MAX_STOP_DISTANCE = 150; // metres a stop may lie from its route line
+const DEFAULT_AVERAGE_SPEED = 20 / 3.6; // m/s
+const DEFAULT_STOP_DWELL_SECONDS = 20;
+
+// Google encoded polyline (precision 5) from [[lat, lng], ...]
+function encodePolyline(coordinates) {
+  let lastLat = 0;
+  let lastLng = 0;
+  let result = "";
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : (value << 1);
+    let chunk = "";
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return chunk + String.fromCharCode(v + 63);
+  };
+
+  for (const [lat, lng] of coordinates) {
+    const latE5 = Math.round(lat * 1e5);
+    const lngE5 = Math.round(lng * 1e5);
+    result += encodeValue(latE5 - lastLat) + encodeValue(lngE5 - lastLng);
+    lastLat = latE5;
+    lastLng = lngE5;
+  }
+
+  return result;
+}
+
+function decodePolyline(encoded) {
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= encoded.length) {
+        throw new Error("Truncated polyline");
+      }
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += decodeValue();
+    lng += decodeValue();
+    coordinates.push([lat / 1e5, lng / 1e5]);
+  }
+
+  return coordinates;
+}
+
+function toLatLng(point) {
+  if (Array.isArray(point)) return [Number(point[0]), Number(point[1])];
+  if (point && typeof point === "object") {
+    const lat = point.latitude !== undefined ? point.latitude : point.lat;
+    const lng = point.longitude !== undefined ? point.longitude : (point.lng !== undefined ? point.lng : point.lon);
+    return [Number(lat), Number(lng)];
+  }
+  return [NaN, NaN];
+}
+
+// Best-effort parse of a stored routeGeometry value into [[lat, lng], ...].
+// Returns null when the value is missing or not understood.
+function parseRouteGeometry(geometry) {
+  if (!geometry) return null;
+
+  try {
+    let value = geometry;
+    if (typeof value === "string") {
+      const trimmed = value.trim();
+      value = trimmed.startsWith("[") || trimmed.startsWith("{")
+        ? JSON.parse(trimmed)
+        : decodePolyline(trimmed);
+    }
+
+    let coordinates;
+    if (Array.isArray(value)) {
+      coordinates = value.map(toLatLng);
+    } else if (value && value.type === "LineString") {
+      coordinates = value.coordinates.map(([lng, lat]) => [lat, lng]);
+    } else if (value && value.type === "Feature" && value.geometry) {
+      return parseRouteGeometry(value.geometry);
+    } else {
+      return null;
+    }
+
+    const valid = coordinates.every(([lat, lng]) =>
+      isFinite(lat) && isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180
+    );
+    return valid && coordinates.length >= 2 ? coordinates : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Strict counterpart of parseRouteGeometry for geometry sent by clients:
+// an encoded polyline, a GeoJSON LineString or Feature (object or JSON text),
+// or an array of [lat, lng] pairs / { latitude, longitude } objects. Returns
+// [[lat, lng], ...] rounded to polyline precision with repeated points
+// removed; throws with a readable message when the value isn't usable.
+function normalizeRouteGeometry(geometry) {
+  let value = geometry;
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+      try {
+        value = JSON.parse(trimmed);
+      } catch (error) {
+        throw new Error("routeGeometry is not valid JSON");
+      }
+    } else {
+      try {
+        value = decodePolyline(trimmed);
+      } catch (error) {
+        throw new Error(`routeGeometry is not a valid encoded polyline (${error.message})`);
+      }
+    }
+  }
+
+  let coordinates;
+  if (Array.isArray(value)) {
+    coordinates = value.map(toLatLng);
+  } else if (value && value.type === "Feature") {
+    return normalizeRouteGeometry(value.geometry);
+  } else if (value && value.type === "LineString" && Array.isArray(value.coordinates)) {
+    coordinates = value.coordinates.map((point) => (Array.isArray(point) ? [Number(point[1]), Number(point[0])] : [NaN, NaN]));
+  } else {
+    throw new Error("routeGeometry must be an encoded polyline, a GeoJSON LineString or an array of coordinates");
+  }
+
+  const valid = coordinates.every(([lat, lng]) =>
+    isFinite(lat) && isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180
+  );
+  if (!valid) {
+    throw new Error("routeGeometry contains invalid coordinates");
+  }
+
+  const normalized = [];
+  coordinates.forEach(([lat, lng]) => {
+    const point = [Math.round(lat * 1e5) / 1e5, Math.round(lng * 1e5) / 1e5];
+    const last = normalized[normalized.length - 1];
+    if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+      normalized.push(point);
+    }
+  });
+  if (normalized.length < 2) {
+    throw new Error("routeGeometry needs at least 2 distinct points");
+  }
+  return normalized;
+}
+
+function pathLength(coordinates) {
+  let total = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    const [lat1, lng1] = coordinates[i - 1];
+    const [lat2, lng2] = coordinates[i];
+    total += calculateDistance(lat1, lng1, lat2, lng2);
+  }
+  return total;
+}
+
+// Distance along the line at each vertex, starting from 0
+function cumulativeDistances(coordinates) {
+  const distances = [0];
+  for (let i = 1; i < coordinates.length; i++) {
+    const [lat1, lng1] = coordinates[i - 1];
+    const [lat2, lng2] = coordinates[i];
+    distances.push(distances[i - 1] + calculateDistance(lat1, lng1, lat2, lng2));
+  }
+  return distances;
+}
+
+// Closest point on segment a-b to p, using a local flat-earth approximation
+function projectOntoSegment(a, b, p) {
+  const cosLat = Math.cos(a[0] * Math.PI / 180);
+  const bx = (b[1] - a[1]) * cosLat * METERS_PER_DEGREE;
+  const by = (b[0] - a[0]) * METERS_PER_DEGREE;
+  const px = (p[1] - a[1]) * cosLat * METERS_PER_DEGREE;
+  const py = (p[0] - a[0]) * METERS_PER_DEGREE;
+
+  const lengthSquared = bx * bx + by * by;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, (px * bx + py * by) / lengthSquared));
+
+  const dx = px - t * bx;
+  const dy = py - t * by;
+  return { t, distance: Math.sqrt(dx * dx + dy * dy) };
+}
+
+// Project a point onto the line. Returns the along-line offset in metres,
+// the perpendicular distance to the line and the segment index.
+// `minOffset` restricts the search to the part of the line at or after it,
+// which keeps projections moving forward on routes that double back.
+function projectOntoLine(coordinates, point, cumulative = cumulativeDistances(coordinates), minOffset = 0) {
+  let best = null;
+
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    if (cumulative[i + 1] < minOffset) continue;
+
+    const { t, distance } = projectOntoSegment(coordinates[i], coordinates[i + 1], point);
+    const offset = cumulative[i] + t * (cumulative[i + 1] - cumulative[i]);
+    if (offset < minOffset) continue;
+
+    if (!best || distance < best.distance) {
+      best = { offset, distance, segmentIndex: i };
+    }
+  }
+
+  return best;
+}
+
+// Length of the line and where each stop falls along it. Stops are matched in
+// order, so a route that doubles back places each stop on the right pass.
+// distanceFromLine is how far the stop itself lies from the line.
+function measureRoute(coordinates, stopPoints) {
+  const cumulative = cumulativeDistances(coordinates);
+  let minOffset = 0;
+
+  const stops = stopPoints.map((point) => {
+    const projection = projectOntoLine(coordinates, point, cumulative, minOffset);
+    if (!projection) {
+      return { distanceAlongRoute: null, distanceFromLine: null };
+    }
+    minOffset = projection.offset;
+    return { distanceAlongRoute: projection.offset, distanceFromLine: projection.distance };
+  });
+
+  return { length: cumulative[cumulative.length - 1], stops };
+}
+
+// Normalise a route line to an encoded polyline and measure it against the
+// stops ({ name, latitude, longitude }). Routes without geometry are measured
+// along straight lines between their stops. Returns { routeGeometry,
+// routeDistance, routeDuration, stopDistances } or { error, details }.
+function processRouteGeometry(routeGeometry, stops, options = {}) {
+  const {
+    maxStopDistance = DEFAULT_MAX_STOP_DISTANCE,
+    averageSpeed = DEFAULT_AVERAGE_SPEED,
+    stopDwellSeconds = DEFAULT_STOP_DWELL_SECONDS,
+  } = options;
+
+  const stopPoints = stops.map(stop => [stop.latitude, stop.longitude]);
+  if (stopPoints.some(([lat, lng]) => !isFinite(lat) || !isFinite(lng))) {
+    return { error: "Every stop needs a numeric latitude and longitude" };
+  }
+
+  let line = null;
+  if (routeGeometry !== undefined && routeGeometry !== null && routeGeometry !== "") {
+    try {
+      line = normalizeRouteGeometry(routeGeometry);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  const measured = measureRoute(line || stopPoints, stopPoints);
+  if (line) {
+    const farStops = measured.stops
+      .map((stop, index) => ({ stopIndex: index, name: stops[index].name, distance: stop.distanceFromLine }))
+      .filter(stop => stop.distance === null || stop.distance > maxStopDistance);
+    if (farStops.length > 0) {
+      return {
+        error: `routeGeometry does not pass within ${maxStopDistance} m of every stop`,
+        details: farStops.map(stop => ({
+          stopIndex: stop.stopIndex,
+          name: stop.name,
+          distanceMeters: stop.distance !== null ? Math.round(stop.distance) : null
+        }))
+      };
+    }
+  }
+
+  return {
+    routeGeometry: line ? encodePolyline(line) : null,
+    routeDistance: Math.round(measured.length * 100) / 100,
+    routeDuration: Math.round(
+      measured.length / averageSpeed + Math.max(0, stops.length - 2) * stopDwellSeconds
+    ),
+    stopDistances: measured.stops.map(stop =>
+      stop.distanceAlongRoute !== null ? Math.round(stop.distanceAlongRoute * 100) / 100 : null
+    )
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_STOP_DISTANCE,
+  DEFAULT_AVERAGE_SPEED,
+  DEFAULT_STOP_DWELL_SECONDS,
+  encodePolyline,
+  decodePolyline,
+  parseRouteGeometry,
+  normalizeRouteGeometry,
+  pathLength,
+  cumulativeDistances,
+  projectOntoLine,
+  measureRoute,
+  processRouteGeometry,
+};
@@ -0,0 +1,242 @@
+// schedule-adherence.js - Compares trips against the published timetable
+// Scheduled stop times are seconds after the service day's midnight (GTFS
+// style, so they can run past 24:00). Actual arrivals come from stop visit
+// events; upcoming stops use the ETA engine's predictions.
+
+const db = require("./database");
+
+class ScheduleAdherence {
+  constructor(options = {}) {
+    this.timeZone = options.timeZone || "Asia/Kolkata";
+    this.earlySeconds = options.earlySeconds || 60; // more than a minute early is early
+    this.lateSeconds = options.lateSeconds || 300; // more than five minutes late is late
+    this.matchWindowSeconds = options.matchWindowSeconds || 30 * 60; // auto-match start times within this
+    this.schedules = new Map(); // scheduleTripId -> { scheduleTripId, routeId, stopTimes }
+    this.states = new Map(); // busId -> { scheduleTripId, dayStart, arrivals: Map(stopIndex -> ms) }
+  }
+
+  // Service date, weekday and midnight of `date` in the transit agency's time zone
+  getServiceDay(date = new Date()) {
+    const parts = {};
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: this.timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      timeZoneName: "longOffset",
+    }).formatToParts(date).forEach((part) => {
+      parts[part.type] = part.value;
+    });
+
+    const offsetMatch = /GMT([+-])(\d{2}):(\d{2})/.exec(parts.timeZoneName);
+    const offsetMinutes = offsetMatch
+      ? (offsetMatch[1] === "-" ? -1 : 1) * (parseInt(offsetMatch[2], 10) * 60 + parseInt(offsetMatch[3], 10))
+      : 0;
+    const utcMidnight = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day));
+
+    return {
+      serviceDate: `${parts.year}-${parts.month}-${parts.day}`,
+      dayOfWeek: new Date(utcMidnight).getUTCDay(),
+      dayStart: utcMidnight - offsetMinutes * 60 * 1000,
+    };
+  }
+
+  // Find the timetable trip a run starting now most likely is. Trips that
+  // started on yesterday's service day (after-midnight times) count too.
+  async matchSchedule(routeId, startedAt = new Date()) {
+    const today = this.getServiceDay(startedAt);
+    const yesterday = this.getServiceDay(new Date(today.dayStart - 12 * 60 * 60 * 1000));
+    const secondsOfDay = Math.round((startedAt.getTime() - today.dayStart) / 1000);
+
+    const match = await db.findScheduledTrip({
+      routeId,
+      dayOfWeek: today.dayOfWeek,
+      previousDayOfWeek: yesterday.dayOfWeek,
+      secondsOfDay,
+      windowSeconds: this.matchWindowSeconds,
+    });
+    if (!match) return null;
+
+    return {
+      scheduleTripId: match.schedule_trip_id,
+      dayStart: new Date(match.day_offset ? yesterday.dayStart : today.dayStart).toISOString(),
+    };
+  }
+
+  // Use a timetable trip the driver picked; its service day is whichever of
+  // today or yesterday puts the first departure closest to the start time
+  async pinSchedule(scheduleTripId, startedAt = new Date()) {
+    const schedule = await this.getSchedule(scheduleTripId);
+    if (!schedule || schedule.stopTimes.length === 0) return null;
+
+    const first = schedule.stopTimes[0];
+    const firstDeparture = first.departure_time ?? first.arrival_time;
+    const today = this.getServiceDay(startedAt);
+    const yesterday = this.getServiceDay(new Date(today.dayStart - 12 * 60 * 60 * 1000));
+    const gap = (dayStart) => Math.abs(dayStart + firstDeparture * 1000 - startedAt.getTime());
+
+    return {
+      scheduleTripId,
+      dayStart: new Date(gap(yesterday.dayStart) < gap(today.dayStart) ? yesterday.dayStart : today.dayStart).toISOString(),
+    };
+  }
+
+  async getSchedule(scheduleTripId) {
+    if (!this.schedules.has(scheduleTripId)) {
+      const timetable = await db.getTimetableTrip(scheduleTripId);
+      this.schedules.set(scheduleTripId, timetable ? {
+        scheduleTripId,
+        routeId: timetable.route_id,
+        stopTimes: timetable.stop_times,
+      } : null);
+    }
+    return this.schedules.get(scheduleTripId);
+  }
+
+  // Drop cached timetables after they are edited
+  invalidate(scheduleTripId = null) {
+    if (scheduleTripId) {
+      this.schedules.delete(scheduleTripId);
+    } else {
+      this.schedules.clear();
+    }
+  }
+
+  getState(busId, trip) {
+    let state = this.states.get(busId);
+    if (!state || state.tripId !== trip.id) {
+      state = {
+        tripId: trip.id,
+        scheduleTripId: trip.schedule_trip_id,
+        dayStart: new Date(trip.schedule_day_start).getTime(),
+        arrivals: new Map(),
+      };
+      this.states.set(busId, state);
+    }
+    return state;
+  }
+
+  // Scheduled stop time for a route stop: by GTFS stop id, else by position
+  findStopTime(schedule, stop, stopIndex) {
+    if (stop.gtfsStopId) {
+      const byStopId = schedule.stopTimes.find((stopTime) => stopTime.gtfs_stop_id === stop.gtfsStopId);
+      if (byStopId) return byStopId;
+    }
+    return schedule.stopTimes.find((stopTime) => stopTime.stop_sequence === stopIndex + 1) || null;
+  }
+
+  classify(deviationSeconds) {
+    if (deviationSeconds === null) return "missed";
+    if (deviationSeconds < -this.earlySeconds) return "early";
+    if (deviationSeconds > this.lateSeconds) return "late";
+    return "on_time";
+  }
+
+  // Turn an 'arrived' or 'skipped' stop event into a stop_adherence row,
+  // or null when the trip has no timetable or the stop isn't scheduled
+  async recordStopEvent(busInfo, event, trip) {
+    if (!trip || !trip.schedule_trip_id || !busInfo.route) return null;
+    if (event.type !== "arrived" && event.type !== "skipped") return null;
+
+    const schedule = await this.getSchedule(trip.schedule_trip_id);
+    if (!schedule) return null;
+
+    const stop = busInfo.route.stops[event.stopIndex];
+    const stopTime = stop ? this.findStopTime(schedule, stop, event.stopIndex) : null;
+    if (!stopTime) return null;
+
+    const state = this.getState(busInfo.busId, trip);
+    const scheduledArrival = state.dayStart + stopTime.arrival_time * 1000;
+    const actualArrival = event.type === "arrived" ? new Date(event.timestamp).getTime() : null;
+    if (actualArrival !== null) {
+      state.arrivals.set(event.stopIndex, actualArrival);
+    }
+
+    const deviationSeconds = actualArrival !== null
+      ? Math.round((actualArrival - scheduledArrival) / 1000)
+      : null;
+
+    return {
+      tripId: trip.id,
+      scheduleTripId: trip.schedule_trip_id,
+      busId: busInfo.busId,
+      routeId: schedule.routeId,
+      serviceDate: this.getServiceDay(new Date(state.dayStart + 12 * 60 * 60 * 1000)).serviceDate,
+      stopSequence: stopTime.stop_sequence,
+      stopId: event.stopId,
+      stopName: event.stopName,
+      eventType: event.type,
+      scheduledArrival: new Date(scheduledArrival).toISOString(),
+      actualArrival: actualArrival !== null ? new Date(actualArrival).toISOString() : null,
+      deviationSeconds,
+      status: this.classify(deviationSeconds),
+    };
+  }
+
+  // Live adherence for BusInfo.scheduleAdherence: per-stop deviation from
+  // actual arrivals so far and ETAs for the rest. Positive means late.
+  async update(busInfo, trip, now = Date.now()) {
+    if (!trip || !trip.schedule_trip_id || !busInfo.route) {
+      busInfo.scheduleAdherence = null;
+      return null;
+    }
+
+    const schedule = await this.getSchedule(trip.schedule_trip_id);
+    if (!schedule) {
+      busInfo.scheduleAdherence = null;
+      return null;
+    }
+
+    const state = this.getState(busInfo.busId, trip);
+    const stops = [];
+    let current = null;
+
+    busInfo.route.stops.forEach((stop, stopIndex) => {
+      const stopTime = this.findStopTime(schedule, stop, stopIndex);
+      if (!stopTime) return;
+
+      const scheduledArrival = state.dayStart + stopTime.arrival_time * 1000;
+      const actualArrival = state.arrivals.get(stopIndex) || null;
+      const estimatedArrival = !actualArrival && stop.estimatedArrival
+        ? new Date(stop.estimatedArrival).getTime()
+        : null;
+      const reference = actualArrival || estimatedArrival;
+      const deviationSeconds = reference !== null
+        ? Math.round((reference - scheduledArrival) / 1000)
+        : null;
+
+      const entry = {
+        stopIndex,
+        stopId: stop.id,
+        stopName: stop.name,
+        scheduledArrival: new Date(scheduledArrival).toISOString(),
+        actualArrival: actualArrival ? new Date(actualArrival).toISOString() : null,
+        estimatedArrival: estimatedArrival ? new Date(estimatedArrival).toISOString() : null,
+        deviationSeconds,
+        status: deviationSeconds !== null ? this.classify(deviationSeconds) : null,
+      };
+      stops.push(entry);
+
+      // The bus's headline figure: its next predicted stop, else its last arrival
+      if (reference !== null && (!current || current.actualArrival)) {
+        current = entry;
+      }
+    });
+
+    busInfo.scheduleAdherence = {
+      scheduleTripId: trip.schedule_trip_id,
+      deviationSeconds: current ? current.deviationSeconds : null,
+      status: current ? current.status : null,
+      referenceStopId: current ? current.stopId : null,
+      updatedAt: new Date(now).toISOString(),
+      stops,
+    };
+    return busInfo.scheduleAdherence;
+  }
+
+  forget(busId) {
+    this.states.delete(busId);
+  }
+}
+
+module.exports = ScheduleAdherence;
@@ -6,9 +6,35 @@ const http = require("http");
 const { Server } = require("socket.io");
 const cors = require("cors");
 const path = require("path");
+const crypto = require("crypto");
 const AIAgent = require("./ai-agent");
 const ContextManager = require("./context-manager");
 const db = require("./database");
+const gtfsRealtime = require("./gtfs-realtime");
+const geoExport = require("./geo-export");
+const EtaEngine = require("./eta-engine");
+const StopVisitTracker = require("./stop-visit-tracker");
+const OffRouteDetector = require("./off-route-detector");
+const DeviceAuth = require("./device-auth");
+const RiderAuth = require("./rider-auth");
+const { migrateUp, getPendingMigrations } = require("./migrator");
+const LocationFilter = require("./location-filter");
+const ScheduleAdherence = require("./schedule-adherence");
+const { parseGtfsTime } = require("./gtfs-import");
+const {
+  DEFAULT_MAX_STOP_DISTANCE,
+  processRouteGeometry
+} = require("./route-geometry");
+const ArrivalAlertManager = require("./arrival-alerts");
+const { createPushProvider } = require("./push-providers");
+const { WebhookDispatcher, WEBHOOK_EVENT_TYPES } = require("./webhooks");
+const {
+  DEFAULT_MATCH_DISTANCE,
+  DEFAULT_MIN_SIMILARITY,
+  boundsAround,
+  findMatchingStop,
+  clusterStops
+} = require("./stop-registry");
 
 // Create Express app and HTTP server
 const app = express();
@@ -29,25 +55,86 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 
+// Liveness thresholds for buses that stop reporting
+const BUS_STALE_AFTER_MS = (parseInt(process.env.BUS_STALE_AFTER_SECONDS, 10) || 60) * 1000;
+const BUS_INACTIVE_AFTER_MS = (parseInt(process.env.BUS_INACTIVE_AFTER_SECONDS, 10) || 300) * 1000;
+const BUS_SWEEP_INTERVAL_MS = 15 * 1000;
+// Trips left open by a driver who never ended them
+const TRIP_IDLE_TIMEOUT_MS = (parseInt(process.env.TRIP_IDLE_TIMEOUT_MINUTES, 10) || 60) * 60 * 1000;
+// Route geometry must pass this close to every stop; saved routes get a
+// duration estimate from this speed plus a dwell at each intermediate stop
+const ROUTE_MAX_STOP_DISTANCE_METERS = parseFloat(process.env.ROUTE_MAX_STOP_DISTANCE_METERS) || DEFAULT_MAX_STOP_DISTANCE;
+const ROUTE_AVERAGE_SPEED = (parseFloat(process.env.ROUTE_AVERAGE_SPEED_KMH) || 20) / 3.6; // m/s
+const ROUTE_STOP_DWELL_SECONDS = 20;
+const ROUTE_GEOMETRY_OPTIONS = {
+  maxStopDistance: ROUTE_MAX_STOP_DISTANCE_METERS,
+  averageSpeed: ROUTE_AVERAGE_SPEED,
+  stopDwellSeconds: ROUTE_STOP_DWELL_SECONDS
+};
+// An uploaded stop this close to a catalogue stop with a similar name reuses it
+const STOP_MATCH_DISTANCE_METERS = parseFloat(process.env.STOP_MATCH_DISTANCE_METERS) || DEFAULT_MATCH_DISTANCE;
+
 // Unified data stores
 const activeBuses = new Map(); // busId -> BusInfo
 const activeConnections = new Map(); // socketId -> connection info
 const activeDevices = new Map(); // deviceId -> device info
+const activeTrips = new Map(); // busId -> open trips row
 
 // Initialize AI components
 const aiAgent = new AIAgent();
 const contextManager = new ContextManager();
+const etaEngine = new EtaEngine();
+const stopVisitTracker = new StopVisitTracker();
+const offRouteDetector = new OffRouteDetector({
+  maxDistance: parseFloat(process.env.OFF_ROUTE_DISTANCE_METERS) || 75,
+  minDuration: (parseFloat(process.env.OFF_ROUTE_MIN_SECONDS) || 60) * 1000,
+});
+
+const locationFilter = new LocationFilter({
+  maxSpeed: (parseFloat(process.env.GPS_MAX_SPEED_KMH) || 144) / 3.6,
+  maxAccuracy: parseFloat(process.env.GPS_MAX_ACCURACY_METERS) || 500,
+});
+
+const scheduleAdherence = new ScheduleAdherence({
+  timeZone: process.env.TRANSIT_TIMEZONE || "Asia/Kolkata",
+  earlySeconds: parseInt(process.env.OTP_EARLY_SECONDS, 10) || 60,
+  lateSeconds: parseInt(process.env.OTP_LATE_SECONDS, 10) || 300,
+});
+
+const deviceAuth = new DeviceAuth({ mode: process.env.DEVICE_AUTH_MODE || "enforce" });
+const riderAuth = new RiderAuth({ secret: process.env.RIDER_TOKEN_SECRET });
+
+// Adaptive sampling policy for the background runner, returned with every
+// location upload so the fleet's capture rate is tuned here, not in the app
+const SAMPLING_POLICY = {
+  adaptive: process.env.SAMPLING_ADAPTIVE !== "false",
+  minInterval: (parseFloat(process.env.SAMPLING_MIN_SECONDS) || 2) * 1000,
+  maxInterval: (parseFloat(process.env.SAMPLING_MAX_SECONDS) || 30) * 1000,
+  stationaryInterval: (parseFloat(process.env.SAMPLING_STATIONARY_SECONDS) || 20) * 1000,
+  targetDistance: parseFloat(process.env.SAMPLING_TARGET_DISTANCE_METERS) || 50,
+  nearStopRadius: parseFloat(process.env.SAMPLING_NEAR_STOP_RADIUS_METERS) || 200,
+};
+const webhooks = new WebhookDispatcher();
+const arrivalAlerts = new ArrivalAlertManager({
+  pushProvider: createPushProvider(),
+  notify: (alert, notification) => {
+    io.to(`user_${alert.userId}`).emit("bus_arrival_alert", notification);
+  },
+});
 
 // Unified Data Structure Classes
 class BusStop {
   constructor(data) {
-    this.id = data.id || null;
+    this.id = data.id || null; // this stop's place on its route
+    this.stopId = data.stopId || null; // the stop in the shared catalogue
     this.name = data.name;
     this.latitude = parseFloat(data.latitude);
     this.longitude = parseFloat(data.longitude);
     this.address = data.address || null;
     this.estimatedArrival = data.estimatedArrival || null;
     this.distanceFromBus = data.distanceFromBus || null;
+    this.gtfsStopId = data.gtfsStopId || null;
+    this.distanceAlongRoute = data.distanceAlongRoute ?? null; // metres from the start of the route line
   }
 
   static fromLegacyFormat(legacyData) {
@@ -68,12 +155,15 @@ class BusStop {
   toJSON() {
     return {
       id: this.id,
+      stopId: this.stopId,
       name: this.name,
       latitude: this.latitude,
       longitude: this.longitude,
       address: this.address,
       estimatedArrival: this.estimatedArrival,
-      distanceFromBus: this.distanceFromBus
+      distanceFromBus: this.distanceFromBus,
+      gtfsStopId: this.gtfsStopId,
+      distanceAlongRoute: this.distanceAlongRoute
     };
   }
 }
@@ -91,6 +181,7 @@ class BusLocation {
     this.localTime = data.localTime || null;
     this.serverReceivedAt = data.serverReceivedAt || new Date().toISOString();
     this.source = data.source || 'http-api';
+    this.tripId = data.tripId || null;
   }
 
   toJSON() {
@@ -105,13 +196,18 @@ class BusLocation {
       timestamp: this.timestamp,
       localTime: this.localTime,
       serverReceivedAt: this.serverReceivedAt,
-      source: this.source
+      source: this.source,
+      tripId: this.tripId
     };
   }
 }
 
 class BusRoute {
   constructor(data) {
+    this.routeId = data.routeId || null;
+    this.name = data.name || null;
+    this.direction = data.direction || null;
+    this.variant = data.variant || null;
     this.busId = data.busId;
     this.deviceId = data.deviceId;
     this.stops = data.stops?.map(stop => 
@@ -120,6 +216,8 @@ class BusRoute {
     this.routeGeometry = data.routeGeometry || null;
     this.routeDistance = data.routeDistance || null;
     this.routeDuration = data.routeDuration || null;
+    this.gtfsRouteId = data.gtfsRouteId || null;
+    this.gtfsTripId = data.gtfsTripId || null;
     this.createdAt = data.createdAt || new Date().toISOString();
     this.updatedAt = data.updatedAt || new Date().toISOString();
   }
@@ -135,14 +233,49 @@ class BusRoute {
     });
   }
 
+  // Works on bus rows (the route a bus is running) and plain route rows
+  static fromDatabaseRow(row) {
+    return new BusRoute({
+      routeId: row.route_id,
+      name: row.route_name,
+      direction: row.route_direction,
+      variant: row.route_variant,
+      busId: row.bus_id || null,
+      deviceId: row.device_id || null,
+      stops: (row.route_stops || []).map(stop => new BusStop({
+        id: stop.id,
+        stopId: stop.stop_id,
+        name: stop.name,
+        latitude: stop.latitude,
+        longitude: stop.longitude,
+        gtfsStopId: stop.gtfs_stop_id,
+        distanceAlongRoute: stop.distance_along_route !== null && stop.distance_along_route !== undefined
+          ? parseFloat(stop.distance_along_route)
+          : null
+      })),
+      routeGeometry: row.route_geometry,
+      routeDistance: row.route_distance ? parseFloat(row.route_distance) : null,
+      routeDuration: row.route_duration,
+      gtfsRouteId: row.gtfs_route_id,
+      gtfsTripId: row.gtfs_trip_id,
+      updatedAt: row.route_last_updated ? new Date(row.route_last_updated).toISOString() : undefined
+    });
+  }
+
   toJSON() {
     return {
+      routeId: this.routeId,
+      name: this.name,
+      direction: this.direction,
+      variant: this.variant,
       busId: this.busId,
       deviceId: this.deviceId,
       stops: this.stops.map(stop => stop.toJSON()),
       routeGeometry: this.routeGeometry,
       routeDistance: this.routeDistance,
       routeDuration: this.routeDuration,
+      gtfsRouteId: this.gtfsRouteId,
+      gtfsTripId: this.gtfsTripId,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -158,6 +291,9 @@ class BusInfo {
     this.isActive = data.isActive !== undefined ? data.isActive : true;
     this.lastSeen = data.lastSeen || new Date().toISOString();
     this.proximityEvents = data.proximityEvents || [];
+    this.offRoute = data.offRoute || false;
+    this.scheduleAdherence = data.scheduleAdherence || null;
+    this.routeServiceDate = data.routeServiceDate || null; // service day the route was resolved for
   }
 
   updateLocation(locationData) {
@@ -170,9 +306,42 @@ class BusInfo {
     this.route = new BusRoute(routeData);
   }
 
+  // lastSeen is kept as the time we last heard from the bus
   deactivate() {
     this.isActive = false;
-    this.lastSeen = new Date().toISOString();
+  }
+
+  // "live" while the bus keeps reporting, "stale" once it has gone quiet
+  getStatus(now = Date.now()) {
+    const silence = now - new Date(this.lastSeen).getTime();
+    return this.isActive && silence <= BUS_STALE_AFTER_MS ? "live" : "stale";
+  }
+
+  static fromDatabaseRow(row) {
+    const receivedAt = row.location_received_at ? new Date(row.location_received_at) : null;
+    const hasLocation = row.latitude !== null && row.longitude !== null;
+
+    return new BusInfo({
+      busId: row.bus_id,
+      deviceId: row.device_id,
+      location: new BusLocation({
+        deviceId: row.device_id,
+        busId: row.bus_id,
+        latitude: hasLocation ? row.latitude : 0,
+        longitude: hasLocation ? row.longitude : 0,
+        accuracy: row.accuracy,
+        heading: row.heading,
+        speed: row.speed,
+        timestamp: row.last_update ? new Date(row.last_update).toISOString() : undefined,
+        localTime: row.local_time,
+        serverReceivedAt: receivedAt ? receivedAt.toISOString() : undefined,
+        source: row.source || undefined
+      }),
+      route: row.route_id ? BusRoute.fromDatabaseRow(row) : null,
+      routeServiceDate: row.route_service_date,
+      isActive: !!receivedAt && Date.now() - receivedAt.getTime() <= BUS_INACTIVE_AFTER_MS,
+      lastSeen: receivedAt ? receivedAt.toISOString() : (row.route_received_at ? new Date(row.route_received_at).toISOString() : undefined)
+    });
   }
 
   toJSON() {
@@ -182,8 +351,12 @@ class BusInfo {
       location: this.location.toJSON(),
       route: this.route ? this.route.toJSON() : null,
       isActive: this.isActive,
+      status: this.getStatus(),
       lastSeen: this.lastSeen,
-      proximityEvents: this.proximityEvents
+      proximityEvents: this.proximityEvents,
+      offRoute: this.offRoute,
+      tripId: getTripId(this.busId),
+      scheduleAdherence: this.scheduleAdherence
     };
   }
 
@@ -203,7 +376,8 @@ class BusInfo {
       routeInfo: this.route ? this.route.stops : null,
       routeGeometry: this.route ? this.route.routeGeometry : null,
       busStops: this.route ? this.route.stops : [],
-      isActive: this.isActive
+      isActive: this.isActive,
+      status: this.getStatus()
     };
   }
 }
@@ -244,21 +418,481 @@ function convertLegacyBusData(legacyData) {
   });
 }
 
+// Service date (YYYY-MM-DD) in TRANSIT_TIMEZONE; day assignments follow it
+function currentServiceDate(date = new Date()) {
+  return scheduleAdherence.getServiceDay(date).serviceDate;
+}
+
+// Resolve which route a bus is running - its open trip's route, else today's
+// assignment, else its standing assignment - and tell its audience when that
+// changed. Returns the bus, or null when it is unknown.
+async function reloadBusRoute(busId) {
+  const serviceDate = currentServiceDate();
+  const row = await db.getBusById(busId, serviceDate);
+  let busInfo = activeBuses.get(busId);
+  if (!busInfo) {
+    if (!row) return null;
+    busInfo = BusInfo.fromDatabaseRow(row);
+    activeBuses.set(busId, busInfo);
+    return busInfo;
+  }
+
+  busInfo.routeServiceDate = serviceDate;
+  const previous = busInfo.route;
+  const route = row && row.route_id ? BusRoute.fromDatabaseRow(row) : null;
+  // Routes pushed with the legacy bus_route_update event only live in memory
+  if (!route && previous && !previous.routeId) return busInfo;
+  if (previous && route && previous.routeId === route.routeId && previous.updatedAt === route.updatedAt) {
+    return busInfo;
+  }
+
+  busInfo.route = route;
+  etaEngine.forget(busId);
+  stopVisitTracker.forget(busId);
+  offRouteDetector.forget(busId);
+  etaEngine.update(busInfo);
+  announceBusRoute(busInfo);
+  return busInfo;
+}
+
+// Resolve routes for buses not yet resolved today (day assignments change at
+// the start of each service day)
+async function loadMissingRoutes(buses) {
+  const serviceDate = currentServiceDate();
+  await Promise.all(buses.map(async (busInfo) => {
+    if (busInfo.routeServiceDate === serviceDate) return;
+    await reloadBusRoute(busInfo.busId);
+  }));
+}
+
+function announceBusRoute(busInfo) {
+  const route = busInfo.route;
+  const parsedStops = route ? route.stops.map(stop => stop.toJSON()) : [];
+  emitToBusAudience(busInfo, "bus_route_updated", {
+    busId: busInfo.busId,
+    deviceId: busInfo.deviceId,
+    routeId: route ? route.routeId : null,
+    routeName: route ? route.name : null,
+    stops: parsedStops,
+    parsedStops,
+    routeGeometry: route ? route.routeGeometry : null,
+    routeDistance: route ? route.routeDistance : null,
+    routeDuration: route ? route.routeDuration : null,
+    stopCount: parsedStops.length,
+    lastUpdated: route ? route.updatedAt : null
+  });
+}
+
+function getTripId(busId) {
+  const trip = activeTrips.get(busId);
+  return trip ? trip.id : null;
+}
+
+// Tag an incoming point with the bus's open trip, unless it predates the trip
+function tagTrip(location) {
+  const trip = activeTrips.get(location.busId);
+  location.tripId = trip && new Date(location.timestamp) >= new Date(trip.started_at)
+    ? trip.id
+    : null;
+}
+
+function formatTrip(row) {
+  return {
+    tripId: row.id,
+    busId: row.bus_id,
+    deviceId: row.device_id,
+    driverId: row.driver_id,
+    direction: row.direction,
+    routeId: row.route_id || null,
+    gtfsRouteId: row.gtfs_route_id,
+    gtfsTripId: row.gtfs_trip_id,
+    routeVersion: row.route_version ? new Date(row.route_version).toISOString() : null,
+    startedAt: new Date(row.started_at).toISOString(),
+    endedAt: row.ended_at ? new Date(row.ended_at).toISOString() : null,
+    endReason: row.end_reason,
+    scheduleTripId: row.schedule_trip_id || null
+  };
+}
+
+function emitTripEvent(busId, eventName, trip) {
+  const busInfo = activeBuses.get(busId);
+  if (busInfo) {
+    emitToBusAudience(busInfo, eventName, trip);
+  } else {
+    io.to(`bus_${busId}`).emit(eventName, trip);
+  }
+  webhooks.publish(eventName, trip);
+}
+
+// Stop visits and deviations are tracked per run, so a new trip starts clean.
+// The trip runs the given route or the bus's assignment for today, and its
+// route then overrides the assignment until it ends. Without an explicit
+// scheduleTripId the timetable trip is matched by start time.
+async function startTrip({ busId, routeId = null, deviceId = null, driverId = null, direction = null, scheduleTripId = null }) {
+  const now = new Date();
+  const tripRouteId = routeId || await db.getAssignedRouteId(busId, currentServiceDate(now));
+  let schedule = null;
+  if (scheduleTripId) {
+    schedule = await scheduleAdherence.pinSchedule(scheduleTripId, now);
+  } else if (tripRouteId) {
+    schedule = await scheduleAdherence.matchSchedule(tripRouteId, now);
+  }
+  if (scheduleTripId && !schedule) {
+    console.warn(`⚠️ Unknown timetable trip ${scheduleTripId} for bus ${busId}`);
+  }
+
+  const row = await db.startTrip({
+    busId,
+    routeId: tripRouteId,
+    deviceId,
+    driverId,
+    direction,
+    scheduleTripId: schedule ? schedule.scheduleTripId : null,
+    scheduleDayStart: schedule ? schedule.dayStart : null
+  });
+  activeTrips.set(busId, row);
+  stopVisitTracker.forget(busId);
+  offRouteDetector.forget(busId);
+  scheduleAdherence.forget(busId);
+  await reloadBusRoute(busId);
+
+  const trip = formatTrip(row);
+  emitTripEvent(busId, "trip_started", trip);
+  console.log(`🚌 Trip ${trip.tripId} started for bus ${busId}${driverId ? ` by driver ${driverId}` : ""}`);
+  return trip;
+}
+
+async function endTrip(busId, reason = "completed") {
+  // If the write fails the trip is still open, so it stays tagged in memory too
+  const row = await db.endTrip(busId, { reason });
+  activeTrips.delete(busId);
+  if (!row) return null;
+
+  stopVisitTracker.forget(busId);
+  offRouteDetector.forget(busId);
+  scheduleAdherence.forget(busId);
+  const busInfo = activeBuses.get(busId);
+  if (busInfo) {
+    busInfo.scheduleAdherence = null;
+  }
+  await reloadBusRoute(busId);
+
+  const trip = formatTrip(row);
+  emitTripEvent(busId, "trip_ended", trip);
+  console.log(`🏁 Trip ${trip.tripId} ended for bus ${busId} (${reason})`);
+  return trip;
+}
+
+// Run a raw fix through the GPS filter. Returns the location to use live
+// (null when rejected) and the raw point, flagged, for history.
+function filterLocation(location, result = locationFilter.process(location)) {
+  const history = {
+    ...location.toJSON(),
+    backgroundUpdate: location.backgroundUpdate || false,
+    filterStatus: result.status,
+    filterReason: result.reason,
+    filteredLatitude: result.status === "rejected" ? null : result.latitude,
+    filteredLongitude: result.status === "rejected" ? null : result.longitude
+  };
+
+  if (result.status === "rejected") {
+    console.warn(`🚫 GPS fix for bus ${location.busId} rejected: ${result.reason}`);
+    return { location: null, history, result };
+  }
+
+  const filtered = new BusLocation({
+    ...location.toJSON(),
+    latitude: result.latitude,
+    longitude: result.longitude,
+    heading: result.heading
+  });
+  filtered.backgroundUpdate = location.backgroundUpdate || false;
+  return { location: filtered, history, result };
+}
+
+// Recompute stop ETAs for a bus after it moves or its route changes
+async function refreshBusEta(busInfo) {
+  try {
+    await loadMissingRoutes([busInfo]);
+    await etaEngine.refreshHistory(busInfo.busId);
+    etaEngine.update(busInfo);
+  } catch (error) {
+    console.error("❌ Error updating arrival estimates:", error);
+  }
+}
+
+// Detect stop arrivals/departures, store them and notify the bus's subscribers
+async function trackStopVisits(busInfo, location = busInfo.location) {
+  const events = stopVisitTracker.update(busInfo, location);
+
+  for (const event of events) {
+    // Stops that were never saved have no row to reference
+    if (event.stopId !== null) {
+      try {
+        await db.recordStopEvent(event);
+      } catch (error) {
+        console.error("❌ Error recording stop event:", error);
+      }
+    }
+
+    await recordScheduleAdherence(busInfo, event);
+
+    busInfo.proximityEvents = [...busInfo.proximityEvents, event].slice(-20);
+    io.to(`bus_${busInfo.busId}`).emit("bus_stop_event", event);
+    webhooks.publish("proximity_event", event);
+    console.log(`🚏 Bus ${busInfo.busId} ${event.type} stop: ${event.stopName}`);
+  }
+
+  return events;
+}
+
+// Store early/late deviation for stops on a timetabled trip
+async function recordScheduleAdherence(busInfo, event) {
+  try {
+    const row = await scheduleAdherence.recordStopEvent(busInfo, event, activeTrips.get(busInfo.busId));
+    if (row) {
+      await db.recordStopAdherence(row);
+    }
+  } catch (error) {
+    console.error("❌ Error recording schedule adherence:", error);
+  }
+}
+
+async function refreshScheduleAdherence(busInfo) {
+  try {
+    await scheduleAdherence.update(busInfo, activeTrips.get(busInfo.busId));
+  } catch (error) {
+    console.error("❌ Error updating schedule adherence:", error);
+  }
+}
+
+// Compare the bus against its route line and report sustained diversions
+async function trackRouteDeviation(busInfo) {
+  const event = offRouteDetector.update(busInfo);
+  busInfo.offRoute = offRouteDetector.isOffRoute(busInfo.busId);
+  if (!event) return null;
+
+  try {
+    await db.recordRouteDeviation(event);
+  } catch (error) {
+    console.error("❌ Error recording route deviation:", error);
+  }
+
+  emitToBusAudience(busInfo, event.type, event);
+  console.log(`🧭 Bus ${busInfo.busId} ${event.type.replace(/_/g, " ")} (${event.distance}m from route)`);
+  return event;
+}
+
+// Alerts as returned to riders; the push token stays on the server
+function formatArrivalAlert(alert) {
+  const { pushToken, ...visible } = alert;
+  return { ...visible, hasPushToken: !!pushToken };
+}
+
+// Validate an arrival alert request for the rider `userId` (taken from their
+// rider token) and fill in the rider's default radius. stopId is a catalogue
+// stop; a merged one is swapped for the stop it was merged into.
+// Returns { alert } ready for subscribe(), or { error } describing the problem.
+async function prepareArrivalAlert(data, userId) {
+  const { busId, stopId, stopName, radiusMeters, minutes } = data;
+  if (!busId || (stopId === undefined && !stopName)) {
+    return { error: "Missing required fields: busId and stopId or stopName" };
+  }
+  if ((radiusMeters !== undefined && !(radiusMeters > 0)) || (minutes !== undefined && !(minutes > 0))) {
+    return { error: "radiusMeters and minutes must be positive numbers" };
+  }
+
+  let catalogueStopId = null;
+  if (stopId !== undefined && stopId !== null) {
+    const stop = await getCatalogueStop(stopId);
+    if (!stop) {
+      return { error: `Unknown stopId ${stopId}` };
+    }
+    catalogueStopId = stop.id;
+  }
+
+  const context = contextManager.getUserContext(userId);
+  return {
+    alert: {
+      userId,
+      busId,
+      stopId: catalogueStopId,
+      stopName,
+      // With neither threshold given, fall back to the rider's notification radius
+      radiusMeters: radiusMeters || (minutes ? null : context.preferences.notificationRadius),
+      minutes,
+      pushToken: data.pushToken
+    }
+  };
+}
+
+// Scoped broadcasting: bus updates go to that bus's subscribers, its route's
+// subscribers, fleet-wide viewers and clients whose map viewport contains it
+
+const FLEET_ROOM = "fleet";
+
+// A bus is in its route's room and, for imported routes, the GTFS route's
+// room too, so one subscription follows a line in both directions
+function getRouteRooms(busInfo) {
+  const route = busInfo.route;
+  if (!route) return [];
+  const ids = new Set([route.routeId, route.gtfsRouteId].filter(Boolean));
+  return Array.from(ids).map(id => `route_${id}`);
+}
+
+// Viewport is { north, south, east, west } in degrees; west > east crosses the antimeridian
+function parseViewport(data) {
+  const viewport = {
+    north: parseFloat(data.north),
+    south: parseFloat(data.south),
+    east: parseFloat(data.east),
+    west: parseFloat(data.west)
+  };
+  const valid = Object.values(viewport).every(isFinite) &&
+    viewport.south <= viewport.north &&
+    Math.abs(viewport.north) <= 90 && Math.abs(viewport.south) <= 90 &&
+    Math.abs(viewport.east) <= 180 && Math.abs(viewport.west) <= 180;
+  return valid ? viewport : null;
+}
+
+function viewportContains(viewport, latitude, longitude) {
+  if (latitude < viewport.south || latitude > viewport.north) return false;
+  return viewport.west <= viewport.east
+    ? longitude >= viewport.west && longitude <= viewport.east
+    : longitude >= viewport.west || longitude <= viewport.east;
+}
+
+function getBusRooms(busInfo) {
+  return [`bus_${busInfo.busId}`, FLEET_ROOM, ...getRouteRooms(busInfo)];
+}
+
+function emitToBusAudience(busInfo, eventName, payload) {
+  io.to(getBusRooms(busInfo)).emit(eventName, payload);
+}
+
+// Location updates also reach viewport watchers; those that just lost sight
+// of the bus get a bus_left_viewport so they can drop its marker
+function broadcastBusLocation(busInfo) {
+  const rooms = getBusRooms(busInfo);
+
+  const { latitude, longitude } = busInfo.location;
+  activeConnections.forEach((connection, socketId) => {
+    if (!connection.viewport) return;
+
+    if (busInfo.isActive && viewportContains(connection.viewport, latitude, longitude)) {
+      connection.visibleBuses.add(busInfo.busId);
+      rooms.push(socketId);
+    } else if (connection.visibleBuses.delete(busInfo.busId)) {
+      connection.socket.emit("bus_left_viewport", { busId: busInfo.busId });
+    }
+  });
+
+  io.to(rooms).emit("bus_location_update", busInfo.toLegacyFormat());
+}
+
+// Everything that follows a new live position: ETAs, stop visits, route
+// deviation, rider alerts, then the broadcast and webhooks.
+// `stopVisitLocations` lets batch uploads replay every buffered point for stop events.
+async function processLiveLocation(busInfo, stopVisitLocations = [busInfo.location]) {
+  await refreshBusEta(busInfo);
+  const stopEvents = [];
+  for (const location of stopVisitLocations) {
+    stopEvents.push(...await trackStopVisits(busInfo, location));
+  }
+  await refreshScheduleAdherence(busInfo);
+  await trackRouteDeviation(busInfo);
+  await arrivalAlerts.evaluate(busInfo);
+
+  // Broadcast unified format but convert to legacy for compatibility
+  broadcastBusLocation(busInfo);
+  webhooks.publish("location_update", busInfo.toJSON());
+  return stopEvents;
+}
+
+// Drivers send their device credential with every message or once in the handshake
+async function authorizeDriverSocket(socket, data) {
+  try {
+    return await deviceAuth.authorize({
+      deviceId: data.deviceId,
+      busId: data.busId,
+      token: data.deviceToken || (socket.handshake.auth && socket.handshake.auth.deviceToken)
+    });
+  } catch (error) {
+    console.error("❌ Error verifying device credentials:", error);
+    return { ok: false, error: "Unable to verify device credentials" };
+  }
+}
+
 // Socket.IO connection handling (Legacy support)
+// Rider token from the message or, once, the handshake; returns the user id or null
+function getSocketRider(socket, data = {}) {
+  return riderAuth.verify(data.riderToken || (socket.handshake.auth && socket.handshake.auth.riderToken));
+}
+
 io.on("connection", (socket) => {
   console.log("WebSocket client connected:", socket.id);
-  activeConnections.set(socket.id, { socket, type: "unknown", busId: null });
+  activeConnections.set(socket.id, {
+    socket,
+    type: "unknown",
+    busId: null,
+    viewport: null,
+    visibleBuses: new Set()
+  });
+
+  // A rider reconnecting with their token gets their pending alerts again
+  const riderId = getSocketRider(socket);
+  if (riderId) {
+    socket.join(`user_${riderId}`);
+  }
 
   // Legacy location update handler
-  socket.on("driver_location_update", (data) => {
+  socket.on("driver_location_update", async (data) => {
     if (!data.latitude || !data.longitude || !data.busId) {
       console.warn("Invalid location data:", data);
       return;
     }
 
-    const busInfo = convertLegacyBusData(data);
+    const auth = await authorizeDriverSocket(socket, data);
+    if (!auth.ok) {
+      socket.emit("location_rejected", { busId: data.busId, error: auth.error });
+      return;
+    }
+
+    const update = convertLegacyBusData(data);
+    update.location.backgroundUpdate = data.backgroundUpdate || false;
+    tagTrip(update.location);
+
+    // Persist the raw point, flagged, so the trip can be played back later
+    const { location: filteredLocation, history } = filterLocation(update.location);
+    db.addLocationHistory(history).catch(error => {
+      console.error("❌ Error recording location history:", error);
+    });
+    if (!filteredLocation) {
+      return;
+    }
+
+    // Update the bus we know, as the HTTP path does, so its route, stop
+    // visits, off-route and schedule state carry over between fixes
+    let busInfo = activeBuses.get(data.busId);
+    if (busInfo) {
+      busInfo.updateLocation(filteredLocation);
+      if (!busInfo.route && update.route) {
+        busInfo.route = update.route;
+      }
+    } else {
+      busInfo = update;
+      busInfo.location = filteredLocation;
+    }
     activeBuses.set(data.busId, busInfo);
 
+    // Remember this socket belongs to a driver so disconnect can deactivate the bus
+    const connection = activeConnections.get(socket.id);
+    if (connection) {
+      connection.type = "driver";
+      connection.busId = data.busId;
+      connection.deviceId = data.deviceId || null;
+    }
+
     // Track device
     if (data.deviceId) {
       activeDevices.set(data.deviceId, {
@@ -268,18 +902,78 @@ io.on("connection", (socket) => {
       });
     }
 
-    // Broadcast unified format but convert to legacy for compatibility
-    io.emit("bus_location_update", busInfo.toLegacyFormat());
+    try {
+      await processLiveLocation(busInfo);
+    } catch (error) {
+      console.error(`❌ Error processing socket location for bus ${data.busId}:`, error);
+    }
+  });
+
+  socket.on("start_trip", async (data) => {
+    const { busId, routeId, deviceId, driverId, direction, scheduleTripId } = data || {};
+    if (!busId) {
+      socket.emit("trip_error", { error: "Missing required field: busId" });
+      return;
+    }
+
+    const auth = await authorizeDriverSocket(socket, data);
+    if (!auth.ok) {
+      socket.emit("trip_error", { busId, error: auth.error });
+      return;
+    }
+
+    try {
+      if (routeId && !(await db.getRoute(routeId))) {
+        socket.emit("trip_error", { busId, error: `Route ${routeId} not found` });
+        return;
+      }
+      socket.emit("trip_started", await startTrip({ busId, routeId, deviceId, driverId, direction, scheduleTripId }));
+    } catch (error) {
+      console.error("❌ Error starting trip:", error);
+      socket.emit("trip_error", { busId, error: "Failed to start trip" });
+    }
+  });
+
+  socket.on("end_trip", async (data) => {
+    const { busId } = data || {};
+    if (!busId) {
+      socket.emit("trip_error", { error: "Missing required field: busId" });
+      return;
+    }
+
+    const auth = await authorizeDriverSocket(socket, data);
+    if (!auth.ok) {
+      socket.emit("trip_error", { busId, error: auth.error });
+      return;
+    }
+
+    try {
+      const trip = await endTrip(busId, data.reason || "completed");
+      if (!trip) {
+        socket.emit("trip_error", { busId, error: `No open trip for bus ${busId}` });
+        return;
+      }
+      socket.emit("trip_ended", trip);
+    } catch (error) {
+      console.error("❌ Error ending trip:", error);
+      socket.emit("trip_error", { busId, error: "Failed to end trip" });
+    }
   });
 
-  // Legacy route update handler
-  socket.on("bus_route_update", (data) => {
-    const { busId, deviceId, rawStops } = data;
-    if (!busId || !rawStops) {
+  // Legacy route update handler; the device must be allowed to drive the bus
+  socket.on("bus_route_update", async (data) => {
+    const { busId, deviceId, rawStops } = data || {};
+    if (!busId || !Array.isArray(rawStops)) {
       console.warn("Missing bus ID or stops data");
       return;
     }
 
+    const auth = await authorizeDriverSocket(socket, data);
+    if (!auth.ok) {
+      socket.emit("route_rejected", { busId, error: auth.error });
+      return;
+    }
+
     const route = BusRoute.fromLegacyStops(busId, deviceId, rawStops);
     
     let busInfo = activeBuses.get(busId);
@@ -297,13 +991,21 @@ io.on("connection", (socket) => {
     }
     
     activeBuses.set(busId, busInfo);
-
-    // Broadcast in both formats
-    io.emit("bus_route_updated", {
-      ...data,
+    etaEngine.forget(busId);
+    stopVisitTracker.forget(busId);
+    offRouteDetector.forget(busId);
+    etaEngine.update(busInfo);
+
+    // Broadcast in both formats. Only the parsed stops go out: a legacy route
+    // has no geometry, and anything else in the payload is unchecked.
+    emitToBusAudience(busInfo, "bus_route_updated", {
+      busId,
+      deviceId,
+      rawStops,
       parsedStops: route.stops.map(stop => stop.toJSON()),
       busStops: route.stops.map(stop => stop.toJSON())
     });
+    webhooks.publish("route_updated", route.toJSON());
   });
 
   // User subscription handler
@@ -323,6 +1025,106 @@ io.on("connection", (socket) => {
     }
   });
 
+  socket.on("unsubscribe_from_bus", (data) => {
+    socket.leave(`bus_${data.busId}`);
+  });
+
+  // Route subscription: updates for every bus currently running the route
+  socket.on("subscribe_to_route", (data) => {
+    const { routeId } = data;
+    if (!routeId) return;
+
+    const connection = activeConnections.get(socket.id);
+    if (connection) {
+      connection.type = "user";
+    }
+    socket.join(`route_${routeId}`);
+
+    activeBuses.forEach((busInfo) => {
+      if (busInfo.isActive && getRouteRooms(busInfo).includes(`route_${routeId}`)) {
+        socket.emit("bus_location_update", busInfo.toLegacyFormat());
+      }
+    });
+  });
+
+  socket.on("unsubscribe_from_route", (data) => {
+    socket.leave(`route_${data.routeId}`);
+  });
+
+  // Dispatch dashboards that really want every bus
+  socket.on("subscribe_to_fleet", () => {
+    socket.join(FLEET_ROOM);
+  });
+
+  socket.on("unsubscribe_from_fleet", () => {
+    socket.leave(FLEET_ROOM);
+  });
+
+  // Map viewport: receive buses inside the visible bounding box
+  socket.on("set_viewport", (data) => {
+    const connection = activeConnections.get(socket.id);
+    const viewport = parseViewport(data || {});
+    if (!connection || !viewport) {
+      socket.emit("viewport_error", { error: "Viewport needs numeric north, south, east and west" });
+      return;
+    }
+
+    connection.type = connection.type === "driver" ? "driver" : "user";
+    connection.viewport = viewport;
+    connection.visibleBuses = new Set();
+
+    activeBuses.forEach((busInfo) => {
+      const { latitude, longitude } = busInfo.location;
+      if (busInfo.isActive && viewportContains(viewport, latitude, longitude)) {
+        connection.visibleBuses.add(busInfo.busId);
+        socket.emit("bus_location_update", busInfo.toLegacyFormat());
+      }
+    });
+  });
+
+  socket.on("clear_viewport", () => {
+    const connection = activeConnections.get(socket.id);
+    if (connection) {
+      connection.viewport = null;
+      connection.visibleBuses = new Set();
+    }
+  });
+
+  // Rider arrival alerts
+  socket.on("subscribe_arrival_alert", async (data) => {
+    const userId = getSocketRider(socket, data || {});
+    if (!userId) {
+      socket.emit("arrival_alert_error", { error: "Missing or invalid rider token" });
+      return;
+    }
+
+    try {
+      const { alert, error } = await prepareArrivalAlert(data || {}, userId);
+      if (error) {
+        socket.emit("arrival_alert_error", { error });
+        return;
+      }
+
+      socket.join(`user_${alert.userId}`);
+      socket.emit("arrival_alert_subscribed", formatArrivalAlert(await arrivalAlerts.subscribe(alert)));
+    } catch (error) {
+      console.error("❌ Error saving arrival alert:", error);
+      socket.emit("arrival_alert_error", { error: "Failed to save arrival alert" });
+    }
+  });
+
+  socket.on("unsubscribe_arrival_alert", async (data) => {
+    const { alertId } = data || {};
+    const userId = getSocketRider(socket, data || {});
+    socket.emit("arrival_alert_unsubscribed", {
+      alertId,
+      removed: userId !== null && await arrivalAlerts.unsubscribe(alertId, userId).catch((error) => {
+        console.error("❌ Error removing arrival alert:", error);
+        return false;
+      })
+    });
+  });
+
   // Get available buses
   socket.on("get_available_buses", () => {
     const busesArray = Array.from(activeBuses.values());
@@ -377,7 +1179,13 @@ io.on("connection", (socket) => {
       const busInfo = activeBuses.get(connection.busId);
       if (busInfo) {
         busInfo.deactivate();
-        io.emit("bus_inactive", { busId: connection.busId });
+        const inactiveEvent = {
+          busId: connection.busId,
+          lastSeen: busInfo.lastSeen,
+          reason: "disconnected"
+        };
+        emitToBusAudience(busInfo, "bus_inactive", inactiveEvent);
+        webhooks.publish("bus_inactive", inactiveEvent);
       }
     }
     activeConnections.delete(socket.id);
@@ -386,6 +1194,39 @@ io.on("connection", (socket) => {
 
 // Enhanced API Routes
 
+// Admin-only endpoints require the ADMIN_API_KEY in the x-admin-key header.
+// Returns { status, error } when the request doesn't carry it, else null.
+function checkAdminKey(req) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return { status: 503, error: "Admin API is disabled - ADMIN_API_KEY is not configured" };
+  }
+
+  const provided = Buffer.from(String(req.get("x-admin-key") || ""));
+  const expected = Buffer.from(adminKey);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return { status: 401, error: "Invalid admin key" };
+  }
+  return null;
+}
+
+function requireAdmin(req, res, next) {
+  const denied = checkAdminKey(req);
+  if (denied) {
+    return res.status(denied.status).json({ error: denied.error });
+  }
+  next();
+}
+
+// Device credential from "Authorization: Bearer <token>" or x-device-token
+function getDeviceToken(req) {
+  const authorization = req.get("authorization") || "";
+  if (authorization.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+  return req.get("x-device-token") || null;
+}
+
 // Location update endpoint
 app.post("/api/location", async (req, res) => {
   try {
@@ -399,20 +1240,44 @@ app.post("/api/location", async (req, res) => {
       });
     }
 
+    const auth = await deviceAuth.authorize({
+      deviceId: locationData.deviceId,
+      busId: locationData.busId,
+      token: getDeviceToken(req)
+    });
+    if (!auth.ok) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+
+    tagTrip(locationData);
     console.log("📍 Location update received:", locationData.toJSON());
 
+    // Rejected fixes are kept in history but never move the bus
+    const { location: filteredLocation, history, result } = filterLocation(locationData);
+    const filter = { status: result.status, reason: result.reason };
+    if (!filteredLocation) {
+      await db.addLocationHistory(history);
+      return res.json({
+        success: true,
+        accepted: false,
+        message: "Location recorded but rejected by the GPS filter",
+        filter,
+        samplingPolicy: SAMPLING_POLICY
+      });
+    }
+
     // Update database
-    const updatedBus = await db.updateBusLocation(locationData.toJSON());
+    const updatedBus = await db.updateBusLocation(filteredLocation.toJSON(), history);
 
     // Update in-memory store
     let busInfo = activeBuses.get(locationData.busId);
     if (busInfo) {
-      busInfo.updateLocation(locationData);
+      busInfo.updateLocation(filteredLocation);
     } else {
       busInfo = new BusInfo({
         busId: locationData.busId,
         deviceId: locationData.deviceId,
-        location: locationData
+        location: filteredLocation
       });
     }
     activeBuses.set(locationData.busId, busInfo);
@@ -423,12 +1288,14 @@ app.post("/api/location", async (req, res) => {
       lastSeen: locationData.timestamp
     });
 
-    // Broadcast update
-    io.emit("bus_location_update", busInfo.toLegacyFormat());
+    await processLiveLocation(busInfo);
 
     res.json({
       success: true,
+      accepted: true,
       message: "Location updated successfully",
+      filter,
+      samplingPolicy: SAMPLING_POLICY,
       data: busInfo.toJSON()
     });
 
@@ -441,113 +1308,1088 @@ app.post("/api/location", async (req, res) => {
   }
 });
 
-// Get all active buses
-app.get("/api/buses", async (req, res) => {
+// Batch upload of points buffered while the driver had no signal
+const MAX_BATCH_POINTS = 1000;
+
+app.post("/api/location/batch", async (req, res) => {
   try {
-    const dbBuses = await db.getActiveBuses();
-    const buses = dbBuses.map(bus => {
-      const busInfo = convertLegacyBusData(bus);
-      activeBuses.set(bus.busId, busInfo);
-      return busInfo.toJSON();
-    });
+    const { deviceId, busId, points } = req.body;
+    if (!deviceId || !busId || !Array.isArray(points) || points.length === 0) {
+      return res.status(400).json({
+        error: "Missing required fields: deviceId, busId and a non-empty points array"
+      });
+    }
+    if (points.length > MAX_BATCH_POINTS) {
+      return res.status(413).json({
+        error: `Too many points - send at most ${MAX_BATCH_POINTS} per batch`
+      });
+    }
 
+    const auth = await deviceAuth.authorize({ deviceId, busId, token: getDeviceToken(req) });
+    if (!auth.ok) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+
+    // Normalise, drop unusable points and de-duplicate by timestamp
+    const seenTimestamps = new Set();
+    const locations = [];
+    let rejected = 0;
+    let duplicates = 0;
+
+    points.forEach(point => {
+      const time = point && point.timestamp ? new Date(point.timestamp).getTime() : NaN;
+      const location = new BusLocation({
+        ...point,
+        deviceId,
+        busId,
+        source: (point && point.source) || "batch-upload"
+      });
+
+      if (isNaN(time) || !location.latitude || !location.longitude ||
+          !isFinite(location.latitude) || !isFinite(location.longitude)) {
+        rejected++;
+        return;
+      }
+
+      location.timestamp = new Date(time).toISOString();
+      location.backgroundUpdate = !!point.backgroundUpdate;
+      tagTrip(location);
+      if (seenTimestamps.has(location.timestamp)) {
+        duplicates++;
+        return;
+      }
+      seenTimestamps.add(location.timestamp);
+      locations.push(location);
+    });
+
+    locations.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    if (locations.length === 0) {
+      return res.status(400).json({ error: "No valid points in batch", rejected, duplicates });
+    }
+
+    // Only points newer than the live position move the bus
+    let busInfo = activeBuses.get(busId);
+    const liveTime = busInfo && busInfo.location.latitude
+      ? new Date(busInfo.location.timestamp).getTime()
+      : -Infinity;
+    const olderLocations = locations.filter(location => new Date(location.timestamp).getTime() <= liveTime);
+    const newerLocations = locations.filter(location => new Date(location.timestamp).getTime() > liveTime);
+
+    // Older points are filtered among themselves so they don't disturb the live filter
+    const olderResults = locationFilter.processSequence(olderLocations);
+    const filtered = [
+      ...olderLocations.map((location, index) => filterLocation(location, olderResults[index])),
+      ...newerLocations.map(location => filterLocation(location))
+    ];
+    const gpsRejected = filtered.filter(entry => !entry.location).length;
+    const liveEntries = filtered.slice(olderLocations.length).filter(entry => entry.location);
+    const newestEntry = liveEntries[liveEntries.length - 1] || null;
+    const newest = newestEntry ? newestEntry.location : null;
+
+    // updateBusLocation records the newest point itself
+    const historyEntries = filtered.filter(entry => entry !== newestEntry);
+    const inserted = await db.addLocationHistoryBatch(historyEntries.map(entry => entry.history));
+    const alreadyStored = historyEntries.length - inserted;
+    duplicates += alreadyStored;
+
+    let stopEvents = [];
+    if (newest) {
+      await db.updateBusLocation(
+        { ...newest.toJSON(), backgroundUpdate: newest.backgroundUpdate },
+        newestEntry.history
+      );
+
+      if (busInfo) {
+        busInfo.updateLocation(newest);
+      } else {
+        busInfo = new BusInfo({ busId, deviceId, location: newest });
+      }
+      activeBuses.set(busId, busInfo);
+      activeDevices.set(deviceId, { busId, lastSeen: newest.timestamp });
+
+      stopEvents = await processLiveLocation(busInfo, liveEntries.map(entry => entry.location));
+    }
+
+    const accepted = locations.length - alreadyStored;
+    console.log(`📦 Batch of ${points.length} points for bus ${busId}: ${accepted} accepted, ${duplicates} duplicates, ${rejected} rejected, ${gpsRejected} rejected by GPS filter`);
+
+    res.json({
+      success: true,
+      message: newest ? "Batch processed and live position updated" : "Batch stored in history",
+      received: points.length,
+      accepted,
+      duplicates,
+      rejected,
+      gpsRejected,
+      stopEvents: stopEvents.length,
+      samplingPolicy: SAMPLING_POLICY,
+      data: busInfo ? busInfo.toJSON() : null
+    });
+  } catch (error) {
+    console.error("❌ Error processing location batch:", error);
+    res.status(500).json({
+      error: "Failed to process location batch",
+      details: error.message
+    });
+  }
+});
+
+// Driver trip lifecycle
+app.post("/api/trips/start", async (req, res) => {
+  try {
+    const { busId, routeId, deviceId, driverId, direction, scheduleTripId } = req.body;
+    if (!busId || !deviceId) {
+      return res.status(400).json({ error: "Missing required fields: busId, deviceId" });
+    }
+
+    const auth = await deviceAuth.authorize({ deviceId, busId, token: getDeviceToken(req) });
+    if (!auth.ok) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+
+    if (routeId && !(await db.getRoute(routeId))) {
+      return res.status(404).json({ error: `Route ${routeId} not found` });
+    }
+
+    const trip = await startTrip({ busId, routeId, deviceId, driverId, direction, scheduleTripId });
+    res.status(201).json({ success: true, trip });
+  } catch (error) {
+    console.error("❌ Error starting trip:", error);
+    res.status(500).json({ error: "Failed to start trip" });
+  }
+});
+
+app.post("/api/trips/end", async (req, res) => {
+  try {
+    const { busId, deviceId, reason } = req.body;
+    if (!busId || !deviceId) {
+      return res.status(400).json({ error: "Missing required fields: busId, deviceId" });
+    }
+
+    const auth = await deviceAuth.authorize({ deviceId, busId, token: getDeviceToken(req) });
+    if (!auth.ok) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+
+    const trip = await endTrip(busId, reason || "completed");
+    if (!trip) {
+      return res.status(404).json({ error: `No open trip for bus ${busId}` });
+    }
+    res.json({ success: true, trip });
+  } catch (error) {
+    console.error("❌ Error ending trip:", error);
+    res.status(500).json({ error: "Failed to end trip" });
+  }
+});
+
+app.get("/api/trips/:id", async (req, res) => {
+  try {
+    const tripId = parseInt(req.params.id, 10);
+    if (isNaN(tripId)) {
+      return res.status(400).json({ error: "Invalid trip id" });
+    }
+
+    const row = await db.getTripById(tripId);
+    if (!row) {
+      return res.status(404).json({ error: "Trip not found" });
+    }
+    res.json({
+      ...formatTrip(row),
+      pointCount: parseInt(row.point_count, 10),
+      stopEventCount: parseInt(row.stop_event_count, 10)
+    });
+  } catch (error) {
+    console.error("❌ Error fetching trip:", error);
+    res.status(500).json({ error: "Failed to fetch trip" });
+  }
+});
+
+// Timetables (admin writes, public reads). Times are "HH:MM:SS" after the
+// service day's midnight, or seconds; they may run past 24:00:00.
+function parseScheduleTime(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? Math.round(value) : null;
+  return typeof value === "string" ? parseGtfsTime(value) : null;
+}
+
+function formatScheduleTime(seconds) {
+  if (seconds === null || seconds === undefined) return null;
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
+function formatTimetableTrip(row) {
+  return {
+    scheduleTripId: row.schedule_trip_id,
+    routeId: row.route_id,
+    direction: row.direction,
+    daysOfWeek: row.days_of_week,
+    firstDeparture: formatScheduleTime(row.first_departure),
+    stopTimes: row.stop_times ? row.stop_times.map(stopTime => ({
+      stopSequence: stopTime.stop_sequence,
+      gtfsStopId: stopTime.gtfs_stop_id,
+      stopName: stopTime.stop_name,
+      arrivalTime: formatScheduleTime(stopTime.arrival_time),
+      departureTime: formatScheduleTime(stopTime.departure_time)
+    })) : undefined
+  };
+}
+
+app.post("/api/timetables", requireAdmin, async (req, res) => {
+  try {
+    const { scheduleTripId, routeId, direction, daysOfWeek, stopTimes } = req.body;
+    if (!scheduleTripId || !routeId || !Array.isArray(stopTimes) || stopTimes.length < 2) {
+      return res.status(400).json({
+        error: "Invalid timetable - need scheduleTripId, routeId and at least 2 stopTimes"
+      });
+    }
+    if (daysOfWeek !== undefined && (!Array.isArray(daysOfWeek) ||
+        daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      return res.status(400).json({ error: "daysOfWeek must be an array of 0 (Sunday) to 6 (Saturday)" });
+    }
+
+    const parsedStopTimes = stopTimes.map((stopTime, index) => ({
+      stopSequence: stopTime.stopSequence || index + 1,
+      gtfsStopId: stopTime.gtfsStopId || null,
+      stopName: stopTime.stopName || null,
+      arrivalTime: parseScheduleTime(stopTime.arrivalTime ?? stopTime.departureTime),
+      departureTime: parseScheduleTime(stopTime.departureTime ?? stopTime.arrivalTime)
+    }));
+    if (parsedStopTimes.some(stopTime => stopTime.arrivalTime === null)) {
+      return res.status(400).json({ error: "Every stop time needs an arrivalTime or departureTime" });
+    }
+
+    await db.saveTimetableTrip({
+      scheduleTripId,
+      routeId,
+      direction: direction || null,
+      daysOfWeek: daysOfWeek || null,
+      stopTimes: parsedStopTimes
+    });
+    scheduleAdherence.invalidate(scheduleTripId);
+
+    const saved = await db.getTimetableTrip(scheduleTripId);
+    console.log(`🗓️ Timetable trip ${scheduleTripId} saved for route ${routeId} (${parsedStopTimes.length} stops)`);
+    res.status(201).json({ success: true, timetable: formatTimetableTrip(saved) });
+  } catch (error) {
+    console.error("❌ Error saving timetable:", error);
+    res.status(500).json({ error: "Failed to save timetable" });
+  }
+});
+
+app.get("/api/timetables", async (req, res) => {
+  try {
+    const timetables = (await db.getTimetableTrips(req.query.routeId || null)).map(formatTimetableTrip);
+    res.json({ timetables, count: timetables.length });
+  } catch (error) {
+    console.error("❌ Error fetching timetables:", error);
+    res.status(500).json({ error: "Failed to fetch timetables" });
+  }
+});
+
+app.get("/api/timetables/:id", async (req, res) => {
+  try {
+    const timetable = await db.getTimetableTrip(req.params.id);
+    if (!timetable) {
+      return res.status(404).json({ error: "Timetable trip not found" });
+    }
+    res.json(formatTimetableTrip(timetable));
+  } catch (error) {
+    console.error("❌ Error fetching timetable:", error);
+    res.status(500).json({ error: "Failed to fetch timetable" });
+  }
+});
+
+app.delete("/api/timetables/:id", requireAdmin, async (req, res) => {
+  try {
+    const timetable = await db.deleteTimetableTrip(req.params.id);
+    if (!timetable) {
+      return res.status(404).json({ error: "Timetable trip not found" });
+    }
+    scheduleAdherence.invalidate(req.params.id);
+    res.json({ success: true, scheduleTripId: req.params.id });
+  } catch (error) {
+    console.error("❌ Error deleting timetable:", error);
+    res.status(500).json({ error: "Failed to delete timetable" });
+  }
+});
+
+// Quote a value for CSV output
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  return [
+    columns.join(","),
+    ...rows.map(row => columns.map(column => csvValue(row[column])).join(","))
+  ].join("\n") + "\n";
+}
+
+// Daily on-time performance per route or per bus, e.g. for the monthly
+// authority report: /api/reports/otp?from=2026-09-01&to=2026-09-30&format=csv
+app.get("/api/reports/otp", async (req, res) => {
+  try {
+    const { from, to, routeId, busId } = req.query;
+    const groupBy = req.query.groupBy === "bus" ? "bus" : "route";
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(from || "") || !datePattern.test(to || "") || from > to) {
+      return res.status(400).json({
+        error: "Invalid date range - from and to must be YYYY-MM-DD with from <= to"
+      });
+    }
+
+    const rows = await db.getOnTimePerformance({
+      from, to, groupBy, routeId: routeId || null, busId: busId || null
+    });
+
+    const days = rows.map(row => ({
+      serviceDate: row.service_date,
+      [groupBy === "bus" ? "busId" : "routeId"]: row.group_id,
+      scheduledStops: parseInt(row.scheduled_stops, 10),
+      onTime: parseInt(row.on_time, 10),
+      early: parseInt(row.early, 10),
+      late: parseInt(row.late, 10),
+      missed: parseInt(row.missed, 10),
+      avgDeviationSeconds: row.avg_deviation_seconds !== null ? parseInt(row.avg_deviation_seconds, 10) : null,
+      otpPercent: parseFloat(row.otp_percent)
+    }));
+
+    if (req.query.format === "csv") {
+      const columns = ["serviceDate", groupBy === "bus" ? "busId" : "routeId", "scheduledStops",
+        "onTime", "early", "late", "missed", "avgDeviationSeconds", "otpPercent"];
+      res.type("text/csv");
+      res.attachment(`otp-${groupBy}-${from}-to-${to}.csv`);
+      return res.send(toCsv(columns, days));
+    }
+
+    // Totals over the whole range per route / bus
+    const totals = new Map();
+    rows.forEach(row => {
+      const total = totals.get(row.group_id) || { scheduledStops: 0, onTime: 0, early: 0, late: 0, missed: 0 };
+      total.scheduledStops += parseInt(row.scheduled_stops, 10);
+      total.onTime += parseInt(row.on_time, 10);
+      total.early += parseInt(row.early, 10);
+      total.late += parseInt(row.late, 10);
+      total.missed += parseInt(row.missed, 10);
+      totals.set(row.group_id, total);
+    });
+
+    res.json({
+      from,
+      to,
+      groupBy,
+      thresholds: {
+        earlySeconds: scheduleAdherence.earlySeconds,
+        lateSeconds: scheduleAdherence.lateSeconds
+      },
+      days,
+      totals: Array.from(totals, ([groupId, total]) => ({
+        [groupBy === "bus" ? "busId" : "routeId"]: groupId,
+        ...total,
+        otpPercent: Math.round(1000 * total.onTime / total.scheduledStops) / 10
+      }))
+    });
+  } catch (error) {
+    console.error("❌ Error building on-time performance report:", error);
+    res.status(500).json({ error: "Failed to build on-time performance report" });
+  }
+});
+
+// Stop-to-stop travel time and dwell analytics. Common query parameters:
+// from/to (ISO, default the last 28 days), busId, groupBy=hour|weekday,
+// minSamples and format=csv. Hours and weekdays are in TRANSIT_TIMEZONE.
+function parseAnalyticsQuery(query, defaultMinSamples = 1) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 28 * 24 * 60 * 60 * 1000);
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+    return { error: "Invalid time range - from and to must be ISO timestamps with from <= to" };
+  }
+  if (query.groupBy && query.groupBy !== "hour" && query.groupBy !== "weekday") {
+    return { error: "Invalid groupBy - use hour or weekday" };
+  }
+
+  const minSamples = query.minSamples !== undefined ? parseInt(query.minSamples, 10) : defaultMinSamples;
+  if (isNaN(minSamples) || minSamples < 1) {
+    return { error: "Invalid minSamples - must be a positive integer" };
+  }
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    busId: query.busId || null,
+    groupBy: query.groupBy || null,
+    timeZone: scheduleAdherence.timeZone,
+    minSamples
+  };
+}
+
+function roundSeconds(value) {
+  return value !== null && value !== undefined ? Math.round(parseFloat(value) * 10) / 10 : null;
+}
+
+// Percentile columns shared by the segment and dwell stats
+function formatPercentiles(row) {
+  const [p50, p75, p90, p95] = row.percentiles.map(roundSeconds);
+  return {
+    samples: parseInt(row.samples, 10),
+    medianSeconds: p50,
+    p75Seconds: p75,
+    p90Seconds: p90,
+    p95Seconds: p95,
+    avgSeconds: roundSeconds(row.avg_seconds),
+    maxSeconds: roundSeconds(row.max_seconds)
+  };
+}
+
+function formatSegmentStats(row, groupBy) {
+  const distanceMeters = Math.round(db.calculateDistance(
+    parseFloat(row.from_latitude), parseFloat(row.from_longitude),
+    parseFloat(row.to_latitude), parseFloat(row.to_longitude)
+  ));
+  const stats = formatPercentiles(row);
+
+  return {
+    busId: row.bus_id,
+    ...(groupBy ? { [groupBy]: row.bucket } : {}),
+    fromStopId: row.from_stop_id,
+    fromStopName: row.from_stop_name,
+    toStopId: row.to_stop_id,
+    toStopName: row.to_stop_name,
+    distanceMeters,
+    ...stats,
+    minSeconds: roundSeconds(row.min_seconds),
+    medianSpeedKmh: stats.medianSeconds > 0
+      ? Math.round(distanceMeters / stats.medianSeconds * 36) / 10
+      : null
+  };
+}
+
+// JSON by default; with format=csv the rows as a download
+function sendAnalytics(req, res, name, rows, meta) {
+  if (req.query.format === "csv") {
+    const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+    res.type("text/csv");
+    res.attachment(`${name}.csv`);
+    return res.send(toCsv(columns, rows));
+  }
+  res.json({ ...meta, results: rows, count: rows.length });
+}
+
+app.get("/api/analytics/segments", async (req, res) => {
+  try {
+    const options = parseAnalyticsQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const rows = (await db.getSegmentTravelStats(options)).map(row => formatSegmentStats(row, options.groupBy));
+    sendAnalytics(req, res, "segment-travel-times", rows, {
+      from: options.from,
+      to: options.to,
+      busId: options.busId,
+      groupBy: options.groupBy,
+      timeZone: options.timeZone
+    });
+  } catch (error) {
+    console.error("❌ Error fetching segment travel times:", error);
+    res.status(500).json({ error: "Failed to fetch segment travel times" });
+  }
+});
+
+app.get("/api/analytics/dwell", async (req, res) => {
+  try {
+    const options = parseAnalyticsQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const rows = (await db.getDwellStats(options)).map(row => ({
+      busId: row.bus_id,
+      ...(options.groupBy ? { [options.groupBy]: row.bucket } : {}),
+      stopId: row.stop_id,
+      stopName: row.stop_name,
+      stopOrder: row.stop_order,
+      ...formatPercentiles(row)
+    }));
+    sendAnalytics(req, res, "stop-dwell-times", rows, {
+      from: options.from,
+      to: options.to,
+      busId: options.busId,
+      groupBy: options.groupBy,
+      timeZone: options.timeZone
+    });
+  } catch (error) {
+    console.error("❌ Error fetching dwell times:", error);
+    res.status(500).json({ error: "Failed to fetch dwell times" });
+  }
+});
+
+// Segments ranked by median speed, slowest first: the candidates for bus
+// priority. p90 - median shows how unreliable each one is.
+app.get("/api/analytics/slowest-segments", async (req, res) => {
+  try {
+    const options = parseAnalyticsQuery({ ...req.query, groupBy: undefined }, 5);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+
+    const rows = (await db.getSegmentTravelStats(options))
+      .map(row => formatSegmentStats(row, null))
+      .filter(segment => segment.medianSpeedKmh !== null)
+      .sort((a, b) => a.medianSpeedKmh - b.medianSpeedKmh)
+      .slice(0, limit)
+      .map((segment, index) => ({
+        rank: index + 1,
+        ...segment,
+        variabilitySeconds: Math.round((segment.p90Seconds - segment.medianSeconds) * 10) / 10
+      }));
+
+    sendAnalytics(req, res, "slowest-segments", rows, {
+      from: options.from,
+      to: options.to,
+      busId: options.busId,
+      minSamples: options.minSamples
+    });
+  } catch (error) {
+    console.error("❌ Error fetching slowest segments:", error);
+    res.status(500).json({ error: "Failed to fetch slowest segments" });
+  }
+});
+
+// Driver device registration (admin)
+app.post("/api/devices", requireAdmin, async (req, res) => {
+  try {
+    const { deviceId, busIds, label } = req.body;
+    if (!deviceId || !Array.isArray(busIds) || busIds.length === 0) {
+      return res.status(400).json({
+        error: "Invalid device data - need deviceId and a non-empty busIds array"
+      });
+    }
+
+    const device = await deviceAuth.register({ deviceId, busIds, label });
+    console.log(`🔐 Device ${deviceId} registered for buses: ${device.allowedBusIds.join(", ")}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Device registered - store the token now, it will not be shown again",
+      device
+    });
+  } catch (error) {
+    console.error("❌ Error registering device:", error);
+    res.status(500).json({ error: "Failed to register device" });
+  }
+});
+
+app.get("/api/devices", requireAdmin, async (req, res) => {
+  try {
+    const devices = await db.getDriverDevices();
+    res.json({ devices, count: devices.length });
+  } catch (error) {
+    console.error("❌ Error fetching devices:", error);
+    res.status(500).json({ error: "Failed to fetch devices" });
+  }
+});
+
+app.delete("/api/devices/:deviceId", requireAdmin, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const device = await deviceAuth.revoke(deviceId);
+    if (!device) {
+      return res.status(404).json({ error: "Device not found or already revoked" });
+    }
+
+    // Cut off any driver socket still connected with this device
+    activeConnections.forEach((connection) => {
+      if (connection.type === "driver" && connection.deviceId === deviceId) {
+        connection.socket.disconnect(true);
+      }
+    });
+    console.log(`🔒 Device ${deviceId} revoked`);
+
+    res.json({ success: true, message: "Device revoked", device });
+  } catch (error) {
+    console.error("❌ Error revoking device:", error);
+    res.status(500).json({ error: "Failed to revoke device" });
+  }
+});
+
+// Outbound webhooks (admin)
+function serializeWebhook(webhook, includeSecret = false) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    eventTypes: webhook.event_types,
+    description: webhook.description,
+    active: webhook.active,
+    createdAt: webhook.created_at,
+    ...(includeSecret ? { secret: webhook.secret } : {})
+  };
+}
+
+app.post("/api/webhooks", requireAdmin, async (req, res) => {
+  try {
+    const { url, eventTypes, secret, description } = req.body;
+    if (!url || !/^https?:\/\//.test(url) || !Array.isArray(eventTypes) || eventTypes.length === 0) {
+      return res.status(400).json({
+        error: "Invalid webhook data - need an http(s) url and a non-empty eventTypes array"
+      });
+    }
+
+    const unknown = eventTypes.filter(type => !WEBHOOK_EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown event types: ${unknown.join(", ")}`,
+        supportedEventTypes: WEBHOOK_EVENT_TYPES
+      });
+    }
+
+    const webhook = await webhooks.register({ url, eventTypes, secret, description });
+    res.status(201).json({
+      success: true,
+      message: "Webhook registered - use the secret to verify X-Webhook-Signature",
+      webhook: serializeWebhook(webhook, true)
+    });
+  } catch (error) {
+    console.error("❌ Error registering webhook:", error);
+    res.status(500).json({ error: "Failed to register webhook" });
+  }
+});
+
+app.get("/api/webhooks", requireAdmin, async (req, res) => {
+  try {
+    const list = await db.getWebhooks();
+    res.json({
+      webhooks: list.map(webhook => serializeWebhook(webhook)),
+      count: list.length,
+      supportedEventTypes: WEBHOOK_EVENT_TYPES
+    });
+  } catch (error) {
+    console.error("❌ Error fetching webhooks:", error);
+    res.status(500).json({ error: "Failed to fetch webhooks" });
+  }
+});
+
+app.delete("/api/webhooks/:id", requireAdmin, async (req, res) => {
+  try {
+    const webhook = /^\d+$/.test(req.params.id) ? await webhooks.remove(req.params.id) : null;
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    res.json({ success: true, message: "Webhook removed", webhook: serializeWebhook(webhook) });
+  } catch (error) {
+    console.error("❌ Error removing webhook:", error);
+    res.status(500).json({ error: "Failed to remove webhook" });
+  }
+});
+
+// Delivery log, newest first
+app.get("/api/webhooks/:id/deliveries", requireAdmin, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const deliveries = await db.getWebhookDeliveries(req.params.id, limit);
+    res.json({ deliveries, count: deliveries.length });
+  } catch (error) {
+    console.error("❌ Error fetching webhook deliveries:", error);
+    res.status(500).json({ error: "Failed to fetch webhook deliveries" });
+  }
+});
+
+// Rider arrival alerts (delivered over Socket.IO to user_<userId> and by push).
+// Riders get an identity from POST /api/riders and send its token in the
+// x-rider-token header; only that rider's alerts are listed or removed.
+function requireRider(req, res, next) {
+  const userId = riderAuth.verify(req.get("x-rider-token"));
+  if (!userId) {
+    return res.status(401).json({ error: "Missing or invalid rider token" });
+  }
+  req.riderId = userId;
+  next();
+}
+
+app.post("/api/riders", (req, res) => {
+  const { userId, token } = riderAuth.issue();
+  res.status(201).json({ success: true, userId, riderToken: token });
+});
+
+app.post("/api/alerts", requireRider, async (req, res) => {
+  try {
+    const { alert, error } = await prepareArrivalAlert(req.body || {}, req.riderId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.status(201).json({
+      success: true,
+      alert: formatArrivalAlert(await arrivalAlerts.subscribe(alert))
+    });
+  } catch (error) {
+    console.error("❌ Error saving arrival alert:", error);
+    res.status(500).json({ error: "Failed to save arrival alert" });
+  }
+});
+
+app.get("/api/alerts", requireRider, (req, res) => {
+  const alerts = arrivalAlerts.getAlertsForUser(req.riderId).map(formatArrivalAlert);
+  res.json({ alerts, count: alerts.length });
+});
+
+app.delete("/api/alerts/:id", requireRider, async (req, res) => {
+  try {
+    const removed = await arrivalAlerts.unsubscribe(req.params.id, req.riderId);
+    if (!removed) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+    res.json({ success: true, message: "Alert removed" });
+  } catch (error) {
+    console.error("❌ Error removing arrival alert:", error);
+    res.status(500).json({ error: "Failed to remove arrival alert" });
+  }
+});
+
+// Get all active buses
+app.get("/api/buses", async (req, res) => {
+  try {
+    const dbBuses = await db.getActiveBuses(currentServiceDate());
+
+    // In-memory state is fresher than the database; only fill in what we don't have
+    dbBuses.forEach(row => {
+      if (!activeBuses.has(row.bus_id)) {
+        activeBuses.set(row.bus_id, BusInfo.fromDatabaseRow(row));
+      }
+    });
+    await loadMissingRoutes(Array.from(activeBuses.values()));
+
+    let buses = Array.from(activeBuses.values()).map(busInfo => busInfo.toJSON());
+    if (req.query.status) {
+      buses = buses.filter(bus => bus.status === req.query.status);
+    }
+
+    res.json({
+      buses: buses,
+      count: buses.length,
+      liveCount: buses.filter(bus => bus.status === "live").length,
+      staleCount: buses.filter(bus => bus.status === "stale").length
+    });
+  } catch (error) {
+    console.error("❌ Error fetching buses:", error);
+    res.status(500).json({ error: "Failed to fetch buses" });
+  }
+});
+
+// Get specific bus
+app.get("/api/buses/:id", async (req, res) => {
+  try {
+    const busId = req.params.id;
+    let busInfo = activeBuses.get(busId);
+    
+    if (!busInfo) {
+      const dbBus = await db.getBusById(busId, currentServiceDate());
+      if (!dbBus) {
+        return res.status(404).json({ error: "Bus not found" });
+      }
+      busInfo = BusInfo.fromDatabaseRow(dbBus);
+      activeBuses.set(busId, busInfo);
+    }
+    await loadMissingRoutes([busInfo]);
+
+    res.json({
+      bus: busInfo.toJSON()
+    });
+  } catch (error) {
+    console.error("❌ Error fetching bus:", error);
+    res.status(500).json({ error: "Failed to fetch bus data" });
+  }
+});
+
+// Location history for trip playback
+app.get("/api/buses/:id/history", async (req, res) => {
+  try {
+    const busId = req.params.id;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 60 * 60 * 1000); // default: the hour before `to`
+    const interval = req.query.interval ? parseInt(req.query.interval, 10) : null;
+    const includeRejected = req.query.includeRejected === "true";
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({
+        error: "Invalid time range - from and to must be ISO timestamps with from <= to"
+      });
+    }
+    if (interval !== null && (isNaN(interval) || interval <= 0)) {
+      return res.status(400).json({
+        error: "Invalid interval - must be a positive number of seconds"
+      });
+    }
+
+    const rows = await db.getLocationHistory(busId, {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      intervalSeconds: interval,
+      includeRejected
+    });
+
+    const points = rows.map(row => ({
+      latitude: parseFloat(row.latitude),
+      longitude: parseFloat(row.longitude),
+      accuracy: row.accuracy !== null ? parseFloat(row.accuracy) : null,
+      heading: row.heading !== null ? parseFloat(row.heading) : null,
+      speed: row.speed !== null ? parseFloat(row.speed) : 0,
+      timestamp: new Date(row.recorded_at).toISOString(),
+      serverReceivedAt: new Date(row.server_received_at).toISOString(),
+      deviceId: row.device_id,
+      source: row.source,
+      filterStatus: row.filter_status,
+      filterReason: row.filter_reason,
+      filteredLatitude: row.filtered_latitude !== null ? parseFloat(row.filtered_latitude) : null,
+      filteredLongitude: row.filtered_longitude !== null ? parseFloat(row.filtered_longitude) : null
+    }));
+
+    res.json({
+      busId,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      interval,
+      includeRejected,
+      points,
+      count: points.length
+    });
+  } catch (error) {
+    console.error("❌ Error fetching location history:", error);
+    res.status(500).json({ error: "Failed to fetch location history" });
+  }
+});
+
+// Stored off-route / back-on-route events
+app.get("/api/buses/:id/route-deviations", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const events = await db.getRouteDeviations(req.params.id, limit);
+    res.json({
+      busId: req.params.id,
+      offRoute: offRouteDetector.isOffRoute(req.params.id),
+      events,
+      count: events.length
+    });
+  } catch (error) {
+    console.error("❌ Error fetching route deviations:", error);
+    res.status(500).json({ error: "Failed to fetch route deviations" });
+  }
+});
+
+app.get("/api/buses/:id/trips", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const trips = (await db.getTrips(req.params.id, limit)).map(formatTrip);
     res.json({
-      buses: buses,
-      count: buses.length
+      busId: req.params.id,
+      currentTripId: getTripId(req.params.id),
+      trips,
+      count: trips.length
     });
   } catch (error) {
-    console.error("❌ Error fetching buses:", error);
-    res.status(500).json({ error: "Failed to fetch buses" });
+    console.error("❌ Error fetching trips:", error);
+    res.status(500).json({ error: "Failed to fetch trips" });
   }
 });
 
-// Get specific bus
-app.get("/api/buses/:id", async (req, res) => {
-  try {
-    const busId = req.params.id;
-    let busInfo = activeBuses.get(busId);
-    
-    if (!busInfo) {
-      const dbBus = await db.getBusById(busId);
-      if (!dbBus) {
-        return res.status(404).json({ error: "Bus not found" });
+// Route management
+// A catalogue stop by id; a merged stop resolves to the stop it was merged into
+async function getCatalogueStop(stopId) {
+  const id = Number(stopId);
+  if (!Number.isInteger(id) || id < 1) return null;
+  const row = await db.getStop(id);
+  return row && row.merged_into ? db.getStop(row.merged_into) : row;
+}
+
+// Point each route stop at the stop catalogue. A given stopId must exist and
+// supplies the name and position; otherwise a nearby catalogue stop with a
+// similar name is reused, and anything left becomes a new stop on save
+// (GTFS stops are matched on their GTFS id by the store).
+async function resolveCatalogueStops(routeStops) {
+  for (const [index, stop] of routeStops.entries()) {
+    if (stop.stopId) {
+      const row = await getCatalogueStop(stop.stopId);
+      if (!row) {
+        return { error: `Unknown stopId ${stop.stopId} for stop ${index}` };
+      }
+      stop.stopId = row.id;
+      stop.name = row.name;
+      stop.latitude = parseFloat(row.latitude);
+      stop.longitude = parseFloat(row.longitude);
+      stop.gtfsStopId = row.gtfs_stop_id || null;
+    } else if (!stop.gtfsStopId && isFinite(stop.latitude) && isFinite(stop.longitude)) {
+      const nearby = await db.getStops({
+        bounds: boundsAround(stop.latitude, stop.longitude, STOP_MATCH_DISTANCE_METERS)
+      });
+      const match = findMatchingStop(stop, nearby, { maxDistance: STOP_MATCH_DISTANCE_METERS });
+      if (match) {
+        stop.stopId = match.id;
       }
-      busInfo = convertLegacyBusData(dbBus);
-      activeBuses.set(busId, busInfo);
     }
+  }
+  return {};
+}
+
+// Validate, measure and store a route, then move every bus running it onto
+// the new version. Returns { route } or { error, details }.
+async function saveRoute({ routeId, name, direction, variant, stops, routeGeometry, gtfsRouteId, gtfsTripId, ownerBusId = null }) {
+  if (!Array.isArray(stops) || stops.length < 2) {
+    return { error: "Invalid route data - need at least 2 stops" };
+  }
+
+  const routeStops = stops.map(stop => new BusStop(stop));
+  const resolved = await resolveCatalogueStops(routeStops);
+  if (resolved.error) return resolved;
+  // Distance and duration are always computed here, never taken from the client
+  const geometry = processRouteGeometry(routeGeometry, routeStops, ROUTE_GEOMETRY_OPTIONS);
+  if (geometry.error) return geometry;
+  routeStops.forEach((stop, index) => {
+    stop.distanceAlongRoute = geometry.stopDistances[index];
+  });
+
+  await db.saveRoute({
+    routeId,
+    name: name || null,
+    direction: direction || null,
+    variant: variant || null,
+    parsedStops: routeStops.map(stop => stop.toJSON()),
+    routeGeometry: geometry.routeGeometry,
+    routeDistance: geometry.routeDistance,
+    routeDuration: geometry.routeDuration,
+    gtfsRouteId: gtfsRouteId || null,
+    gtfsTripId: gtfsTripId || null,
+    ownerBusId,
+    timestamp: new Date().toISOString()
+  });
+  const route = BusRoute.fromDatabaseRow(await db.getRoute(routeId));
+
+  await refreshRouteBuses(routeId);
+  webhooks.publish("route_updated", route.toJSON());
+  return { route };
+}
+
+// Re-resolve the buses in memory that run a route after it changed
+async function refreshRouteBuses(routeId) {
+  const buses = Array.from(activeBuses.values())
+    .filter(busInfo => busInfo.route && busInfo.route.routeId === routeId);
+  await Promise.all(buses.map(busInfo => reloadBusRoute(busInfo.busId)));
+}
+
+app.get("/api/routes", async (req, res) => {
+  try {
+    const routes = (await db.getRoutes()).map(row => BusRoute.fromDatabaseRow(row).toJSON());
+    res.json({ routes, count: routes.length });
+  } catch (error) {
+    console.error("❌ Error fetching routes:", error);
+    res.status(500).json({ error: "Failed to fetch routes" });
+  }
+});
 
+app.get("/api/routes/:routeId", async (req, res) => {
+  try {
+    const row = await db.getRoute(req.params.routeId);
+    if (!row) {
+      return res.status(404).json({ error: "Route not found" });
+    }
+    const assignments = await db.getAssignments({ routeId: req.params.routeId, from: currentServiceDate() });
     res.json({
-      bus: busInfo.toJSON()
+      route: BusRoute.fromDatabaseRow(row).toJSON(),
+      assignments: assignments.map(formatAssignment)
     });
   } catch (error) {
-    console.error("❌ Error fetching bus:", error);
-    res.status(500).json({ error: "Failed to fetch bus data" });
+    console.error("❌ Error fetching route:", error);
+    res.status(500).json({ error: "Failed to fetch route" });
   }
 });
 
-// Route management
+// Create or replace a route: { name, direction, variant, stops, routeGeometry,
+// gtfsRouteId, gtfsTripId }. Buses pick it up through their assignments.
+app.put("/api/routes/:routeId", requireAdmin, async (req, res) => {
+  try {
+    const result = await saveRoute({ ...req.body, routeId: req.params.routeId });
+    if (result.error) {
+      return res.status(400).json({ error: result.error, details: result.details });
+    }
+    res.json({ success: true, route: result.route.toJSON() });
+  } catch (error) {
+    console.error("❌ Error saving route:", error);
+    res.status(500).json({ error: "Failed to save route" });
+  }
+});
+
+// Deleting a route also removes its stops and assignments; stop events are kept
+app.delete("/api/routes/:routeId", requireAdmin, async (req, res) => {
+  try {
+    const routeId = req.params.routeId;
+    const deleted = await db.deleteRoute(routeId);
+    if (!deleted) {
+      return res.status(404).json({ error: "Route not found" });
+    }
+    await refreshRouteBuses(routeId);
+    console.log(`🗑️ Route ${routeId} deleted`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("❌ Error deleting route:", error);
+    res.status(500).json({ error: "Failed to delete route" });
+  }
+});
+
+// Driver app upload: saves the route (routeId defaults to the bus id) and,
+// when the bus has no standing assignment yet, makes it that. The device must
+// be allowed to drive the bus. A device may only write its own bus's route -
+// one it created under the bus id; any other route needs the admin key as well.
 app.post("/api/routes", async (req, res) => {
   try {
-    const { busId, deviceId, stops, routeGeometry, routeDistance, routeDuration } = req.body;
+    const { busId, deviceId, stops } = req.body;
 
-    if (!busId || !stops || stops.length < 2) {
+    if (!busId || !Array.isArray(stops) || stops.length < 2) {
       return res.status(400).json({ 
         error: "Invalid route data - need busId and at least 2 stops" 
       });
     }
 
-    const route = new BusRoute({
-      busId,
-      deviceId,
-      stops: stops.map(stop => new BusStop(stop)),
-      routeGeometry,
-      routeDistance,
-      routeDuration
-    });
+    const auth = await deviceAuth.authorize({ deviceId, busId, token: getDeviceToken(req) });
+    if (!auth.ok) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
 
-    // Save to database
-    await db.saveRoute({
-      busId,
-      deviceId,
-      parsedStops: route.stops.map(stop => stop.toJSON()),
-      routeGeometry,
-      routeDistance,
-      routeDuration,
-      timestamp: route.createdAt
-    });
+    const routeId = req.body.routeId || busId;
+    const existing = await db.getRoute(routeId);
+    const ownRoute = routeId === busId && (!existing || existing.route_owner_bus_id === busId);
+    if (!ownRoute) {
+      const denied = checkAdminKey(req);
+      if (denied) {
+        return res.status(denied.status).json({ error: `Saving route ${routeId} from bus ${busId} requires the admin key` });
+      }
+    }
 
-    // Update in-memory store
-    let busInfo = activeBuses.get(busId);
-    if (busInfo) {
-      busInfo.updateRoute(route);
-    } else {
-      busInfo = new BusInfo({
-        busId,
-        deviceId,
-        location: new BusLocation({ deviceId, busId, latitude: 0, longitude: 0 }),
-        route,
-        isActive: false
-      });
+    const result = await saveRoute({ ...req.body, routeId, ownerBusId: routeId === busId ? busId : null });
+    if (result.error) {
+      return res.status(400).json({ error: result.error, details: result.details });
     }
-    activeBuses.set(busId, busInfo);
 
-    // Broadcast updates
-    io.emit("bus_route_updated", {
-      busId,
-      deviceId,
-      stops: stops,
-      parsedStops: route.stops.map(stop => stop.toJSON()),
-      routeGeometry,
-      routeDistance,
-      routeDuration,
-      stopCount: route.stops.length,
-      lastUpdated: route.updatedAt
-    });
+    // An assignment made by an admin stays; the upload only fills a gap
+    const standing = (await db.getAssignments({ busId })).find(row => row.service_date === null);
+    if (!standing) {
+      await db.assignBus({ busId, routeId });
+      await reloadBusRoute(busId);
+    } else if (standing.route_id !== routeId) {
+      console.log(`ℹ️ Bus ${busId} keeps its assignment to route ${standing.route_id}; uploaded route ${routeId} saved only`);
+    }
 
     res.json({
       success: true,
       message: "Route saved successfully",
-      route: route.toJSON()
+      assigned: !standing || standing.route_id === routeId,
+      route: { ...result.route.toJSON(), busId, deviceId }
     });
 
   } catch (error) {
@@ -556,6 +2398,417 @@ app.post("/api/routes", async (req, res) => {
   }
 });
 
+// Bus assignments: which route a bus runs, standing (no serviceDate) or for
+// one service day. An open trip's route takes precedence over both.
+const SERVICE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseServiceDate(value) {
+  if (value === undefined || value === null || value === "") return { serviceDate: null };
+  if (!SERVICE_DATE_PATTERN.test(value) || isNaN(new Date(value).getTime())) {
+    return { error: "serviceDate must be YYYY-MM-DD" };
+  }
+  return { serviceDate: value };
+}
+
+function formatAssignment(row) {
+  return {
+    assignmentId: row.id,
+    busId: row.bus_id,
+    routeId: row.route_id,
+    routeName: row.route_name || null,
+    serviceDate: row.service_date,
+    createdAt: new Date(row.created_at).toISOString()
+  };
+}
+
+// Past service days are left out unless ?from= asks for them
+app.get("/api/assignments", async (req, res) => {
+  try {
+    const from = parseServiceDate(req.query.from);
+    if (from.error) {
+      return res.status(400).json({ error: "from must be YYYY-MM-DD" });
+    }
+
+    const assignments = (await db.getAssignments({
+      busId: req.query.busId || null,
+      routeId: req.query.routeId || null,
+      from: from.serviceDate || currentServiceDate()
+    })).map(formatAssignment);
+    res.json({ assignments, count: assignments.length });
+  } catch (error) {
+    console.error("❌ Error fetching assignments:", error);
+    res.status(500).json({ error: "Failed to fetch assignments" });
+  }
+});
+
+app.put("/api/assignments/:busId", requireAdmin, async (req, res) => {
+  try {
+    const busId = req.params.busId;
+    const { routeId } = req.body;
+    const { serviceDate, error } = parseServiceDate(req.body.serviceDate);
+    if (!routeId || error) {
+      return res.status(400).json({ error: error || "Missing required field: routeId" });
+    }
+
+    const route = await db.getRoute(routeId);
+    if (!route) {
+      return res.status(404).json({ error: `Route ${routeId} not found` });
+    }
+
+    const row = await db.assignBus({ busId, routeId, serviceDate });
+    if (!serviceDate || serviceDate === currentServiceDate()) {
+      await reloadBusRoute(busId);
+    }
+
+    console.log(`🔀 Bus ${busId} assigned to route ${routeId}${serviceDate ? ` on ${serviceDate}` : ""}`);
+    res.json({ success: true, assignment: formatAssignment({ ...row, route_name: route.route_name }) });
+  } catch (error) {
+    console.error("❌ Error assigning bus:", error);
+    res.status(500).json({ error: "Failed to assign bus" });
+  }
+});
+
+// Removes the standing assignment, or the one for ?serviceDate=
+app.delete("/api/assignments/:busId", requireAdmin, async (req, res) => {
+  try {
+    const busId = req.params.busId;
+    const { serviceDate, error } = parseServiceDate(req.query.serviceDate);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const deleted = await db.unassignBus(busId, serviceDate);
+    if (!deleted) {
+      return res.status(404).json({ error: "Assignment not found" });
+    }
+    if (!serviceDate || serviceDate === currentServiceDate()) {
+      await reloadBusRoute(busId);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("❌ Error removing assignment:", error);
+    res.status(500).json({ error: "Failed to remove assignment" });
+  }
+});
+
+// Stop catalogue: each physical stop once, referenced by the routes that
+// serve it. Merged stops keep resolving to the stop they were merged into.
+function formatStop(row) {
+  return {
+    stopId: row.id,
+    name: row.name,
+    latitude: parseFloat(row.latitude),
+    longitude: parseFloat(row.longitude),
+    code: row.code || null,
+    description: row.description || null,
+    wheelchairAccessible: row.wheelchair_accessible ?? null,
+    gtfsStopId: row.gtfs_stop_id || null,
+    routeIds: row.route_ids || [],
+    routeCount: row.route_count || 0,
+    updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+  };
+}
+
+async function refreshStopRoutes(routeIds) {
+  for (const routeId of routeIds) {
+    await refreshRouteBuses(routeId);
+  }
+}
+
+// ?lat=&lng=&radius= (metres, default 500) for stops nearby, closest first;
+// ?q= searches names, codes and GTFS ids; ?routeId= the stops of one route
+app.get("/api/stops", async (req, res) => {
+  try {
+    const { lat, lng, q, routeId } = req.query;
+    let near = null;
+    if (lat !== undefined || lng !== undefined) {
+      near = {
+        latitude: parseFloat(lat),
+        longitude: parseFloat(lng),
+        radius: Math.min(parseFloat(req.query.radius) || 500, 5000)
+      };
+      if (!isFinite(near.latitude) || !isFinite(near.longitude)) {
+        return res.status(400).json({ error: "lat and lng must both be numbers" });
+      }
+    }
+
+    let stops = (await db.getStops({
+      routeId: routeId || null,
+      bounds: near ? boundsAround(near.latitude, near.longitude, near.radius) : null,
+      query: q || null
+    })).map(formatStop);
+
+    if (near) {
+      stops = stops
+        .map(stop => ({
+          ...stop,
+          distanceMeters: Math.round(db.calculateDistance(near.latitude, near.longitude, stop.latitude, stop.longitude))
+        }))
+        .filter(stop => stop.distanceMeters <= near.radius)
+        .sort((a, b) => a.distanceMeters - b.distanceMeters);
+    }
+
+    res.json({ stops, count: stops.length });
+  } catch (error) {
+    console.error("❌ Error fetching stops:", error);
+    res.status(500).json({ error: "Failed to fetch stops" });
+  }
+});
+
+// Preview of what merge-stops.js would merge: clusters of stops within
+// ?distance= metres with names at least ?similarity= alike (0-1)
+app.get("/api/stops/duplicates", requireAdmin, async (req, res) => {
+  try {
+    const maxDistance = parseFloat(req.query.distance) || DEFAULT_MATCH_DISTANCE;
+    const minSimilarity = parseFloat(req.query.similarity) || DEFAULT_MIN_SIMILARITY;
+    if (maxDistance <= 0 || maxDistance > 500 || minSimilarity <= 0 || minSimilarity > 1) {
+      return res.status(400).json({ error: "distance must be 0-500 metres and similarity 0-1" });
+    }
+
+    const clusters = clusterStops(await db.getStops(), { maxDistance, minSimilarity }).map(cluster => ({
+      keep: formatStop(cluster.keep),
+      duplicates: cluster.duplicates.map(formatStop)
+    }));
+    res.json({ maxDistance, minSimilarity, clusters, count: clusters.length });
+  } catch (error) {
+    console.error("❌ Error finding duplicate stops:", error);
+    res.status(500).json({ error: "Failed to find duplicate stops" });
+  }
+});
+
+app.get("/api/stops/:stopId", async (req, res) => {
+  try {
+    const row = await getCatalogueStop(req.params.stopId);
+    if (!row) {
+      return res.status(404).json({ error: "Stop not found" });
+    }
+    const requestedId = Number(req.params.stopId);
+    res.json({ stop: formatStop(row), ...(row.id !== requestedId ? { mergedFrom: requestedId } : {}) });
+  } catch (error) {
+    console.error("❌ Error fetching stop:", error);
+    res.status(500).json({ error: "Failed to fetch stop" });
+  }
+});
+
+// { name, latitude, longitude, code, description, wheelchairAccessible }.
+// GTFS stops come from gtfs-import.js.
+app.post("/api/stops", requireAdmin, async (req, res) => {
+  try {
+    const { name, code, description, wheelchairAccessible } = req.body;
+    const latitude = parseFloat(req.body.latitude);
+    const longitude = parseFloat(req.body.longitude);
+    if (!name || !isFinite(latitude) || !isFinite(longitude)) {
+      return res.status(400).json({ error: "Invalid stop data - need name, latitude and longitude" });
+    }
+
+    const row = await db.createStop({
+      name,
+      latitude,
+      longitude,
+      code: code || null,
+      description: description || null,
+      wheelchairAccessible: wheelchairAccessible ?? null
+    });
+    console.log(`🚏 Stop ${row.id} (${name}) added to the catalogue`);
+    res.status(201).json({ success: true, stop: formatStop(row) });
+  } catch (error) {
+    console.error("❌ Error creating stop:", error);
+    res.status(500).json({ error: "Failed to create stop" });
+  }
+});
+
+// Attributes only. A stop in a different place is a different stop, so
+// moving one means creating a new stop and pointing routes at it.
+app.patch("/api/stops/:stopId", requireAdmin, async (req, res) => {
+  try {
+    if (req.body.latitude !== undefined || req.body.longitude !== undefined) {
+      return res.status(400).json({ error: "A stop's position cannot be changed - create a new stop instead" });
+    }
+    if (req.body.name !== undefined && !req.body.name) {
+      return res.status(400).json({ error: "name cannot be empty" });
+    }
+
+    const current = await getCatalogueStop(req.params.stopId);
+    if (!current) {
+      return res.status(404).json({ error: "Stop not found" });
+    }
+
+    const { name, code, description, wheelchairAccessible } = req.body;
+    const row = await db.updateStop(current.id, { name, code, description, wheelchairAccessible });
+    await refreshStopRoutes(row.route_ids);
+    res.json({ success: true, stop: formatStop(row) });
+  } catch (error) {
+    console.error("❌ Error updating stop:", error);
+    res.status(500).json({ error: "Failed to update stop" });
+  }
+});
+
+// { keepStopId, mergeStopIds }: routes using the merged stops are moved onto
+// keepStopId. Stops with different GTFS ids are never merged.
+app.post("/api/stops/merge", requireAdmin, async (req, res) => {
+  try {
+    const { keepStopId, mergeStopIds } = req.body;
+    if (!Number.isInteger(keepStopId) || !Array.isArray(mergeStopIds) || mergeStopIds.length === 0
+      || !mergeStopIds.every(Number.isInteger) || mergeStopIds.includes(keepStopId)) {
+      return res.status(400).json({
+        error: "Invalid merge - need an integer keepStopId and a non-empty mergeStopIds array without it"
+      });
+    }
+
+    const stopIds = [keepStopId, ...new Set(mergeStopIds)];
+    const rows = await Promise.all(stopIds.map(stopId => db.getStop(stopId)));
+    const missing = stopIds.filter((stopId, index) => !rows[index] || rows[index].merged_into);
+    if (missing.length > 0) {
+      return res.status(404).json({ error: `Stops not found or already merged: ${missing.join(", ")}` });
+    }
+    const gtfsStopIds = new Set(rows.map(row => row.gtfs_stop_id).filter(Boolean));
+    if (gtfsStopIds.size > 1) {
+      return res.status(400).json({ error: "Cannot merge stops with different GTFS stop ids" });
+    }
+
+    const result = await db.mergeStops(keepStopId, stopIds.slice(1));
+    arrivalAlerts.followMerge(keepStopId, stopIds.slice(1));
+    await refreshStopRoutes(result.routeIds);
+    res.json({
+      success: true,
+      stop: formatStop(await db.getStop(keepStopId)),
+      mergedStopIds: stopIds.slice(1),
+      routeIds: result.routeIds,
+      routeStopsMoved: result.routeStopsMoved
+    });
+  } catch (error) {
+    console.error("❌ Error merging stops:", error);
+    res.status(500).json({ error: "Failed to merge stops" });
+  }
+});
+
+// GTFS-Realtime feeds
+
+async function collectRealtimeFeedData() {
+  const buses = Array.from(activeBuses.values()).filter(bus => bus.isActive);
+  await loadMissingRoutes(buses);
+
+  const lastEventsByBus = new Map();
+  await Promise.all(buses.map(async (busInfo) => {
+    const [lastEvent] = await db.getProximityEvents(busInfo.busId, 1);
+    if (lastEvent) {
+      lastEventsByBus.set(busInfo.busId, lastEvent);
+    }
+  }));
+
+  return { buses, lastEventsByBus };
+}
+
+app.get("/api/gtfs-rt/vehicle-positions", async (req, res) => {
+  try {
+    const { buses, lastEventsByBus } = await collectRealtimeFeedData();
+    const feed = gtfsRealtime.buildVehiclePositionsFeed(buses, lastEventsByBus);
+    res.set("Content-Type", "application/x-protobuf");
+    res.send(gtfsRealtime.encodeFeed(feed));
+  } catch (error) {
+    console.error("❌ Error building VehiclePositions feed:", error);
+    res.status(500).json({ error: "Failed to build VehiclePositions feed" });
+  }
+});
+
+app.get("/api/gtfs-rt/trip-updates", async (req, res) => {
+  try {
+    const { buses, lastEventsByBus } = await collectRealtimeFeedData();
+    const feed = gtfsRealtime.buildTripUpdatesFeed(buses, lastEventsByBus);
+    res.set("Content-Type", "application/x-protobuf");
+    res.send(gtfsRealtime.encodeFeed(feed));
+  } catch (error) {
+    console.error("❌ Error building TripUpdates feed:", error);
+    res.status(500).json({ error: "Failed to build TripUpdates feed" });
+  }
+});
+
+// Human-readable view of both feeds
+app.get("/api/gtfs-rt/debug", async (req, res) => {
+  try {
+    const { buses, lastEventsByBus } = await collectRealtimeFeedData();
+    res.json({
+      vehiclePositions: gtfsRealtime.buildVehiclePositionsFeed(buses, lastEventsByBus),
+      tripUpdates: gtfsRealtime.buildTripUpdatesFeed(buses, lastEventsByBus)
+    });
+  } catch (error) {
+    console.error("❌ Error building GTFS-Realtime debug view:", error);
+    res.status(500).json({ error: "Failed to build GTFS-Realtime feeds" });
+  }
+});
+
+// GeoJSON / KML exports for GIS tools: ?format=geojson (default) or kml
+
+function sendGeoExport(req, res, collection) {
+  if (req.query.format === "kml") {
+    res.type("application/vnd.google-earth.kml+xml").send(geoExport.toKml(collection));
+  } else {
+    res.type("application/geo+json").send(JSON.stringify(collection));
+  }
+}
+
+function validateExportFormat(req, res, next) {
+  if (req.query.format && req.query.format !== "geojson" && req.query.format !== "kml") {
+    return res.status(400).json({ error: "Invalid format - use geojson or kml" });
+  }
+  next();
+}
+
+// Route rows for one route (?routeId=), the route a bus is running today
+// (?busId=) or every route
+async function getExportRows({ routeId, busId }) {
+  if (routeId) {
+    const row = await db.getRoute(routeId);
+    return row ? [row] : [];
+  }
+  if (busId) {
+    const row = await db.getBusById(busId, currentServiceDate());
+    return row && row.route_id ? [row] : [];
+  }
+  return db.getRoutes();
+}
+
+// Live buses; ?status=live|stale|inactive narrows the set
+app.get("/api/export/buses", validateExportFormat, (req, res) => {
+  try {
+    let buses = Array.from(activeBuses.values()).map(busInfo => busInfo.toJSON());
+    if (req.query.status) {
+      buses = buses.filter(bus => bus.status === req.query.status);
+    }
+    sendGeoExport(req, res, geoExport.buildBusesCollection(buses));
+  } catch (error) {
+    console.error("❌ Error exporting buses:", error);
+    res.status(500).json({ error: "Failed to export buses" });
+  }
+});
+
+// Catalogue stops, each once; ?routeId= or ?busId= narrows to one route's stops
+app.get("/api/export/stops", validateExportFormat, async (req, res) => {
+  try {
+    let stops;
+    if (req.query.routeId || req.query.busId) {
+      const [route] = await getExportRows(req.query);
+      stops = route ? await db.getStops({ routeId: route.route_id }) : [];
+    } else {
+      stops = await db.getStops();
+    }
+    sendGeoExport(req, res, geoExport.buildStopsCollection(stops));
+  } catch (error) {
+    console.error("❌ Error exporting stops:", error);
+    res.status(500).json({ error: "Failed to export stops" });
+  }
+});
+
+app.get("/api/export/routes", validateExportFormat, async (req, res) => {
+  try {
+    const rows = await getExportRows(req.query);
+    sendGeoExport(req, res, geoExport.buildRoutesCollection(rows));
+  } catch (error) {
+    console.error("❌ Error exporting routes:", error);
+    res.status(500).json({ error: "Failed to export routes" });
+  }
+});
+
 // Health check
 app.get("/health", async (req, res) => {
   try {
@@ -596,6 +2849,50 @@ app.get("/", (req, res) => {
   res.send("Enhanced Bus Tracking Server with Unified Data Structure is running");
 });
 
+// Buses whose idle trip is being ended, so a slow write isn't repeated every tick
+const pendingTripEnds = new Set();
+
+// Heartbeat sweeper: deactivate buses that have gone quiet, whichever way they report
+function sweepStaleBuses() {
+  const now = Date.now();
+  activeBuses.forEach((busInfo, busId) => {
+    if (!busInfo.isActive || now - new Date(busInfo.lastSeen).getTime() <= BUS_INACTIVE_AFTER_MS) {
+      return;
+    }
+
+    busInfo.deactivate();
+    etaEngine.forget(busId);
+    stopVisitTracker.forget(busId);
+    offRouteDetector.forget(busId);
+    locationFilter.forget(busId);
+    const inactiveEvent = {
+      busId,
+      lastSeen: busInfo.lastSeen,
+      reason: "timeout"
+    };
+    emitToBusAudience(busInfo, "bus_inactive", inactiveEvent);
+    webhooks.publish("bus_inactive", inactiveEvent);
+    console.log(`💤 Bus ${busId} marked inactive after ${Math.round((now - new Date(busInfo.lastSeen).getTime()) / 1000)}s of silence`);
+  });
+
+  // Close trips whose bus has not reported for a long time
+  activeTrips.forEach((trip, busId) => {
+    const busInfo = activeBuses.get(busId);
+    const lastActivity = Math.max(
+      new Date(trip.started_at).getTime(),
+      busInfo ? new Date(busInfo.lastSeen).getTime() : 0
+    );
+    if (now - lastActivity > TRIP_IDLE_TIMEOUT_MS && !pendingTripEnds.has(busId)) {
+      pendingTripEnds.add(busId);
+      endTrip(busId, "timeout")
+        .catch(error => {
+          console.error(`❌ Error ending idle trip for bus ${busId}:`, error);
+        })
+        .finally(() => pendingTripEnds.delete(busId));
+    }
+  });
+}
+
 // Start server
 const PORT = process.env.PORT || 3000;
 
@@ -607,9 +2904,38 @@ async function startServer() {
       throw new Error("Failed to connect to database");
     }
 
-    await db.initializeTables();
+    // Multi-instance deployments can set MIGRATE_ON_START=false and run
+    // `npm run migrate` as a release step instead. The memory store has no schema.
+    if (db.driver !== "postgres") {
+      console.log(`💾 Storage driver: ${db.driver}`);
+    } else if (process.env.MIGRATE_ON_START === "false") {
+      const pending = await getPendingMigrations();
+      if (pending.length > 0) {
+        console.warn(`⚠️ ${pending.length} pending database migration(s): ${pending.map(m => `${m.version}_${m.name}`).join(", ")}`);
+      }
+    } else {
+      await migrateUp();
+    }
     console.log("✅ Database initialized successfully");
 
+    await arrivalAlerts.load();
+
+    const openTrips = await db.getOpenTrips();
+    openTrips.forEach(trip => activeTrips.set(trip.bus_id, trip));
+    if (openTrips.length > 0) {
+      console.log(`🚌 Restored ${openTrips.length} open trips`);
+    }
+
+    setInterval(sweepStaleBuses, BUS_SWEEP_INTERVAL_MS);
+    setInterval(() => {
+      arrivalAlerts.cleanupExpired().catch(error => {
+        console.error("❌ Error cleaning up arrival alerts:", error);
+      });
+    }, 60 * 1000);
+    webhooks.resumePending().catch(error => {
+      console.error("❌ Error resuming webhook deliveries:", error);
+    });
+
     server.listen(PORT, () => {
       console.log(`Enhanced Bus Tracking Server running on port ${PORT}`);
       console.log(`WebSocket server available at ws://localhost:${PORT}`);
@@ -0,0 +1,182 @@
+// stop-registry.js - Matching and clustering for the global stop catalogue
+// Two stop records are taken to be the same physical stop when they lie within
+// a few metres of each other and their names are similar. Route saves use this
+// to reuse a catalogue stop instead of adding a copy; merge-stops.js uses it to
+// find the duplicates already stored. Stops are catalogue rows: { id, name,
+// latitude, longitude, gtfs_stop_id, route_count }.
+
+const { calculateDistance } = require("./database");
+
+const DEFAULT_MATCH_DISTANCE = 25; // metres
+const DEFAULT_MIN_SIMILARITY = 0.7; // Dice coefficient of the names' letter pairs
+const METERS_PER_DEGREE = 111320;
+
+// Words that vary between uploads of the same stop ("MG Road Bus Stop" vs "M.G. Road")
+const FILLER_WORDS = new Set(["bus", "stop", "stand", "station", "the"]);
+
+function normalizeStopName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .split(" ")
+    .filter((word) => word && !FILLER_WORDS.has(word))
+    .join("");
+}
+
+function letterPairs(text) {
+  const pairs = new Map();
+  for (let index = 0; index < text.length - 1; index++) {
+    const pair = text.slice(index, index + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+}
+
+// 1 for names that normalise the same, 0 for nothing in common
+function nameSimilarity(a, b) {
+  const left = normalizeStopName(a);
+  const right = normalizeStopName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const leftPairs = letterPairs(left);
+  const rightPairs = letterPairs(right);
+  let shared = 0;
+  leftPairs.forEach((count, pair) => {
+    shared += Math.min(count, rightPairs.get(pair) || 0);
+  });
+  return (2 * shared) / (left.length - 1 + right.length - 1);
+}
+
+function stopDistance(a, b) {
+  return calculateDistance(
+    parseFloat(a.latitude), parseFloat(a.longitude),
+    parseFloat(b.latitude), parseFloat(b.longitude)
+  );
+}
+
+// Lat/lng box around a point, for the store's nearby-stop lookups
+function boundsAround(latitude, longitude, radius) {
+  const latitudeDelta = radius / METERS_PER_DEGREE;
+  const longitudeDelta = radius / (METERS_PER_DEGREE * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+  return {
+    south: latitude - latitudeDelta,
+    north: latitude + latitudeDelta,
+    west: longitude - longitudeDelta,
+    east: longitude + longitudeDelta,
+  };
+}
+
+// Distinct GTFS ids are distinct stops in the agency's own data, however close
+function isSameStop(a, b, options = {}) {
+  const maxDistance = options.maxDistance || DEFAULT_MATCH_DISTANCE;
+  const minSimilarity = options.minSimilarity || DEFAULT_MIN_SIMILARITY;
+  if (a.gtfs_stop_id && b.gtfs_stop_id && a.gtfs_stop_id !== b.gtfs_stop_id) return false;
+  return stopDistance(a, b) <= maxDistance && nameSimilarity(a.name, b.name) >= minSimilarity;
+}
+
+// Closest catalogue stop that is the same stop as the candidate, or null
+function findMatchingStop(candidate, stops, options = {}) {
+  let best = null;
+  let bestDistance = Infinity;
+  stops.forEach((stop) => {
+    if (!isSameStop(candidate, stop, options)) return;
+    const distance = stopDistance(candidate, stop);
+    if (distance < bestDistance) {
+      best = stop;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+// The stop a cluster is merged into: a GTFS stop, else the one most routes
+// use, else the oldest
+function pickSurvivor(stops) {
+  return [...stops].sort((a, b) =>
+    (b.gtfs_stop_id ? 1 : 0) - (a.gtfs_stop_id ? 1 : 0) ||
+    (b.route_count || 0) - (a.route_count || 0) ||
+    a.id - b.id
+  )[0];
+}
+
+// Groups of two or more stops that are the same stop, as { keep, duplicates }.
+// Pairs are linked transitively, except that a group never holds two GTFS ids.
+function clusterStops(stops, options = {}) {
+  const maxDistance = options.maxDistance || DEFAULT_MATCH_DISTANCE;
+  const parent = new Map(stops.map((stop) => [stop.id, stop.id]));
+  const gtfsIds = new Map(stops.map((stop) => [stop.id, stop.gtfs_stop_id || null]));
+
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  const union = (a, b) => {
+    const rootA = find(a.id);
+    const rootB = find(b.id);
+    if (rootA === rootB) return;
+    const gtfsA = gtfsIds.get(rootA);
+    const gtfsB = gtfsIds.get(rootB);
+    if (gtfsA && gtfsB && gtfsA !== gtfsB) return;
+    parent.set(rootB, rootA);
+    gtfsIds.set(rootA, gtfsA || gtfsB);
+  };
+
+  // Only stops in the same or a neighbouring grid cell can be close enough
+  const cellSize = maxDistance / METERS_PER_DEGREE;
+  const cellOf = (stop) => [
+    Math.floor(parseFloat(stop.latitude) / cellSize),
+    Math.floor(parseFloat(stop.longitude) / (cellSize / Math.max(Math.cos(parseFloat(stop.latitude) * Math.PI / 180), 0.01))),
+  ];
+  const cells = new Map();
+  stops.forEach((stop) => {
+    const key = cellOf(stop).join(":");
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(stop);
+  });
+
+  stops.forEach((stop) => {
+    const [row, column] = cellOf(stop);
+    for (let dRow = -1; dRow <= 1; dRow++) {
+      for (let dColumn = -1; dColumn <= 1; dColumn++) {
+        (cells.get(`${row + dRow}:${column + dColumn}`) || []).forEach((other) => {
+          if (other.id > stop.id && isSameStop(stop, other, options)) {
+            union(stop, other);
+          }
+        });
+      }
+    }
+  });
+
+  const groups = new Map();
+  stops.forEach((stop) => {
+    const root = find(stop.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(stop);
+  });
+
+  return Array.from(groups.values())
+    .filter((group) => group.length > 1)
+    .map((group) => {
+      const keep = pickSurvivor(group);
+      return { keep, duplicates: group.filter((stop) => stop !== keep) };
+    });
+}
+
+module.exports = {
+  DEFAULT_MATCH_DISTANCE,
+  DEFAULT_MIN_SIMILARITY,
+  normalizeStopName,
+  nameSimilarity,
+  boundsAround,
+  isSameStop,
+  findMatchingStop,
+  clusterStops,
+};
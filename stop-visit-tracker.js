@@ -0,0 +1,114 @@
+// stop-visit-tracker.js - Per-bus arrival/departure state machine for stops
+// Turns a stream of bus positions into 'arrived', 'departed' and 'skipped'
+// stop events, with dwell time on departures.
+
+const { calculateDistance } = require("./database");
+
+class StopVisitTracker {
+  constructor(options = {}) {
+    this.arrivalRadius = options.arrivalRadius || 100; // metres, bus counts as at the stop
+    this.departureRadius = options.departureRadius || 150; // metres, bus has left the stop
+    this.visits = new Map(); // busId -> { currentVisit, lastStopIndex }
+  }
+
+  getState(busId) {
+    let state = this.visits.get(busId);
+    if (!state) {
+      state = { currentVisit: null, lastStopIndex: null };
+      this.visits.set(busId, state);
+    }
+    return state;
+  }
+
+  // Feed one position for a bus; returns the stop events it produced, oldest first.
+  // `location` defaults to the live one; batch uploads replay buffered points.
+  update(busInfo, location = busInfo.location) {
+    const route = busInfo.route;
+    if (!route || route.stops.length === 0 || !location || !location.latitude || !location.longitude) {
+      return [];
+    }
+
+    const stops = route.stops;
+    const state = this.getState(busInfo.busId);
+    const timestamp = new Date(location.timestamp || Date.now()).toISOString();
+    const events = [];
+
+    const distanceTo = (stop) => calculateDistance(
+      location.latitude, location.longitude, stop.latitude, stop.longitude
+    );
+
+    const makeEvent = (type, stopIndex, distance, extra = {}) => ({
+      busId: busInfo.busId,
+      deviceId: location.deviceId || busInfo.deviceId || null,
+      tripId: location.tripId || null,
+      type,
+      stopId: stops[stopIndex].id,
+      stopName: stops[stopIndex].name,
+      stopIndex,
+      stopLatitude: stops[stopIndex].latitude,
+      stopLongitude: stops[stopIndex].longitude,
+      busLatitude: location.latitude,
+      busLongitude: location.longitude,
+      distance: Math.round(distance * 100) / 100,
+      timestamp,
+      dwellSeconds: null,
+      ...extra,
+    });
+
+    // Still at the current stop, or has it just left?
+    if (state.currentVisit) {
+      const visit = state.currentVisit;
+      const stop = stops[visit.stopIndex];
+      const distance = stop ? distanceTo(stop) : Infinity;
+
+      if (distance <= this.departureRadius) {
+        return events;
+      }
+
+      if (stop) {
+        const dwellSeconds = Math.max(0, Math.round(
+          (new Date(timestamp).getTime() - new Date(visit.arrivedAt).getTime()) / 1000
+        ));
+        events.push(makeEvent("departed", visit.stopIndex, distance, { dwellSeconds }));
+      }
+      state.currentVisit = null;
+    }
+
+    // Closest stop inside the arrival radius, if any
+    let arrivedIndex = -1;
+    let arrivedDistance = Infinity;
+    stops.forEach((stop, index) => {
+      const distance = distanceTo(stop);
+      if (distance <= this.arrivalRadius && distance < arrivedDistance) {
+        arrivedIndex = index;
+        arrivedDistance = distance;
+      }
+    });
+
+    // Ignore the stop the bus just left so GPS jitter doesn't re-arrive it
+    if (arrivedIndex === -1 || arrivedIndex === state.lastStopIndex) {
+      return events;
+    }
+
+    // Stops between the previous visit and this one were passed without stopping.
+    // Arriving at an earlier stop means a new run has started, so nothing is skipped.
+    if (state.lastStopIndex !== null && arrivedIndex > state.lastStopIndex + 1) {
+      for (let index = state.lastStopIndex + 1; index < arrivedIndex; index++) {
+        events.push(makeEvent("skipped", index, distanceTo(stops[index])));
+      }
+    }
+
+    events.push(makeEvent("arrived", arrivedIndex, arrivedDistance));
+    state.currentVisit = { stopIndex: arrivedIndex, arrivedAt: timestamp };
+    state.lastStopIndex = arrivedIndex;
+
+    return events;
+  }
+
+  // Drop tracking state, e.g. after the bus's route changes
+  forget(busId) {
+    this.visits.delete(busId);
+  }
+}
+
+module.exports = StopVisitTracker;
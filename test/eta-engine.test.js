@@ -0,0 +1,100 @@
+// eta-engine.test.js - Arrival predictions from route progress, speed and history
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const EtaEngine = require('../eta-engine');
+const { encodePolyline } = require('../route-geometry');
+
+const NOW = Date.UTC(2026, 0, 5, 8, 0, 0);
+const METERS_PER_DEGREE = 6371e3 * Math.PI / 180;
+
+function north(meters) {
+  return 12.9767 + meters / METERS_PER_DEGREE;
+}
+
+// Stops 1 km apart on a line running north; each test gets its own route
+// object since route models are cached per route
+function makeRoute(routeGeometry = null) {
+  return {
+    routeGeometry,
+    stops: ['Majestic', 'Corporation', 'Lalbagh'].map((name, index) => ({
+      id: index + 1,
+      name,
+      latitude: north(index * 1000),
+      longitude: 77.5713,
+      estimatedArrival: null,
+      distanceFromBus: null,
+    })),
+  };
+}
+
+function bus(route, meters, speed = 0) {
+  return {
+    busId: 'bus-1',
+    route,
+    location: { latitude: north(meters), longitude: 77.5713, speed },
+  };
+}
+
+function secondsUntil(stop) {
+  return Math.round((new Date(stop.estimatedArrival).getTime() - NOW) / 1000);
+}
+
+describe('EtaEngine', () => {
+  it('predicts upcoming stops from the distance left and the default speed', () => {
+    const engine = new EtaEngine({ defaultSpeed: 10, dwellSeconds: 20 });
+    const busInfo = bus(makeRoute(), 500);
+    engine.update(busInfo, NOW);
+
+    const [, corporation, lalbagh] = busInfo.route.stops;
+    assert.equal(corporation.distanceFromBus, 500);
+    assert.equal(secondsUntil(corporation), 50);
+    assert.equal(lalbagh.distanceFromBus, 1500);
+    assert.equal(secondsUntil(lalbagh), 50 + 100 + 20);
+  });
+
+  it('clears the ETA of passed stops but keeps their straight-line distance', () => {
+    const engine = new EtaEngine();
+    const busInfo = bus(makeRoute(), 500);
+    engine.update(busInfo, NOW);
+
+    const [majestic] = busInfo.route.stops;
+    assert.equal(majestic.estimatedArrival, null);
+    assert.equal(majestic.distanceFromBus, 500);
+  });
+
+  it('blends the live speed into the ETA for the next stop', () => {
+    const engine = new EtaEngine({ defaultSpeed: 10 });
+    const busInfo = bus(makeRoute(), 500, 5);
+    engine.update(busInfo, NOW);
+
+    assert.equal(secondsUntil(busInfo.route.stops[1]), (50 + 100) / 2);
+  });
+
+  it('uses historical travel times once there are enough samples', () => {
+    const engine = new EtaEngine({ defaultSpeed: 10 });
+    engine.segmentTimes.set('bus-1', new Map([['2:3', 300]]));
+    const busInfo = bus(makeRoute(), 500);
+    engine.update(busInfo, NOW);
+
+    assert.equal(secondsUntil(busInfo.route.stops[2]), 50 + 300);
+  });
+
+  it('falls back to stop-to-stop lines when the geometry misses the stops', () => {
+    const engine = new EtaEngine({ defaultSpeed: 10 });
+    const elsewhere = encodePolyline([[north(0), 77.6], [north(2000), 77.6]]);
+    const busInfo = bus(makeRoute(elsewhere), 500);
+    engine.update(busInfo, NOW);
+
+    assert.equal(busInfo.route.stops[1].distanceFromBus, 500);
+  });
+
+  it('finds a bus again when it starts a new run from the beginning', () => {
+    const engine = new EtaEngine();
+    const route = makeRoute();
+    engine.update(bus(route, 1500), NOW);
+    assert.equal(route.stops[1].estimatedArrival, null);
+
+    engine.update(bus(route, 100), NOW);
+    assert.equal(route.stops[1].distanceFromBus, 900);
+  });
+});
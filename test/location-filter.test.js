@@ -0,0 +1,91 @@
+// location-filter.test.js - GPS fix filtering for live and batch locations
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const LocationFilter = require('../location-filter');
+
+const START = Date.UTC(2026, 0, 5, 8, 0, 0);
+const METERS_PER_DEGREE = 6371e3 * Math.PI / 180;
+
+// A fix `north` metres north of Majestic, `seconds` after START
+function fix(north, seconds, overrides = {}) {
+  return {
+    busId: 'bus-1',
+    latitude: 12.9767 + north / METERS_PER_DEGREE,
+    longitude: 77.5713,
+    accuracy: 10,
+    timestamp: new Date(START + seconds * 1000).toISOString(),
+    ...overrides,
+  };
+}
+
+describe('LocationFilter', () => {
+  it('accepts the first fix as it is', () => {
+    const filter = new LocationFilter();
+    const result = filter.process(fix(0, 0));
+
+    assert.equal(result.status, 'accepted');
+    assert.equal(result.reason, 'first_fix');
+    assert.equal(result.latitude, 12.9767);
+  });
+
+  it('rejects fixes vaguer than maxAccuracy without moving the bus', () => {
+    const filter = new LocationFilter({ maxAccuracy: 100 });
+    filter.process(fix(0, 0));
+    const result = filter.process(fix(50, 10, { accuracy: 200 }));
+
+    assert.equal(result.status, 'rejected');
+    assert.equal(result.reason, 'poor_accuracy');
+    assert.equal(result.latitude, 12.9767);
+  });
+
+  it('rejects fixes older than the current estimate', () => {
+    const filter = new LocationFilter();
+    filter.process(fix(0, 10));
+
+    assert.equal(filter.process(fix(20, 5)).reason, 'out_of_order');
+  });
+
+  it('rejects impossible jumps until several agree, then starts over there', () => {
+    const filter = new LocationFilter({ maxSpeed: 20, maxConsecutiveRejections: 3 });
+    filter.process(fix(0, 0));
+
+    assert.equal(filter.process(fix(2000, 10)).reason, 'impossible_jump');
+    assert.equal(filter.process(fix(2010, 11)).reason, 'impossible_jump');
+    const result = filter.process(fix(2020, 12));
+    assert.equal(result.status, 'accepted');
+    assert.equal(result.reason, 'reset');
+    assert.equal(result.latitude, fix(2020, 12).latitude);
+  });
+
+  it('moves the estimate less for a poor fix than for a good one', () => {
+    const good = new LocationFilter();
+    const poor = new LocationFilter();
+    good.process(fix(0, 0));
+    poor.process(fix(0, 0));
+
+    const target = fix(30, 5).latitude;
+    const goodResult = good.process(fix(30, 5, { accuracy: 5 }));
+    const poorResult = poor.process(fix(30, 5, { accuracy: 80 }));
+
+    assert.equal(goodResult.status, 'filtered');
+    assert.ok(poorResult.latitude > 12.9767 && poorResult.latitude < target);
+    assert.ok(target - goodResult.latitude < target - poorResult.latitude);
+  });
+
+  it('takes the heading from the direction of travel when the device sends none', () => {
+    const filter = new LocationFilter();
+    filter.process(fix(0, 0));
+    const result = filter.process(fix(100, 10, { accuracy: 5 }));
+
+    assert.ok(result.heading < 1 || result.heading > 359);
+  });
+
+  it('filters a batch without touching the live state', () => {
+    const filter = new LocationFilter();
+    filter.process(fix(0, 100));
+    const results = filter.processSequence([fix(500, 0), fix(510, 5)]);
+
+    assert.deepEqual(results.map(result => result.status), ['accepted', 'filtered']);
+    assert.equal(filter.getState('bus-1').latitude, 12.9767);
+  });
+});
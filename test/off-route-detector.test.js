@@ -0,0 +1,81 @@
+// off-route-detector.test.js - Off-route and back-on-route events
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const OffRouteDetector = require('../off-route-detector');
+const { encodePolyline } = require('../route-geometry');
+
+const START = Date.UTC(2026, 0, 5, 8, 0, 0);
+const METERS_PER_DEGREE = 6371e3 * Math.PI / 180;
+const LONGITUDE = 77.5713;
+
+// A straight 2 km line running north from Majestic
+const route = {
+  routeGeometry: encodePolyline([[12.9767, LONGITUDE], [12.9767 + 2000 / METERS_PER_DEGREE, LONGITUDE]]),
+  stops: [],
+};
+
+// The bus `east` metres east of the line, `seconds` after START
+function bus(east, seconds, overrides = {}) {
+  return {
+    busId: 'bus-1',
+    route,
+    location: {
+      latitude: 12.9867,
+      longitude: LONGITUDE + east / (METERS_PER_DEGREE * Math.cos(12.9867 * Math.PI / 180)),
+      accuracy: 10,
+      timestamp: new Date(START + seconds * 1000).toISOString(),
+      ...overrides,
+    },
+  };
+}
+
+describe('OffRouteDetector', () => {
+  it('stays quiet while the bus is near the line', () => {
+    const detector = new OffRouteDetector({ maxDistance: 75 });
+
+    assert.equal(detector.update(bus(20, 0)), null);
+    assert.equal(detector.update(bus(60, 120)), null);
+    assert.equal(detector.isOffRoute('bus-1'), false);
+  });
+
+  it('reports off route only once the bus has stayed away for minDuration', () => {
+    const detector = new OffRouteDetector({ maxDistance: 75, minDuration: 60 * 1000 });
+
+    assert.equal(detector.update(bus(200, 0)), null);
+    assert.equal(detector.update(bus(250, 30)), null);
+    const event = detector.update(bus(220, 60));
+
+    assert.equal(event.type, 'off_route');
+    assert.equal(event.offRouteSince, new Date(START).toISOString());
+    assert.equal(detector.isOffRoute('bus-1'), true);
+  });
+
+  it('forgets a brief excursion that ends before minDuration', () => {
+    const detector = new OffRouteDetector({ maxDistance: 75, minDuration: 60 * 1000 });
+    detector.update(bus(200, 0));
+    detector.update(bus(10, 30));
+
+    assert.equal(detector.update(bus(200, 70)), null);
+  });
+
+  it('reports back on route, with duration and furthest distance, once well inside the threshold', () => {
+    const detector = new OffRouteDetector({ maxDistance: 100, minDuration: 60 * 1000, backOnRatio: 0.5 });
+    detector.update(bus(200, 0));
+    detector.update(bus(300, 60));
+
+    assert.equal(detector.update(bus(80, 90)), null);
+    const event = detector.update(bus(30, 120));
+    assert.equal(event.type, 'back_on_route');
+    assert.equal(event.durationSeconds, 120);
+    assert.equal(Math.round(event.maxDistance), 300);
+    assert.equal(detector.isOffRoute('bus-1'), false);
+  });
+
+  it('ignores fixes too vague to judge and routes without geometry', () => {
+    const detector = new OffRouteDetector({ maxDistance: 75, minDuration: 1 });
+
+    assert.equal(detector.update(bus(500, 0, { accuracy: 200 })), null);
+    assert.equal(detector.update({ ...bus(500, 10), route: { routeGeometry: null, stops: [] } }), null);
+    assert.equal(detector.isOffRoute('bus-1'), false);
+  });
+});
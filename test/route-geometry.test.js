@@ -0,0 +1,120 @@
+// route-geometry.test.js - Polyline encoding, line measuring and route validation
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  encodePolyline,
+  decodePolyline,
+  parseRouteGeometry,
+  normalizeRouteGeometry,
+  pathLength,
+  measureRoute,
+  processRouteGeometry,
+} = require('../route-geometry');
+
+const METERS_PER_DEGREE = 6371e3 * Math.PI / 180;
+
+// Points `north` metres north of Majestic
+function north(meters) {
+  return [12.9767 + meters / METERS_PER_DEGREE, 77.5713];
+}
+
+function stop(name, meters) {
+  const [latitude, longitude] = north(meters);
+  return { name, latitude, longitude };
+}
+
+describe('polylines', () => {
+  it('encodes and decodes the reference example', () => {
+    const coordinates = [[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]];
+    const encoded = encodePolyline(coordinates);
+
+    assert.equal(encoded, '_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+    assert.deepEqual(decodePolyline(encoded), coordinates);
+  });
+
+  it('parses stored geometry leniently and gives null for anything else', () => {
+    const line = [[12.97, 77.57], [12.98, 77.58]];
+
+    assert.deepEqual(parseRouteGeometry(encodePolyline(line)), line);
+    assert.deepEqual(parseRouteGeometry(JSON.stringify(line)), line);
+    assert.equal(parseRouteGeometry('[1, 2'), null);
+    assert.equal(parseRouteGeometry([[12.97, 77.57]]), null);
+  });
+});
+
+describe('normalizeRouteGeometry', () => {
+  it('reads GeoJSON as longitude, latitude and drops repeated points', () => {
+    const feature = {
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: [[77.57, 12.97], [77.57, 12.97], [77.58, 12.98]] },
+    };
+
+    assert.deepEqual(normalizeRouteGeometry(feature), [[12.97, 77.57], [12.98, 77.58]]);
+  });
+
+  it('rounds to polyline precision', () => {
+    const line = normalizeRouteGeometry([{ latitude: 12.9767123, longitude: 77.5713456 }, { lat: 12.98, lng: 77.58 }]);
+
+    assert.deepEqual(line[0], [12.97671, 77.57135]);
+  });
+
+  it('throws a readable error for unusable geometry', () => {
+    assert.throws(() => normalizeRouteGeometry('{"type":'), /not valid JSON/);
+    assert.throws(() => normalizeRouteGeometry([[95, 77.57], [12.98, 77.58]]), /invalid coordinates/);
+    assert.throws(() => normalizeRouteGeometry([[12.97, 77.57], [12.97, 77.57]]), /2 distinct points/);
+    assert.throws(() => normalizeRouteGeometry({ type: 'Point', coordinates: [77.57, 12.97] }), /must be/);
+  });
+});
+
+describe('measureRoute', () => {
+  it('places stops along the line in order', () => {
+    const line = [north(0), north(1000)];
+    const measured = measureRoute(line, [north(0), north(400), north(1000)]);
+
+    assert.equal(Math.round(measured.length), 1000);
+    assert.deepEqual(measured.stops.map(s => Math.round(s.distanceAlongRoute)), [0, 400, 1000]);
+    assert.ok(measured.stops.every(s => s.distanceFromLine < 1));
+  });
+
+  it('puts a stop served twice on a line that doubles back on the later pass', () => {
+    const line = [north(0), north(1000), north(0)];
+    const measured = measureRoute(line, [north(1000), north(500)]);
+
+    assert.equal(Math.round(measured.stops[1].distanceAlongRoute), 1500);
+  });
+});
+
+describe('processRouteGeometry', () => {
+  const stops = [stop('Majestic', 0), stop('Corporation', 600), stop('Lalbagh', 1200)];
+
+  it('measures straight stop-to-stop lines when there is no geometry', () => {
+    const result = processRouteGeometry(null, stops, { averageSpeed: 10, stopDwellSeconds: 30 });
+
+    assert.equal(result.routeGeometry, null);
+    assert.equal(Math.round(result.routeDistance), 1200);
+    assert.equal(result.routeDuration, 120 + 30);
+    assert.deepEqual(result.stopDistances.map(Math.round), [0, 600, 1200]);
+  });
+
+  it('stores the normalised line as an encoded polyline', () => {
+    const line = [north(0), north(1200)];
+    const result = processRouteGeometry(line, stops);
+
+    assert.deepEqual(decodePolyline(result.routeGeometry), normalizeRouteGeometry(line));
+    assert.equal(Math.round(result.routeDistance), Math.round(pathLength(line)));
+  });
+
+  it('rejects geometry that misses a stop and names the stop', () => {
+    const offset = [[north(0)[0], 77.58], [north(1200)[0], 77.58]];
+    const result = processRouteGeometry(offset, stops, { maxStopDistance: 150 });
+
+    assert.match(result.error, /within 150 m/);
+    assert.deepEqual(result.details.map(detail => detail.name), ['Majestic', 'Corporation', 'Lalbagh']);
+  });
+
+  it('rejects stops without coordinates', () => {
+    const result = processRouteGeometry(null, [stops[0], { name: 'Nowhere', latitude: NaN, longitude: 77.57 }]);
+
+    assert.match(result.error, /numeric latitude and longitude/);
+  });
+});
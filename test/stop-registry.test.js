@@ -0,0 +1,100 @@
+// stop-registry.test.js - Matching and clustering catalogue stops
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeStopName,
+  nameSimilarity,
+  boundsAround,
+  isSameStop,
+  findMatchingStop,
+  clusterStops,
+} = require('../stop-registry');
+
+const METERS_PER_DEGREE = 6371e3 * Math.PI / 180;
+
+// A catalogue row `north` metres north of MG Road
+function stop(id, name, north, overrides = {}) {
+  return {
+    id,
+    name,
+    latitude: 12.9756 + north / METERS_PER_DEGREE,
+    longitude: 77.6066,
+    gtfs_stop_id: null,
+    route_count: 0,
+    ...overrides,
+  };
+}
+
+describe('stop names', () => {
+  it('ignores case, punctuation, accents and filler words', () => {
+    assert.equal(normalizeStopName('M.G. Road Bus Stop'), 'mgroad');
+    assert.equal(normalizeStopName('Café Stand'), 'cafe');
+    assert.equal(nameSimilarity('MG Road Bus Stop', 'M.G. Road'), 1);
+  });
+
+  it('scores unrelated names low', () => {
+    assert.ok(nameSimilarity('Majestic', 'Lalbagh') < 0.3);
+    assert.equal(nameSimilarity('Bus Stop', 'Majestic'), 0);
+  });
+});
+
+describe('matching', () => {
+  it('treats close stops with similar names as the same stop', () => {
+    assert.equal(isSameStop(stop(1, 'MG Road', 0), stop(2, 'M G Road Stop', 10)), true);
+    assert.equal(isSameStop(stop(1, 'MG Road', 0), stop(2, 'MG Road', 60)), false);
+    assert.equal(isSameStop(stop(1, 'MG Road', 0), stop(2, 'Trinity', 5)), false);
+  });
+
+  it('never matches stops with different GTFS ids', () => {
+    const a = stop(1, 'MG Road', 0, { gtfs_stop_id: 'A' });
+    const b = stop(2, 'MG Road', 5, { gtfs_stop_id: 'B' });
+
+    assert.equal(isSameStop(a, b), false);
+  });
+
+  it('picks the closest matching stop', () => {
+    const candidate = stop(null, 'MG Road', 0);
+    const stops = [stop(1, 'MG Road', 20), stop(2, 'MG Road', 8), stop(3, 'Trinity', 1)];
+
+    assert.equal(findMatchingStop(candidate, stops).id, 2);
+    assert.equal(findMatchingStop(candidate, [stop(3, 'Trinity', 1)]), null);
+  });
+
+  it('bounds a search area that holds the whole radius', () => {
+    const bounds = boundsAround(12.9756, 77.6066, 100);
+    const east = 77.6066 + 99 / (METERS_PER_DEGREE * Math.cos(12.9756 * Math.PI / 180));
+
+    assert.ok(stop(1, 'North', 99).latitude < bounds.north);
+    assert.ok(stop(2, 'South', -99).latitude > bounds.south);
+    assert.ok(east < bounds.east && bounds.west < 77.6066);
+  });
+});
+
+describe('clusterStops', () => {
+  it('groups duplicates transitively and keeps the stop most routes use', () => {
+    const stops = [
+      stop(1, 'MG Road', 0),
+      stop(2, 'MG Road Stop', 20, { route_count: 3 }),
+      stop(3, 'M.G. Road', 40),
+      stop(4, 'Trinity', 500),
+    ];
+    const [cluster, ...rest] = clusterStops(stops);
+
+    assert.equal(rest.length, 0);
+    assert.equal(cluster.keep.id, 2);
+    assert.deepEqual(cluster.duplicates.map(s => s.id).sort(), [1, 3]);
+  });
+
+  it('prefers a GTFS stop as the survivor and never joins two GTFS ids', () => {
+    const stops = [
+      stop(1, 'MG Road', 0, { route_count: 5 }),
+      stop(2, 'MG Road', 10, { gtfs_stop_id: 'A' }),
+      stop(3, 'MG Road', 15, { gtfs_stop_id: 'B' }),
+    ];
+    const clusters = clusterStops(stops);
+
+    assert.equal(clusters.length, 1);
+    assert.equal(clusters[0].keep.gtfs_stop_id, 'A');
+    assert.deepEqual(clusters[0].duplicates.map(s => s.id), [1]);
+  });
+});
@@ -0,0 +1,88 @@
+// stop-visit-tracker.test.js - Arrival, departure and skipped-stop events
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const StopVisitTracker = require('../stop-visit-tracker');
+
+const START = Date.UTC(2026, 0, 5, 8, 0, 0);
+const METERS_PER_DEGREE = 6371e3 * Math.PI / 180;
+
+// Stops every 500 m north of Majestic
+const route = {
+  stops: ['Majestic', 'Corporation', 'Town Hall', 'Lalbagh'].map((name, index) => ({
+    id: index + 1,
+    name,
+    latitude: 12.9767 + (index * 500) / METERS_PER_DEGREE,
+    longitude: 77.5713,
+  })),
+};
+
+function bus(north, seconds) {
+  return {
+    busId: 'bus-1',
+    deviceId: 'device-1',
+    route,
+    location: {
+      latitude: 12.9767 + north / METERS_PER_DEGREE,
+      longitude: 77.5713,
+      timestamp: new Date(START + seconds * 1000).toISOString(),
+    },
+  };
+}
+
+function types(events) {
+  return events.map(event => `${event.type}:${event.stopName}`);
+}
+
+describe('StopVisitTracker', () => {
+  it('reports an arrival, then a departure with the dwell time', () => {
+    const tracker = new StopVisitTracker({ arrivalRadius: 50, departureRadius: 80 });
+
+    assert.deepEqual(types(tracker.update(bus(10, 0))), ['arrived:Majestic']);
+    assert.deepEqual(tracker.update(bus(40, 30)), []);
+
+    const [departed] = tracker.update(bus(200, 90));
+    assert.equal(departed.type, 'departed');
+    assert.equal(departed.stopId, 1);
+    assert.equal(departed.dwellSeconds, 90);
+  });
+
+  it('reports stops passed without stopping as skipped', () => {
+    const tracker = new StopVisitTracker({ arrivalRadius: 50, departureRadius: 80 });
+    tracker.update(bus(0, 0));
+
+    const events = tracker.update(bus(1500, 300));
+    assert.deepEqual(types(events), [
+      'departed:Majestic',
+      'skipped:Corporation',
+      'skipped:Town Hall',
+      'arrived:Lalbagh',
+    ]);
+  });
+
+  it('does not arrive again at the stop the bus just left', () => {
+    const tracker = new StopVisitTracker({ arrivalRadius: 50, departureRadius: 80 });
+    tracker.update(bus(0, 0));
+    tracker.update(bus(100, 60));
+
+    assert.deepEqual(tracker.update(bus(20, 70)), []);
+  });
+
+  it('starts a new run without skips when the bus is back at an earlier stop', () => {
+    const tracker = new StopVisitTracker({ arrivalRadius: 50, departureRadius: 80 });
+    tracker.update(bus(1500, 0));
+    tracker.update(bus(1300, 60));
+
+    assert.deepEqual(types(tracker.update(bus(0, 600))), ['arrived:Majestic']);
+  });
+
+  it('ignores buses without a route or position and forgets state on request', () => {
+    const tracker = new StopVisitTracker();
+
+    assert.deepEqual(tracker.update({ ...bus(0, 0), route: null }), []);
+    assert.deepEqual(tracker.update({ ...bus(0, 0), location: null }), []);
+
+    tracker.update(bus(0, 0));
+    tracker.forget('bus-1');
+    assert.deepEqual(types(tracker.update(bus(0, 10))), ['arrived:Majestic']);
+  });
+});
@@ -0,0 +1,321 @@
+// store-contract.test.js - Both storage drivers must behave the same way, so
+// every case runs against each. The Postgres driver only runs when
+// DATABASE_URL points at a migrated, disposable database.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { randomUUID } = require('node:crypto');
+
+const drivers = [
+  {
+    name: 'memory',
+    create: () => {
+      const MemoryStore = require('../memory-store');
+      return new MemoryStore();
+    },
+  },
+  {
+    name: 'postgres',
+    skip: process.env.DATABASE_URL ? false : 'DATABASE_URL not set',
+    create: () => require('../postgres-store'),
+  },
+];
+
+// Ids unique to this run, so a shared test database doesn't collide
+const runId = `${process.pid}-${Date.now()}`;
+let counter = 0;
+function uniqueId(prefix) {
+  counter++;
+  return `test-${prefix}-${runId}-${counter}`;
+}
+
+const STOPS = [
+  { name: 'Majestic', latitude: 12.9767, longitude: 77.5713, distanceAlongRoute: 0 },
+  { name: 'Corporation', latitude: 12.9634, longitude: 77.5855, distanceAlongRoute: 2100 },
+  { name: 'Lalbagh', latitude: 12.9507, longitude: 77.5848, distanceAlongRoute: 3600 },
+];
+
+function routeData(routeId, overrides = {}) {
+  return {
+    routeId,
+    name: 'Test route',
+    direction: 'outbound',
+    parsedStops: STOPS,
+    timestamp: new Date().toISOString(),
+    ...overrides,
+  };
+}
+
+for (const driver of drivers) {
+  describe(`${driver.name} store`, { skip: driver.skip }, () => {
+    let db;
+    const routeIds = [];
+
+    async function createRoute(overrides) {
+      const routeId = uniqueId('route');
+      routeIds.push(routeId);
+      await db.saveRoute(routeData(routeId, overrides));
+      return routeId;
+    }
+
+    before(() => {
+      db = driver.create();
+    });
+
+    after(async () => {
+      for (const routeId of routeIds) {
+        await db.deleteRoute(routeId);
+      }
+      await db.close();
+    });
+
+    describe('routes', () => {
+      it('returns a saved route with its stops in order', async () => {
+        const routeId = await createRoute();
+        const route = await db.getRoute(routeId);
+
+        assert.equal(route.route_id, routeId);
+        assert.equal(route.route_name, 'Test route');
+        assert.equal(route.route_direction, 'outbound');
+        assert.deepEqual(route.route_stops.map(stop => stop.name), ['Majestic', 'Corporation', 'Lalbagh']);
+        assert.deepEqual(route.route_stops.map(stop => stop.stop_order), [1, 2, 3]);
+        assert.equal(Number(route.route_stops[1].latitude), 12.9634);
+        assert.equal(Number(route.route_stops[2].distance_along_route), 3600);
+      });
+
+      it('keeps the name when only the stops are uploaded again', async () => {
+        const routeId = await createRoute();
+        await db.saveRoute(routeData(routeId, { name: undefined, direction: undefined, parsedStops: STOPS.slice(0, 2) }));
+        const route = await db.getRoute(routeId);
+
+        assert.equal(route.route_name, 'Test route');
+        assert.equal(route.route_stops.length, 2);
+      });
+
+      it('keeps route stop ids and their stop events when the route is saved again', async () => {
+        const routeId = await createRoute();
+        const busId = uniqueId('bus');
+        const before = await db.getRouteStops(routeId);
+        await db.recordStopEvent({
+          busId,
+          deviceId: 'test-device',
+          stopId: before[0].id,
+          stopName: 'Majestic',
+          busLatitude: 12.9767,
+          busLongitude: 77.5713,
+          stopLatitude: 12.9767,
+          stopLongitude: 77.5713,
+          distance: 5,
+          timestamp: new Date().toISOString(),
+          type: 'arrived',
+        });
+
+        await db.saveRoute(routeData(routeId, { parsedStops: STOPS.slice(0, 2) }));
+        const after = await db.getRouteStops(routeId);
+        assert.deepEqual(after.map(stop => stop.id), before.slice(0, 2).map(stop => stop.id));
+
+        const [event] = await db.getProximityEvents(busId);
+        assert.equal(event.stop_id, before[0].id);
+      });
+
+      it('keeps the owning bus of a route when it is saved again', async () => {
+        const busId = uniqueId('bus');
+        const routeId = await createRoute({ ownerBusId: busId });
+        await db.saveRoute(routeData(routeId, { ownerBusId: null }));
+
+        assert.equal((await db.getRoute(routeId)).route_owner_bus_id, busId);
+        assert.equal((await db.getRoute(await createRoute())).route_owner_bus_id, null);
+      });
+
+      it('points route stops at catalogue stops', async () => {
+        const routeId = await createRoute();
+        const routeStops = await db.getRouteStops(routeId);
+        const stop = await db.getStop(routeStops[0].stop_id);
+
+        assert.equal(stop.name, 'Majestic');
+      });
+
+      it('drops the route, its stops and assignments on delete', async () => {
+        const routeId = await createRoute();
+        const busId = uniqueId('bus');
+        await db.assignBus({ busId, routeId });
+
+        assert.equal(await db.deleteRoute(routeId), true);
+        assert.equal(await db.getRoute(routeId), null);
+        assert.deepEqual(await db.getRouteStops(routeId), []);
+        assert.equal(await db.getAssignedRouteId(busId, '2026-01-05'), null);
+        assert.equal(await db.deleteRoute(routeId), false);
+      });
+    });
+
+    describe('assignments', () => {
+      it('prefers the open trip, then the service day, then the standing assignment', async () => {
+        const standingRouteId = await createRoute();
+        const dayRouteId = await createRoute();
+        const tripRouteId = await createRoute();
+        const busId = uniqueId('bus');
+
+        await db.assignBus({ busId, routeId: standingRouteId });
+        await db.assignBus({ busId, routeId: dayRouteId, serviceDate: '2026-01-05' });
+
+        assert.equal(await db.getAssignedRouteId(busId, '2026-01-05'), dayRouteId);
+        assert.equal(await db.getAssignedRouteId(busId, '2026-01-06'), standingRouteId);
+
+        let bus = await db.getBusById(busId, '2026-01-05');
+        assert.equal(bus.route_id, dayRouteId);
+        assert.equal(bus.route_source, 'service_date');
+        assert.equal(bus.route_service_date, '2026-01-05');
+
+        await db.startTrip({ busId, routeId: tripRouteId });
+        bus = await db.getBusById(busId, '2026-01-05');
+        assert.equal(bus.route_id, tripRouteId);
+        assert.equal(bus.route_source, 'trip');
+
+        await db.endTrip(busId);
+        bus = await db.getBusById(busId, '2026-01-06');
+        assert.equal(bus.route_id, standingRouteId);
+        assert.equal(bus.route_source, 'standing');
+      });
+
+      it('removes only the assignment for the given day', async () => {
+        const routeId = await createRoute();
+        const busId = uniqueId('bus');
+        await db.assignBus({ busId, routeId });
+        await db.assignBus({ busId, routeId, serviceDate: '2026-01-05' });
+
+        assert.equal(await db.unassignBus(busId, '2026-01-05'), true);
+        assert.equal(await db.unassignBus(busId, '2026-01-05'), false);
+
+        const assignments = await db.getAssignments({ busId });
+        assert.deepEqual(assignments.map(row => row.service_date), [null]);
+        assert.equal(assignments[0].route_name, 'Test route');
+      });
+    });
+
+    describe('trips', () => {
+      it('supersedes an open trip and ends only once', async () => {
+        const routeId = await createRoute();
+        const busId = uniqueId('bus');
+
+        const first = await db.startTrip({ busId, routeId, deviceId: 'test-device' });
+        const second = await db.startTrip({ busId, routeId, deviceId: 'test-device' });
+        const openTrips = (await db.getOpenTrips()).filter(trip => trip.bus_id === busId);
+        assert.deepEqual(openTrips.map(trip => trip.id), [second.id]);
+
+        const superseded = await db.getTripById(first.id);
+        assert.equal(superseded.end_reason, 'superseded');
+
+        const ended = await db.endTrip(busId, { reason: 'completed' });
+        assert.equal(ended.id, second.id);
+        assert.equal(ended.end_reason, 'completed');
+        assert.equal(await db.endTrip(busId), null);
+      });
+    });
+
+    describe('location history', () => {
+      function point(busId, seconds) {
+        return {
+          busId,
+          deviceId: 'test-device',
+          latitude: 12.97 + seconds / 100000,
+          longitude: 77.57,
+          accuracy: 10,
+          timestamp: new Date(Date.UTC(2026, 0, 5, 8, 0, seconds)).toISOString(),
+          source: 'batch-upload',
+        };
+      }
+
+      it('skips points already stored for the same bus and time', async () => {
+        const busId = uniqueId('bus');
+
+        assert.equal(await db.addLocationHistoryBatch([point(busId, 10), point(busId, 0)]), 2);
+        assert.equal(await db.addLocationHistoryBatch([point(busId, 10), point(busId, 20)]), 1);
+
+        const history = await db.getLocationHistory(busId, {
+          from: '2026-01-05T08:00:00Z',
+          to: '2026-01-05T08:01:00Z',
+        });
+        assert.deepEqual(history.map(row => new Date(row.recorded_at).getUTCSeconds()), [0, 10, 20]);
+      });
+
+      it('leaves rejected fixes out unless asked for', async () => {
+        const busId = uniqueId('bus');
+        await db.addLocationHistory(point(busId, 0));
+        await db.addLocationHistory({ ...point(busId, 5), filterStatus: 'rejected', filterReason: 'low_accuracy' });
+
+        const range = { from: '2026-01-05T08:00:00Z', to: '2026-01-05T08:01:00Z' };
+        assert.equal((await db.getLocationHistory(busId, range)).length, 1);
+        assert.equal((await db.getLocationHistory(busId, { ...range, includeRejected: true })).length, 2);
+      });
+    });
+
+    describe('route deviations', () => {
+      it('keeps a zero-second duration', async () => {
+        const busId = uniqueId('bus');
+        await db.recordRouteDeviation({
+          busId,
+          deviceId: 'test-device',
+          type: 'back_on_route',
+          latitude: 12.97,
+          longitude: 77.57,
+          distance: 12,
+          offRouteSince: new Date().toISOString(),
+          durationSeconds: 0,
+          timestamp: new Date().toISOString(),
+        });
+
+        const [deviation] = await db.getRouteDeviations(busId);
+        assert.equal(Number(deviation.duration_seconds), 0);
+      });
+    });
+
+    describe('arrival alerts', () => {
+      function alert(userId, expiresInMs) {
+        return {
+          id: randomUUID(),
+          userId,
+          busId: uniqueId('bus'),
+          stopId: null,
+          stopName: 'Lalbagh',
+          radiusMeters: 300,
+          minutes: null,
+          pushToken: null,
+          createdAt: new Date().toISOString(),
+          expiresAt: new Date(Date.now() + expiresInMs).toISOString(),
+        };
+      }
+
+      it('lists only alerts that have not expired', async () => {
+        const userId = uniqueId('user');
+        const live = alert(userId, 60 * 60 * 1000);
+        const expired = alert(userId, -1000);
+        await db.saveArrivalAlert(live);
+        await db.saveArrivalAlert(expired);
+
+        const mine = (await db.getArrivalAlerts()).filter(row => row.user_id === userId);
+        assert.deepEqual(mine.map(row => row.id), [live.id]);
+
+        assert.ok(await db.deleteExpiredArrivalAlerts() >= 1);
+        assert.equal(await db.deleteArrivalAlert(expired.id), false);
+        assert.equal(await db.deleteArrivalAlert(live.id), true);
+        assert.equal(await db.deleteArrivalAlert(live.id), false);
+      });
+    });
+
+    describe('driver devices', () => {
+      it('stores allowed buses and revokes once', async () => {
+        const deviceId = uniqueId('device');
+        await db.saveDriverDevice({ deviceId, tokenHash: 'hash', allowedBusIds: ['bus-1', 2], label: 'Test phone' });
+
+        const device = await db.getDriverDevice(deviceId);
+        assert.deepEqual(device.allowed_bus_ids, ['bus-1', '2']);
+        assert.equal(device.token_hash, 'hash');
+        assert.equal(device.revoked_at, null);
+
+        const revoked = await db.revokeDriverDevice(deviceId);
+        assert.ok(revoked.revoked_at);
+        assert.equal(revoked.token_hash, undefined);
+        assert.equal(await db.revokeDriverDevice(deviceId), null);
+      });
+    });
+  });
+}
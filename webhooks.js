@@ -0,0 +1,218 @@
+// webhooks.js - Outbound webhooks for bus events
+// Partners subscribe a URL to event types; each delivery is HMAC-signed,
+// retried with exponential backoff and recorded in webhook_deliveries.
+// Position updates are the exception: see EPHEMERAL_EVENT_TYPES.
+
+const crypto = require("crypto");
+const axios = require("axios");
+const db = require("./database");
+
+const WEBHOOK_EVENT_TYPES = [
+  "location_update",
+  "proximity_event",
+  "route_updated",
+  "bus_inactive",
+  "trip_started",
+  "trip_ended",
+];
+
+// Sent once per fix for every bus, and stale by the next one: delivered a
+// single time without a webhook_deliveries row or retries, so the log doesn't
+// grow with fleet position traffic
+const EPHEMERAL_EVENT_TYPES = ["location_update"];
+
+class WebhookDispatcher {
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || 5;
+    this.baseDelay = options.baseDelay || 2000; // first retry after ~2s, then 4s, 8s...
+    this.timeout = options.timeout || 5000;
+    this.cacheTtl = options.cacheTtl || 60 * 1000;
+    this.subscriptions = null;
+    this.loadedAt = 0;
+  }
+
+  static generateSecret() {
+    return crypto.randomBytes(24).toString("hex");
+  }
+
+  // Signature over "<timestamp>.<body>" so receivers can reject replays
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  }
+
+  async getSubscriptions() {
+    if (!this.subscriptions || Date.now() - this.loadedAt > this.cacheTtl) {
+      this.subscriptions = await db.getWebhooks();
+      this.loadedAt = Date.now();
+    }
+    return this.subscriptions;
+  }
+
+  invalidate() {
+    this.subscriptions = null;
+  }
+
+  async register({ url, eventTypes, secret, description }) {
+    const webhook = await db.createWebhook({
+      url,
+      eventTypes,
+      secret: secret || WebhookDispatcher.generateSecret(),
+      description,
+    });
+    this.invalidate();
+    return webhook;
+  }
+
+  async remove(id) {
+    const webhook = await db.deactivateWebhook(id);
+    this.invalidate();
+    return webhook;
+  }
+
+  // Fire-and-forget: queue a delivery for every subscription to this event type
+  publish(eventType, data) {
+    this.dispatch(eventType, data).catch((error) => {
+      console.error(`❌ Error publishing ${eventType} webhook:`, error);
+    });
+  }
+
+  async dispatch(eventType, data) {
+    const subscriptions = await this.getSubscriptions();
+    const matching = subscriptions.filter((sub) => sub.event_types.includes(eventType));
+
+    await Promise.all(matching.map(async (subscription) => {
+      if (EPHEMERAL_EVENT_TYPES.includes(eventType)) {
+        await this.sendOnce(subscription, eventType, data);
+        return;
+      }
+
+      const delivery = await db.createWebhookDelivery({
+        subscriptionId: subscription.id,
+        eventType,
+        payload: data,
+      });
+      await this.attempt(subscription, delivery, 1);
+    }));
+  }
+
+  // POST one signed event. Returns { responseStatus, error }; error is null on a 2xx.
+  async post(subscription, { id, event, createdAt, data }) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({ id, event, createdAt, data });
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "X-Webhook-Id": id,
+          "X-Webhook-Event": event,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${WebhookDispatcher.sign(subscription.secret, timestamp, body)}`,
+        },
+        timeout: this.timeout,
+        validateStatus: () => true,
+      });
+      const error = response.status < 200 || response.status >= 300 ? `HTTP ${response.status}` : null;
+      return { responseStatus: response.status, error };
+    } catch (requestError) {
+      return { responseStatus: null, error: requestError.message };
+    }
+  }
+
+  async sendOnce(subscription, eventType, data) {
+    const { error } = await this.post(subscription, {
+      id: crypto.randomUUID(),
+      event: eventType,
+      createdAt: new Date().toISOString(),
+      data,
+    });
+    if (error) {
+      console.warn(`⚠️ Webhook ${eventType} to ${subscription.url} failed (not retried): ${error}`);
+    }
+  }
+
+  async attempt(subscription, delivery, attemptNumber) {
+    // A retry for a webhook removed since it was scheduled is abandoned
+    if (attemptNumber > 1) {
+      const active = (await this.getSubscriptions()).some((sub) => sub.id === subscription.id);
+      if (!active) {
+        await db.updateWebhookDelivery(delivery.id, {
+          status: "failed",
+          attempts: attemptNumber - 1,
+          error: "Webhook was deactivated",
+        });
+        return;
+      }
+    }
+
+    const { responseStatus, error } = await this.post(subscription, {
+      id: String(delivery.id),
+      event: delivery.event_type,
+      createdAt: new Date(delivery.created_at).toISOString(),
+      data: delivery.payload,
+    });
+
+    if (!error) {
+      await db.updateWebhookDelivery(delivery.id, {
+        status: "delivered",
+        attempts: attemptNumber,
+        responseStatus,
+      });
+      return;
+    }
+
+    if (attemptNumber >= this.maxAttempts) {
+      console.warn(`⚠️ Webhook delivery ${delivery.id} to ${subscription.url} failed after ${attemptNumber} attempts: ${error}`);
+      await db.updateWebhookDelivery(delivery.id, {
+        status: "failed",
+        attempts: attemptNumber,
+        responseStatus,
+        error,
+      });
+      return;
+    }
+
+    const delay = this.baseDelay * 2 ** (attemptNumber - 1) * (0.8 + Math.random() * 0.4);
+    await db.updateWebhookDelivery(delivery.id, {
+      status: "retrying",
+      attempts: attemptNumber,
+      responseStatus,
+      error,
+      nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+    });
+    this.scheduleRetry(subscription, delivery, attemptNumber + 1, delay);
+  }
+
+  scheduleRetry(subscription, delivery, attemptNumber, delay) {
+    setTimeout(() => {
+      this.attempt(subscription, delivery, attemptNumber).catch((error) => {
+        console.error(`❌ Error retrying webhook delivery ${delivery.id}:`, error);
+      });
+    }, Math.max(0, delay));
+  }
+
+  // Pick up retries that were scheduled before a restart
+  async resumePending() {
+    const subscriptions = await this.getSubscriptions();
+    const byId = new Map(subscriptions.map((sub) => [sub.id, sub]));
+    const pending = await db.getPendingWebhookDeliveries();
+
+    pending.forEach((delivery) => {
+      const subscription = byId.get(delivery.subscription_id);
+      if (!subscription) return;
+      const delay = delivery.next_attempt_at
+        ? new Date(delivery.next_attempt_at).getTime() - Date.now()
+        : 0;
+      this.scheduleRetry(subscription, delivery, (delivery.attempts || 0) + 1, delay);
+    });
+
+    if (pending.length > 0) {
+      console.log(`🔁 Resumed ${pending.length} pending webhook deliveries`);
+    }
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  WEBHOOK_EVENT_TYPES,
+};